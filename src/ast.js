@@ -0,0 +1,107 @@
+/**
+ * ast.js
+ *
+ * Node types produced by Parser.parseToAst and consumed by Parser.evaluate.
+ *
+ * Nodes are plain objects holding only strings, numbers and nested nodes, so they can
+ * be cached, serialized and transformed freely. Every node carries `start` and `end`
+ * offsets (end exclusive) into the expression it was parsed from.
+ *
+ * Node shapes:
+ *
+ * - Literal: `{ type, kind, notation, raw }`
+ *   A number written in any literal notation. `kind` is the token type
+ *   ("number", "uncertainty", "continuedFraction", "repeatingDecimal", "sexagesimal"), `raw` is the
+ *   source text and `notation` is the text handed to the literal parsers (whitespace
+ *   removed, with a leading "-" folded in where the notation itself carries the sign,
+ *   e.g. `-1.5[+-0.1]`).
+ *
+ * - Interval: `{ type, low, high }`
+ *   An interval literal `a:b`. `low` and `high` are Literal nodes; a tight E or _^
+ *   suffix belongs to the endpoint it touches (`1.3:2.4E2`).
+ *
+ * - StringLiteral: `{ type, value }`
+ *   A double-quoted string with escapes already decoded.
+ *
+ * - List: `{ type, elements }`
+ *   A list literal `[a, b, ...]`, evaluating to `{ type: "sequence", values }`.
+ *
+ * - UnaryOp: `{ type, operator, operand }`
+ *   Negation; `operator` is "-".
+ *
+ * - BinaryOp: `{ type, operator, left, right }`
+ *   `operator` is one of "+", "-", "*", "/", or "E" / "_^" for scientific notation.
+ *
+ * - Power: `{ type, operator, base, exponent }`
+ *   `operator` is "^" (pow) or "**" (multiplicative power). `√x`, `∛x` and `∜x` are
+ *   read as `x ** (1/2)`, `x ** (1/3)` and `x ** (1/4)`.
+ *
+ * - Factorial: `{ type, operator, operand }`
+ *   `operator` is "!" or "!!".
+ *
+ * - Percent: `{ type, operator, operand }`
+ *   A relative unit after a value: `operator` is "%", "‰", "ppm" or "ppb", scaling the
+ *   operand by 1/100, 1/1000, 1/10^6 or 1/10^9.
+ *
+ * - Comparison: `{ type, operator, left, right }`
+ *   `operator` is one of "<", ">", "<=", ">=", "==", "!=" or "IN" (`x IN a:b`, membership of
+ *   the left value in the right). Evaluates to Integer 1 or 0, or 0:1 when indeterminate.
+ *
+ * - Logical: `{ type, operator, left, right }`
+ *   `operator` is "&&" or "||". Evaluates to Integer 1 or 0.
+ *
+ * - Variable: `{ type, name }`
+ *   A single lowercase letter or an underscore-prefixed name, read from
+ *   `options.variables` at evaluation time.
+ *
+ * - Assignment: `{ type, name, value }`
+ *   `name = value` at the top level of an expression. Evaluates to the value and
+ *   stores it in `options.variables` when one is given.
+ *
+ * - Call: `{ type, name, args }`
+ *   `Name(args)` (or `@Name(args)`). `name` starts with an uppercase letter and is looked
+ *   up in `options.functions`, then in the built-ins.
+ *
+ * - FunctionRef: `{ type, name }`
+ *   `@Name`, evaluating to the function itself, e.g. to pass it to another function.
+ *
+ * - FunctionDefinition: `{ type, name, params, body }`
+ *   `Name(a, b) -> body` at the top level of an expression. `params` are variable names
+ *   and `body` is a node. Evaluates to `{ type: "function", name, params, body }` and
+ *   stores it in `options.functions` when one is given.
+ *
+ * - Iteration: `{ type, name, index, body, low, high, step }`
+ *   `SUM[i](body, lo, hi)`, `PROD[i](...)` or `SEQ[i](body, lo, hi, step)`. `name` is
+ *   "SUM", "PROD" or "SEQ", `index` the variable name and `step` a node or null (1).
+ *
+ * - Index: `{ type, target, index }`
+ *   `target[index]` with a 1-based index; negative indexes count from the end.
+ *
+ * - Slice: `{ type, target, from, to }`
+ *   `target[from:to]`, both ends inclusive. `from` and `to` are nodes or null when omitted.
+ */
+
+/**
+ * The `type` values of AST nodes
+ */
+export const NodeType = Object.freeze({
+  LITERAL: "Literal",
+  INTERVAL: "Interval",
+  STRING_LITERAL: "StringLiteral",
+  LIST: "List",
+  UNARY_OP: "UnaryOp",
+  BINARY_OP: "BinaryOp",
+  POWER: "Power",
+  FACTORIAL: "Factorial",
+  PERCENT: "Percent",
+  COMPARISON: "Comparison",
+  LOGICAL: "Logical",
+  VARIABLE: "Variable",
+  ASSIGNMENT: "Assignment",
+  CALL: "Call",
+  FUNCTION_REF: "FunctionRef",
+  FUNCTION_DEFINITION: "FunctionDefinition",
+  ITERATION: "Iteration",
+  INDEX: "Index",
+  SLICE: "Slice",
+});
@@ -4,6 +4,16 @@
  * Handles parsing of base system definitions, including range notation.
  */
 
+import { BaseSystem } from "@ratmath/core";
+import { ParseError, ErrorCode } from "./errors.js";
+
+// "@" and a signed integer (the value of the first digit) or "@±" (centred on zero) ending a
+// definition; an escaped "\@" is a digit
+const VALUE_SUFFIX = /(?<=(?:^|[^\\])(?:\\\\)*)@(±|[+-]?\d+)$/;
+
+// Characters written with a backslash by toDefinition
+const SPECIAL_CHARACTER = /^[\\{!@-]$/;
+
 export class BaseParser {
     /**
      * Parses character sequence with range notation for Base System definitions.
@@ -14,57 +24,563 @@ export class BaseParser {
      * - "0-9a-f" → ["0","1",...,"9","a","b",...,"f"]
      * - "01234567" → ["0","1","2","3","4","5","6","7"]
      *
+     * Braces hold digits of several characters, matched greedily when parsing:
+     * - "{00-59}" → ["00","01",...,"59"] (a zero-padded numeric range)
+     * - "{ab,cd}0-9" → ["ab","cd","0",...,"9"] (a comma-separated list)
+     * - "{I,II,III}" is rejected: no digit may be the start of another
+     *
+     * Ranges run by Unicode code point, so "𝟎-𝟗" gives the ten mathematical bold digits.
+     * "!" drops digits listed before it ("0-9A-Z!I!L!O!U" is Crockford base 32 without
+     * lowercase), and a backslash makes the next character literal ("0-9\\-" ends in a
+     * hyphen, "\\\\" is a backslash).
+     *
+     * Digit i has value i. Definitions with a value suffix ("T01@±") describe
+     * signed-digit systems; build those with BaseParser.createSystem.
+     *
      * @param {string} sequence - The character sequence string
      * @returns {string[]} Array of characters in order
-     * @throws {Error} If the sequence format is invalid
+     * @throws {ParseError} If the sequence format is invalid (offsets refer to the sequence)
      */
     static parseDefinition(sequence) {
-        if (typeof sequence !== "string" || sequence.length === 0) {
-            throw new Error("Character sequence must be a non-empty string");
+        const { characters, offset } = BaseParser.#parse(sequence);
+        if (offset !== 0n) {
+            throw new ParseError(
+                `Definition '${sequence}' gives its digits signed values; use BaseParser.createSystem`,
+                { code: ErrorCode.BAD_BASE_DEFINITION, offset: sequence.search(VALUE_SUFFIX), input: sequence },
+            );
         }
+        return characters;
+    }
 
-        const characters = [];
-        let i = 0;
+    /**
+     * Builds a base system from a definition. A definition may end with a value suffix
+     * that shifts every digit value:
+     * - "T01@-1" → T = -1, 0 = 0, 1 = 1 (the first digit has value -1)
+     * - "-0+@±" → the same values, centred on zero (needs an odd number of digits)
+     * - "0-9" → an ordinary BaseSystem, digit i has value i
+     *
+     * Definitions with digits of several characters ("{00-59}"), or with characters
+     * outside the Basic Multilingual Plane ("𝟎-𝟗"), also give a CustomBaseSystem.
+     *
+     * The digit values must include zero and, when shifted, both a negative and a
+     * positive value, so that every integer has a representation.
+     *
+     * @param {string} sequence - The definition
+     * @param {string} name - Name of the system (optional)
+     * @returns {BaseSystem|CustomBaseSystem} The base system
+     * @throws {ParseError} If the definition is invalid
+     */
+    static createSystem(sequence, name) {
+        const { characters, offset } = BaseParser.#parse(sequence);
+        return offset === 0n && characters.every((char) => char.length === 1)
+            ? new BaseSystem(characters, name)
+            : new CustomBaseSystem(characters, offset, name);
+    }
 
-        while (i < sequence.length) {
-            // Check for range notation (char-char)
-            if (i + 2 < sequence.length && sequence[i + 1] === "-") {
-                const startChar = sequence[i];
-                const endChar = sequence[i + 2];
+    /**
+     * Writes characters back as the shortest definition that parseDefinition (or, for
+     * signed digits, createSystem) reads as the same digits: runs of consecutive code
+     * points become ranges, special characters (- \\ { ! @) are escaped, and digits of
+     * several characters go in braces.
+     *
+     * @param {string|string[]|BaseSystem|CustomBaseSystem} source - The digits, a base system
+     *   (whose digit values are kept as a value suffix) or a definition to shorten
+     * @returns {string} The definition
+     * @throws {ParseError} If the digits cannot form a definition (duplicates, fewer than two,
+     *   one digit the start of another, or "," or "}" inside a digit of several characters)
+     */
+    static toDefinition(source) {
+        const { characters, offset } = BaseParser.#digitsOf(source);
 
-                // Validate range
-                const startCode = startChar.charCodeAt(0);
-                const endCode = endChar.charCodeAt(0);
+        let definition = "";
+        let list = []; // Digits of several characters, written together as {a,b,c}
+        const flush = () => {
+            if (list.length > 0) definition += `{${list.join(",")}}`;
+            list = [];
+        };
 
-                if (startCode > endCode) {
-                    throw new Error(
-                        `Invalid range: '${startChar}-${endChar}'. Start character must come before end character.`
-                    );
+        for (const run of BaseParser.#runs(characters)) {
+            if ([...run[0]].length > 1) {
+                if (run.length >= 3) {
+                    flush();
+                    definition += `{${run[0]}-${run[run.length - 1]}}`;
+                } else {
+                    list.push(...run);
                 }
+                continue;
+            }
 
-                // Add all characters in range
-                for (let code = startCode; code <= endCode; code++) {
-                    characters.push(String.fromCharCode(code));
-                }
+            flush();
+            // A range needs an unescaped start; special characters are written one by one
+            let i = 0;
+            while (i < run.length && (run.length - i < 3 || SPECIAL_CHARACTER.test(run[i]))) {
+                definition += BaseParser.#escape(run[i++]);
+            }
+            if (i < run.length) {
+                definition += `${run[i]}-${BaseParser.#escape(run[run.length - 1])}`;
+            }
+        }
+        flush();
+
+        const base = BigInt(characters.length);
+        if (offset !== 0n) {
+            definition += base % 2n === 1n && offset === -(base - 1n) / 2n ? "@±" : `@${offset}`;
+        }
+
+        // Guarantee the round trip
+        const parsed = BaseParser.#parse(definition);
+        if (parsed.offset !== offset || parsed.characters.join("\0") !== characters.join("\0")) {
+            throw new ParseError(`Digits ${JSON.stringify(characters)} cannot be written as a definition`, {
+                code: ErrorCode.BAD_BASE_DEFINITION,
+            });
+        }
+        return definition;
+    }
+
+    /**
+     * Summarizes a base: its size, digit values, minimal definition, the runs of consecutive
+     * digits it is made of, and whether letter case matters. A base system reports its own
+     * setting; definitions and digits report what literals do, where case matters above 36
+     * digits and, up to 36, only when the digits have letters of both cases.
+     *
+     * @param {string|string[]|BaseSystem|CustomBaseSystem} source - A definition, the digits, or a base system
+     * @returns {{base: number, definition: string, ranges: Array<{first: string, last: string, size: number}>,
+     *   caseSensitive: boolean, multiCharacter: boolean, minValue: number, maxValue: number}}
+     * @throws {ParseError} If the definition is invalid
+     */
+    static describe(source) {
+        const { characters, offset } = BaseParser.#digitsOf(source);
+        return {
+            base: characters.length,
+            definition: BaseParser.toDefinition(source),
+            ranges: BaseParser.#runs(characters).map((run) => ({
+                first: run[0],
+                last: run[run.length - 1],
+                size: run.length,
+            })),
+            caseSensitive: BaseParser.#caseSensitive(source, characters),
+            multiCharacter: characters.some((char) => [...char].length > 1),
+            minValue: Number(offset),
+            maxValue: Number(offset) + characters.length - 1,
+        };
+    }
+
+    /**
+     * Whether letter case matters in literals of a base. Literals of up to 36 digits may be
+     * written in either case unless the digits have letters of both cases; larger bases
+     * take their letters as written.
+     * @private
+     */
+    static #caseSensitive(source, characters) {
+        if (source && typeof source === "object" && typeof source.caseSensitive === "boolean") {
+            return source.caseSensitive;
+        }
+        const letters = (pattern) => characters.some((char) => pattern.test(char));
+        if (characters.length > 36) {
+            return letters(/[a-zA-Z]/);
+        }
+        return letters(/[a-z]/) && letters(/[A-Z]/);
+    }
 
-                i += 3; // Skip past the range
+    /**
+     * The digits and first digit value of a definition, digit array or base system
+     * @private
+     */
+    static #digitsOf(source) {
+        if (typeof source === "string") {
+            return BaseParser.#parse(source);
+        }
+        const characters = Array.isArray(source) ? source : source && source.characters;
+        if (!Array.isArray(characters) || !characters.every((char) => typeof char === "string" && char.length > 0)) {
+            throw new ParseError("Expected a definition, an array of digits or a base system", {
+                code: ErrorCode.INVALID_INPUT,
+            });
+        }
+        return { characters, offset: typeof source.offset === "bigint" ? source.offset : 0n };
+    }
+
+    /**
+     * Splits digits into runs of consecutive code points, or of consecutive zero-padded
+     * numbers ("00", "01", ...); any other digit is a run of its own
+     * @private
+     */
+    static #runs(characters) {
+        const follows = (previous, char) => {
+            if ([...previous].length === 1 && [...char].length === 1) {
+                return char.codePointAt(0) === previous.codePointAt(0) + 1;
+            }
+            return /^\d{2,}$/.test(previous) && /^\d+$/.test(char) && char.length === previous.length &&
+                BigInt(char) === BigInt(previous) + 1n;
+        };
+
+        const runs = [];
+        for (const char of characters) {
+            const run = runs[runs.length - 1];
+            if (run && follows(run[run.length - 1], char)) {
+                run.push(char);
+            } else {
+                runs.push([char]);
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * @private
+     */
+    static #escape(char) {
+        return SPECIAL_CHARACTER.test(char) ? `\\${char}` : char;
+    }
+
+    /**
+     * Expands the ranges of a definition and reads its value suffix
+     * @private
+     */
+    static #parse(sequence) {
+        if (typeof sequence !== "string" || sequence.length === 0) {
+            throw new ParseError("Character sequence must be a non-empty string", { code: ErrorCode.INVALID_INPUT });
+        }
+
+        const suffix = sequence.match(VALUE_SUFFIX);
+        const digits = suffix ? sequence.substring(0, suffix.index) : sequence;
+
+        const characters = [];
+        const sources = []; // Offset in the sequence that produced each character
+        let i = 0;
+
+        while (i < digits.length) {
+            if (digits[i] === "!") {
+                // Exclusion: drop digits listed so far ("a-z!l!o")
+                if (i + 1 >= digits.length) {
+                    throw new ParseError("'!' must be followed by the digits to exclude", {
+                        code: ErrorCode.BAD_BASE_DEFINITION,
+                        offset: i,
+                        input: sequence,
+                    });
+                }
+                const excluded = BaseParser.#readItem(digits, i + 1, sequence);
+                for (const char of excluded.characters) {
+                    const index = characters.indexOf(char);
+                    if (index === -1) {
+                        throw new ParseError(`Cannot exclude '${char}': it is not one of the digits before it`, {
+                            code: ErrorCode.BAD_BASE_DEFINITION,
+                            offset: i,
+                            length: excluded.end - i,
+                            input: sequence,
+                        });
+                    }
+                    characters.splice(index, 1);
+                    sources.splice(index, 1);
+                }
+                i = excluded.end;
             } else {
-                // Single character
-                characters.push(sequence[i]);
-                i++;
+                const item = BaseParser.#readItem(digits, i, sequence);
+                for (const char of item.characters) {
+                    characters.push(char);
+                    sources.push(i);
+                }
+                i = item.end;
             }
         }
 
         // Validate no duplicates
         const uniqueChars = new Set(characters);
         if (uniqueChars.size !== characters.length) {
-            throw new Error("Character sequence contains duplicate characters");
+            const duplicate = characters.findIndex((char, index) => characters.indexOf(char) !== index);
+            throw new ParseError("Character sequence contains duplicate characters", {
+                code: ErrorCode.BAD_BASE_DEFINITION,
+                offset: sources[duplicate],
+                input: sequence,
+            });
+        }
+
+        // Greedy matching needs a prefix-free set: with "1" and "10" the digits of "10" are ambiguous
+        const prefix = characters.findIndex(
+            (char) => char.length > 1 && characters.some((other) => other !== char && char.startsWith(other)),
+        );
+        if (prefix !== -1) {
+            const char = characters[prefix];
+            const start = characters.find((other) => other !== char && char.startsWith(other));
+            throw new ParseError(`Digit '${start}' is the start of digit '${char}'`, {
+                code: ErrorCode.BAD_BASE_DEFINITION,
+                offset: sources[prefix],
+                input: sequence,
+            });
         }
 
         if (characters.length < 2) {
-            throw new Error("Base system must have at least 2 characters");
+            throw new ParseError("Base system must have at least 2 characters", { code: ErrorCode.BAD_BASE_DEFINITION });
         }
 
-        return characters;
+        const base = BigInt(characters.length);
+        let offset = 0n;
+        if (suffix && suffix[1] === "±") {
+            if (base % 2n === 0n) {
+                throw new ParseError("A balanced base needs an odd number of digits", {
+                    code: ErrorCode.BAD_BASE_DEFINITION,
+                    offset: suffix.index,
+                    length: suffix[0].length,
+                    input: sequence,
+                });
+            }
+            offset = -(base - 1n) / 2n;
+        } else if (suffix) {
+            offset = BigInt(suffix[1]);
+            if (offset !== 0n && !(offset < 0n && offset + base - 1n > 0n)) {
+                throw new ParseError(
+                    `Digit values ${offset} to ${offset + base - 1n} must include a negative and a positive value`,
+                    { code: ErrorCode.BAD_BASE_DEFINITION, offset: suffix.index, length: suffix[0].length, input: sequence },
+                );
+            }
+        }
+
+        return { characters, offset };
+    }
+
+    /**
+     * Reads a brace group, a range (char-char) or a single character at `i`
+     * @private
+     */
+    static #readItem(digits, i, sequence) {
+        if (digits[i] === "{") {
+            const close = digits.indexOf("}", i);
+            if (close === -1) {
+                throw new ParseError("Unclosed '{' in character sequence", {
+                    code: ErrorCode.BAD_BASE_DEFINITION,
+                    offset: i,
+                    input: sequence,
+                });
+            }
+            return {
+                characters: BaseParser.#expandGroup(digits.substring(i + 1, close), i, sequence),
+                end: close + 1,
+            };
+        }
+
+        const start = BaseParser.#readCharacter(digits, i, sequence);
+        if (start.escaped || digits[start.end] !== "-" || start.end + 1 >= digits.length) {
+            return { characters: [start.char], end: start.end };
+        }
+
+        // Range notation (char-char), by code point
+        const end = BaseParser.#readCharacter(digits, start.end + 1, sequence);
+        const startCode = start.char.codePointAt(0);
+        const endCode = end.char.codePointAt(0);
+
+        if (startCode > endCode) {
+            throw new ParseError(
+                `Invalid range: '${start.char}-${end.char}'. Start character must come before end character.`,
+                { code: ErrorCode.BAD_BASE_DEFINITION, offset: i, length: end.end - i, input: sequence },
+            );
+        }
+
+        const characters = [];
+        for (let code = startCode; code <= endCode; code++) {
+            characters.push(String.fromCodePoint(code));
+        }
+        return { characters, end: end.end };
+    }
+
+    /**
+     * Reads one character (a whole code point) at `i`; a backslash takes the next one
+     * literally, so `\-` is a hyphen and `\\` a backslash
+     * @private
+     */
+    static #readCharacter(digits, i, sequence) {
+        const escaped = digits[i] === "\\";
+        const at = escaped ? i + 1 : i;
+        if (at >= digits.length) {
+            throw new ParseError("A '\\' at the end of a character sequence must be escaped as '\\\\'", {
+                code: ErrorCode.BAD_BASE_DEFINITION,
+                offset: i,
+                input: sequence,
+            });
+        }
+        const char = String.fromCodePoint(digits.codePointAt(at));
+        return { char, escaped, end: at + char.length };
     }
+
+    /**
+     * Expands the contents of a brace group: a zero-padded range "00-59" or a list "a,b,c"
+     * @private
+     */
+    static #expandGroup(group, offset, sequence) {
+        const fail = (message) => {
+            throw new ParseError(message, {
+                code: ErrorCode.BAD_BASE_DEFINITION,
+                offset,
+                length: group.length + 2,
+                input: sequence,
+            });
+        };
+
+        const range = group.match(/^(\d+)-(\d+)$/);
+        if (range) {
+            const [, start, end] = range;
+            if (start.length !== end.length) {
+                fail(`Invalid range: '{${group}}'. Both ends must have the same number of digits.`);
+            }
+            if (BigInt(start) > BigInt(end)) {
+                fail(`Invalid range: '{${group}}'. Start must not be greater than end.`);
+            }
+            const tokens = [];
+            for (let n = BigInt(start); n <= BigInt(end); n++) {
+                tokens.push(n.toString().padStart(start.length, "0"));
+            }
+            return tokens;
+        }
+
+        const tokens = group.split(",");
+        for (const token of tokens) {
+            if (token === "") {
+                fail(`Empty digit in '{${group}}'`);
+            }
+            if (/[.:\/#\s]/.test(token)) {
+                fail(`Digit '${token}' may not contain '.', ':', '/', '#' or spaces`);
+            }
+        }
+        return tokens;
+    }
+}
+
+/**
+ * Length of the digit of `baseSystem` that starts at `text[i]`, or 0 when none does.
+ * Digits of several characters are matched greedily.
+ *
+ * @param {BaseSystem|CustomBaseSystem} baseSystem - The base system
+ * @param {string} text - The text
+ * @param {number} i - Offset in the text
+ * @returns {number}
+ */
+export function digitLength(baseSystem, text, i) {
+    if (baseSystem instanceof CustomBaseSystem) {
+        return baseSystem.digitLength(text, i);
+    }
+    return i < text.length && baseSystem.charMap.has(text[i]) ? 1 : 0;
 }
+
+/**
+ * Splits a run of digits into the digits of `baseSystem`, or returns null when it
+ * contains anything else
+ *
+ * @param {BaseSystem|CustomBaseSystem} baseSystem - The base system
+ * @param {string} text - The digits
+ * @returns {string[]|null}
+ */
+export function splitDigits(baseSystem, text) {
+    const digits = [];
+    for (let i = 0; i < text.length; ) {
+        const length = digitLength(baseSystem, text, i);
+        if (length === 0) return null;
+        digits.push(text.substring(i, i + length));
+        i += length;
+    }
+    return digits;
+}
+
+/**
+ * A base system whose digits may have signed values, such as balanced ternary (T01
+ * with T = -1), or several characters, such as base 60 with digits 00 to 59. It offers
+ * the parts of the BaseSystem interface the parser uses: `characters`, `base`, `name`,
+ * `charMap` (digit to value), `isValidString`, `toDecimal` and `fromDecimal`. A leading
+ * "-" is a sign unless "-" is a digit.
+ */
+export class CustomBaseSystem {
+    /**
+     * @param {string[]} characters - The digits in order of value
+     * @param {bigint} offset - Value of the first digit (0 or negative)
+     * @param {string} name - Name of the system (optional)
+     */
+    constructor(characters, offset = 0n, name) {
+        this.characters = characters;
+        this.base = characters.length;
+        this.offset = offset;
+        this.charMap = new Map(characters.map((char, i) => [char, Number(offset) + i]));
+        this.maxDigitLength = Math.max(...characters.map((char) => char.length));
+        this.name = name || (offset === 0n
+            ? `Base ${this.base}`
+            : `Base ${this.base} (digits ${offset} to ${offset + BigInt(this.base) - 1n})`);
+    }
+
+    /**
+     * Length of the longest digit starting at `text[i]`, or 0 when none does
+     *
+     * @param {string} text - The text
+     * @param {number} i - Offset in the text
+     * @returns {number}
+     */
+    digitLength(text, i) {
+        for (let length = Math.min(this.maxDigitLength, text.length - i); length > 0; length--) {
+            if (this.charMap.has(text.substring(i, i + length))) return length;
+        }
+        return 0;
+    }
+
+    /**
+     * Whether a string is a non-empty run of digits, optionally after a sign
+     *
+     * @param {string} str - The string to check
+     * @returns {boolean}
+     */
+    isValidString(str) {
+        if (typeof str !== "string") return false;
+        const digits = this.#unsigned(str).digits;
+        return digits.length > 0 && splitDigits(this, digits) !== null;
+    }
+
+    /**
+     * Converts a digit string to its integer value
+     *
+     * @param {string} str - The digits, optionally after a sign
+     * @returns {bigint} The value
+     * @throws {ParseError} If the string contains other characters
+     */
+    toDecimal(str) {
+        const { negative, digits } = this.#unsigned(str);
+        if (!this.isValidString(str)) {
+            throw new ParseError(`String "${str}" contains characters not valid for ${this.name}`, { code: ErrorCode.BAD_DIGIT });
+        }
+
+        const base = BigInt(this.base);
+        let value = 0n;
+        for (const digit of splitDigits(this, digits)) {
+            value = value * base + BigInt(this.charMap.get(digit));
+        }
+        return negative ? -value : value;
+    }
+
+    /**
+     * Writes an integer with the digits of this system. Signed digits need no sign.
+     *
+     * @param {bigint} value - The integer
+     * @returns {string} The digits
+     */
+    fromDecimal(value) {
+        const base = BigInt(this.base);
+        let rest = BigInt(value);
+        let result = "";
+        if (this.offset === 0n && rest < 0n) {
+            return "-" + this.fromDecimal(-rest);
+        }
+        do {
+            // The digit congruent to rest modulo the base
+            const index = (((rest - this.offset) % base) + base) % base;
+            result = this.characters[Number(index)] + result;
+            rest = (rest - (index + this.offset)) / base;
+        } while (rest !== 0n);
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    #unsigned(str) {
+        const negative = str.startsWith("-") && !this.charMap.has("-");
+        return { negative, digits: negative ? str.substring(1) : str };
+    }
+}
+
+/**
+ * The name CustomBaseSystem had before it also took digits of several characters
+ */
+export const SignedBaseSystem = CustomBaseSystem;
@@ -0,0 +1,169 @@
+/**
+ * errors.js
+ *
+ * Structured errors for the parser. Every error raised while tokenizing, parsing or
+ * evaluating an expression is a ParseError carrying a stable code and, when known,
+ * the position in the original input.
+ */
+
+/**
+ * Stable identifiers for ParseError.code
+ */
+export const ErrorCode = Object.freeze({
+  INVALID_INPUT: "INVALID_INPUT",
+  EMPTY_EXPRESSION: "EMPTY_EXPRESSION",
+  UNEXPECTED_CHARACTER: "UNEXPECTED_CHARACTER",
+  UNEXPECTED_TOKEN: "UNEXPECTED_TOKEN",
+  UNEXPECTED_END: "UNEXPECTED_END",
+  TRAILING_INPUT: "TRAILING_INPUT",
+  UNCLOSED_PAREN: "UNCLOSED_PAREN",
+  UNCLOSED_LIST: "UNCLOSED_LIST",
+  UNCLOSED_STRING: "UNCLOSED_STRING",
+  UNCLOSED_BRACKET: "UNCLOSED_BRACKET",
+  BAD_ESCAPE: "BAD_ESCAPE",
+  BAD_PREFIX: "BAD_PREFIX",
+  BAD_NUMBER: "BAD_NUMBER",
+  BAD_DIGIT: "BAD_DIGIT",
+  BAD_FRACTION: "BAD_FRACTION",
+  ZERO_DENOMINATOR: "ZERO_DENOMINATOR",
+  BAD_DECIMAL: "BAD_DECIMAL",
+  BAD_MIXED_NUMBER: "BAD_MIXED_NUMBER",
+  BAD_REPEATING_DECIMAL: "BAD_REPEATING_DECIMAL",
+  BAD_UNCERTAINTY: "BAD_UNCERTAINTY",
+  BRACKET_BASE_NOTATION: "BRACKET_BASE_NOTATION",
+  BAD_INTERVAL: "BAD_INTERVAL",
+  BAD_EXPONENT: "BAD_EXPONENT",
+  BAD_SCIENTIFIC: "BAD_SCIENTIFIC",
+  BAD_SEXAGESIMAL: "BAD_SEXAGESIMAL",
+  ZERO_POW_ZERO: "ZERO_POW_ZERO",
+  ZERO_MPOW_EXPONENT: "ZERO_MPOW_EXPONENT",
+  BAD_FACTORIAL: "BAD_FACTORIAL",
+  BAD_CF: "BAD_CF",
+  BAD_CF_TERM: "BAD_CF_TERM",
+  BAD_BASE_DEFINITION: "BAD_BASE_DEFINITION",
+  BAD_ASSIGNMENT: "BAD_ASSIGNMENT",
+  UNDEFINED_VARIABLE: "UNDEFINED_VARIABLE",
+  UNDEFINED_FUNCTION: "UNDEFINED_FUNCTION",
+  BAD_FUNCTION_DEFINITION: "BAD_FUNCTION_DEFINITION",
+  BAD_ARGUMENTS: "BAD_ARGUMENTS",
+  BAD_INDEX: "BAD_INDEX",
+  TOO_MANY_ITERATIONS: "TOO_MANY_ITERATIONS",
+  TOO_DEEP: "TOO_DEEP",
+  INDETERMINATE: "INDETERMINATE",
+  EMPTY_INTERVAL: "EMPTY_INTERVAL",
+  UNSUPPORTED: "UNSUPPORTED",
+  UNKNOWN_NODE: "UNKNOWN_NODE",
+  EVALUATION_ERROR: "EVALUATION_ERROR",
+});
+
+/**
+ * Error raised for invalid expressions and literals.
+ *
+ * `offset` and `length` locate the problem in `input` (offsets are 0-based, `line` and
+ * `column` are 1-based). They are null when the position is unknown, e.g. for a
+ * literal parsed on its own or a hand-built syntax tree.
+ */
+export class ParseError extends Error {
+  /**
+   * @param {string} message - Human readable description
+   * @param {Object} details - Error details
+   * @param {string} details.code - One of ErrorCode (default: UNEXPECTED_TOKEN)
+   * @param {number|null} details.offset - Offset of the problem in the input
+   * @param {number} details.length - Number of characters to underline (default: 1)
+   * @param {Array<string>} details.expected - Token kinds that would have been valid here
+   * @param {string|null} details.input - The text the offset refers to
+   * @param {Error} details.cause - Underlying error, if this wraps one
+   */
+  constructor(
+    message,
+    {
+      code = ErrorCode.UNEXPECTED_TOKEN,
+      offset = null,
+      length = 1,
+      expected = [],
+      input = null,
+      cause,
+    } = {},
+  ) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = "ParseError";
+    this.code = code;
+    this.offset = offset;
+    this.length = Math.max(1, length);
+    this.expected = expected;
+    this.input = input;
+  }
+
+  /**
+   * 1-based line of the offset in the input, or null if unknown
+   */
+  get line() {
+    const position = this.#position();
+    return position ? position.line : null;
+  }
+
+  /**
+   * 1-based column of the offset in the input, or null if unknown
+   */
+  get column() {
+    const position = this.#position();
+    return position ? position.column : null;
+  }
+
+  /**
+   * Formats the error with the offending line of the input and a caret underline:
+   *
+   *     Missing closing parenthesis (line 1, column 8)
+   *       (1 + 2 * 3
+   *              ^
+   *
+   * @returns {string}
+   */
+  format() {
+    const position = this.#position();
+    if (!position) {
+      return this.offset === null ? this.message : `${this.message} (at offset ${this.offset})`;
+    }
+
+    const lineText = this.input.split("\n")[position.line - 1];
+    const available = Math.max(1, lineText.length - position.column + 1);
+    const carets = "^".repeat(Math.min(this.length, available));
+    let text = `${this.message} (line ${position.line}, column ${position.column})\n`;
+    text += `  ${lineText}\n`;
+    text += `  ${" ".repeat(position.column - 1)}${carets}`;
+    if (this.expected.length > 0) {
+      text += `\n  expected: ${this.expected.join(", ")}`;
+    }
+    return text;
+  }
+
+  /**
+   * Wraps any error as a ParseError, leaving ParseErrors untouched
+   *
+   * @param {Error} error - The error to wrap
+   * @param {Object} details - Details for the wrapper (see constructor)
+   * @returns {ParseError}
+   */
+  static from(error, details = {}) {
+    if (error instanceof ParseError) {
+      return error;
+    }
+    return new ParseError(error.message, {
+      code: ErrorCode.EVALUATION_ERROR,
+      ...details,
+      cause: error,
+    });
+  }
+
+  /**
+   * @private
+   */
+  #position() {
+    if (this.offset === null || typeof this.input !== "string") {
+      return null;
+    }
+    const before = this.input.substring(0, this.offset);
+    const lines = before.split("\n");
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+  }
+}
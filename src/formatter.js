@@ -0,0 +1,386 @@
+/**
+ * formatter.js
+ *
+ * Writes values in the literal notations that Parser.parse reads. Every notation is exact:
+ * Parser.parse(Formatter.format(value, options)) gives back an equal value of the same
+ * type, and a value that a notation cannot express exactly is rejected rather than rounded.
+ */
+
+import { Integer, Rational, RationalInterval, BaseSystem } from "@ratmath/core";
+import { ParseError, ErrorCode } from "./errors.js";
+
+/**
+ * Notations accepted by Formatter.format
+ */
+export const Notation = Object.freeze({
+  FRACTION: "fraction",
+  DECIMAL: "decimal",
+  MIXED: "mixed",
+  CONTINUED_FRACTION: "continuedFraction",
+  BASE: "base",
+  RANGE: "range",
+  RELATIVE: "relative",
+  SYMMETRIC: "symmetric",
+  SHORTEST: "shortest",
+});
+
+// Uncertainty notations describe a whole interval rather than each endpoint
+const UNCERTAINTY_NOTATIONS = [Notation.RANGE, Notation.RELATIVE, Notation.SYMMETRIC];
+
+export class Formatter {
+  /**
+   * Formats a value in one of the notations Parser.parse reads.
+   *
+   * - fraction: `3/4`, `-5`, intervals `1/2:3/4` (default)
+   * - decimal: `0.25`, `0.1#6` with the repeating part after `#`
+   * - mixed: `1..2/3`
+   * - continuedFraction: `3.~7~16`
+   * - base: prefixed literals such as `0xff` or `0b101/11`; `options.prefix` names a
+   *   registered prefix (default "x")
+   * - range, relative, symmetric: uncertainty brackets `1.2[3,6]`, `1.23[+5,-6]` and
+   *   `1.23[+-10]`; range needs terminating decimal endpoints, the others a terminating
+   *   decimal base and write repeating offsets like `1.3[+-#3]`
+   * - shortest: only through Parser.format, which picks the shortest verified candidate
+   *
+   * Intervals are written as `low:high` in the endpoint notations. Lists are written as
+   * list literals and strings as string literals.
+   *
+   * @param {Integer|Rational|RationalInterval|string|Object} value - The value to format
+   * @param {Object} options - Formatting options
+   * @param {string} options.notation - One of Notation (default: fraction)
+   * @param {string} options.prefix - Base prefix for the base notation (default: "x")
+   * @returns {string} Text that parses back to the value
+   * @throws {ParseError} If the notation cannot express the value exactly
+   */
+  static format(value, options = {}) {
+    const notation = options.notation || Notation.FRACTION;
+    if (!Object.values(Notation).includes(notation)) {
+      throw new ParseError(`Unknown notation: ${notation}`, { code: ErrorCode.INVALID_INPUT });
+    }
+
+    if (notation === Notation.SHORTEST) {
+      throw new ParseError("The shortest notation is chosen by Parser.format, which re-parses each candidate", {
+        code: ErrorCode.UNSUPPORTED,
+      });
+    }
+
+    if (typeof value === "string") {
+      return `"${value.replace(/[\\"]/g, (c) => `\\${c}`)}"`;
+    }
+    if (value && value.type === "sequence") {
+      return `[${value.values.map((v) => Formatter.format(v, options)).join(", ")}]`;
+    }
+    if (value instanceof RationalInterval) {
+      return Formatter.#formatInterval(value, notation, options);
+    }
+    if (!(value instanceof Integer) && !(value instanceof Rational)) {
+      throw new ParseError("Only numbers, intervals, strings and lists can be formatted", {
+        code: ErrorCode.UNSUPPORTED,
+      });
+    }
+    if (UNCERTAINTY_NOTATIONS.includes(notation)) {
+      throw new ParseError(`The ${notation} notation is only for intervals`, { code: ErrorCode.UNSUPPORTED });
+    }
+
+    if (value instanceof Integer) {
+      return Formatter.#formatNumber(value.value, 1n, notation, options, false);
+    }
+
+    // A whole Rational must keep a written denominator, or it would parse as an Integer
+    if (value.denominator === 1n) {
+      if (notation === Notation.MIXED) {
+        return `${value.numerator}..0/1`;
+      }
+      if (notation === Notation.BASE) {
+        return `${Formatter.#formatNumber(value.numerator, 1n, notation, options, false)}/1`;
+      }
+      return `${value.numerator}/1`;
+    }
+    return Formatter.#formatNumber(value.numerator, value.denominator, notation, options, false);
+  }
+
+  /**
+   * Every notation of an interval worth considering for the shortest form: `low:high` with
+   * fraction and decimal endpoints, then the uncertainty notations that apply. Candidates
+   * are not checked here; Parser.format re-parses each one before choosing.
+   *
+   * @param {RationalInterval} interval - The interval to write
+   * @returns {Array<string>} Candidate notations
+   */
+  static candidates(interval) {
+    const candidates = [Notation.FRACTION, Notation.DECIMAL].map((notation) =>
+      Formatter.#formatInterval(interval, notation, {}),
+    );
+    for (const notation of UNCERTAINTY_NOTATIONS) {
+      try {
+        candidates.push(Formatter.#formatInterval(interval, notation, {}));
+      } catch (error) {
+        if (error.code !== ErrorCode.UNSUPPORTED) throw error;
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * @private
+   */
+  static #formatInterval(interval, notation, options) {
+    const { low, high } = interval;
+
+    if (notation === Notation.RANGE) {
+      return Formatter.#formatRange(low, high);
+    }
+    if (notation === Notation.RELATIVE) {
+      return Formatter.#formatRelative(low, high);
+    }
+    if (notation === Notation.SYMMETRIC) {
+      return Formatter.#formatSymmetric(low, high);
+    }
+
+    const endpoint = (r) => Formatter.#formatNumber(r.numerator, r.denominator, notation, options, true);
+    return `${endpoint(low)}:${endpoint(high)}`;
+  }
+
+  /**
+   * Formats numerator/denominator (denominator > 0) in an endpoint notation.
+   * Interval endpoints differ only for continued fractions: there the sign belongs to the
+   * integer part (-4.~1~6 is -4 + 6/7), while a standalone -3.~7 is -(3.~7).
+   * @private
+   */
+  static #formatNumber(numerator, denominator, notation, options, isEndpoint) {
+    const sign = numerator < 0n ? "-" : "";
+    const n = numerator < 0n ? -numerator : numerator;
+    const d = denominator;
+
+    switch (notation) {
+      case Notation.DECIMAL: {
+        const { integer, digits, period } = Formatter.#expand(n, d);
+        if (digits === "" && period === "") {
+          return `${sign}${integer}`;
+        }
+        return `${sign}${integer}.${digits}${period ? `#${period}` : ""}`;
+      }
+
+      case Notation.MIXED:
+        // Inside an interval -0..1/2 loses its sign, so a negative proper fraction stays plain
+        if (d === 1n || (isEndpoint && sign && n < d)) {
+          return d === 1n ? `${sign}${n}` : `${sign}${n}/${d}`;
+        }
+        return `${sign}${n / d}..${n % d}/${d}`;
+
+      case Notation.CONTINUED_FRACTION: {
+        const terms = isEndpoint
+          ? Formatter.#continuedFraction(numerator, d)
+          : Formatter.#continuedFraction(n, d);
+        const prefix = isEndpoint ? "" : sign;
+        const [whole, ...rest] = terms;
+        return `${prefix}${whole}.~${rest.length > 0 ? rest.join("~") : "0"}`;
+      }
+
+      case Notation.BASE: {
+        const prefix = options.prefix || "x";
+        const baseSystem = BaseSystem.getSystemForPrefix(prefix);
+        if (!baseSystem) {
+          throw new ParseError(`Unregistered base prefix: ${prefix}`, { code: ErrorCode.BAD_PREFIX });
+        }
+        const digits = `${sign}0${prefix}${baseSystem.fromDecimal(n)}`;
+        return d === 1n ? digits : `${digits}/${baseSystem.fromDecimal(d)}`;
+      }
+
+      default:
+        return d === 1n ? `${sign}${n}` : `${sign}${n}/${d}`;
+    }
+  }
+
+  /**
+   * Decimal expansion of n/d (n >= 0, d > 0): the integer part, the digits before the
+   * repeating part, and the repeating part ("" when the expansion terminates)
+   * @private
+   */
+  static #expand(n, d) {
+    const integer = n / d;
+    let remainder = n % d;
+    const seen = new Map();
+    let digits = "";
+
+    while (remainder !== 0n && !seen.has(remainder)) {
+      seen.set(remainder, digits.length);
+      remainder *= 10n;
+      digits += (remainder / d).toString();
+      remainder %= d;
+    }
+
+    if (remainder === 0n) {
+      return { integer, digits, period: "" };
+    }
+    const start = seen.get(remainder);
+    return { integer, digits: digits.substring(0, start), period: digits.substring(start) };
+  }
+
+  /**
+   * Continued fraction terms of n/d with a floored integer part
+   * @private
+   */
+  static #continuedFraction(n, d) {
+    let whole = n / d;
+    if (n % d !== 0n && n < 0n) {
+      whole -= 1n;
+    }
+    const terms = [whole];
+    let [num, den] = [d, n - whole * d];
+    while (den !== 0n) {
+      terms.push(num / den);
+      [num, den] = [den, num % den];
+    }
+    return terms;
+  }
+
+  /**
+   * Writes a Rational as a terminating decimal, or returns null if it does not terminate
+   * @private
+   */
+  static #decimal(r) {
+    const { integer, digits, period } = Formatter.#expand(r.numerator < 0n ? -r.numerator : r.numerator, r.denominator);
+    if (period !== "") {
+      return null;
+    }
+    const sign = r.numerator < 0n ? "-" : "";
+    return digits === "" ? `${sign}${integer}` : `${sign}${integer}.${digits}`;
+  }
+
+  /**
+   * @private
+   */
+  static #places(decimal) {
+    const point = decimal.indexOf(".");
+    return point === -1 ? 0 : decimal.length - point - 1;
+  }
+
+  /**
+   * @private
+   */
+  static #requireDecimals(low, high, notation) {
+    const lowText = Formatter.#decimal(low);
+    const highText = Formatter.#decimal(high);
+    if (lowText === null || highText === null) {
+      throw new ParseError(
+        `${low.toString()}:${high.toString()} has no exact ${notation} notation: the endpoints are not terminating decimals`,
+        { code: ErrorCode.UNSUPPORTED },
+      );
+    }
+    return { lowText, highText };
+  }
+
+  /**
+   * Range notation: the common leading digits followed by the remaining digits of each
+   * endpoint, 1.23:1.26 → 1.2[3,6]
+   * @private
+   */
+  static #formatRange(low, high) {
+    const { lowText, highText } = Formatter.#requireDecimals(low, high, Notation.RANGE);
+    const negative = lowText.startsWith("-");
+    if (negative !== highText.startsWith("-") && high.numerator !== 0n) {
+      throw new ParseError(`${low.toString()}:${high.toString()} has no range notation: the endpoints differ in sign`, {
+        code: ErrorCode.UNSUPPORTED,
+      });
+    }
+
+    // Pad to the same number of decimal places so the digits line up
+    const places = Math.max(Formatter.#places(lowText), Formatter.#places(highText));
+    const pad = (text) => {
+      const unsigned = text.replace("-", "");
+      const own = Formatter.#places(unsigned);
+      if (own === places) return unsigned;
+      return (own === 0 ? `${unsigned}.` : unsigned) + "0".repeat(places - own);
+    };
+    let a = pad(lowText);
+    let b = pad(highText);
+    if (a.length !== b.length) {
+      throw new ParseError(`${low.toString()}:${high.toString()} has no range notation: the endpoints differ in length`, {
+        code: ErrorCode.UNSUPPORTED,
+      });
+    }
+
+    let common = 0;
+    while (common < a.length - 1 && a[common] === b[common]) common++;
+    // A base ending in "." means something else (1.[3,6]); move the point into the digits
+    if (a[common - 1] === ".") common--;
+    if (common === 0) {
+      throw new ParseError(`${low.toString()}:${high.toString()} has no range notation: no common leading digits`, {
+        code: ErrorCode.UNSUPPORTED,
+      });
+    }
+
+    return `${negative ? "-" : ""}${a.substring(0, common)}[${a.substring(common)},${b.substring(common)}]`;
+  }
+
+  /**
+   * Symmetric notation around the midpoint, which must be a terminating decimal. Offsets
+   * count units of the digit after the last decimal place of the base (1.23[+-10] is
+   * 1.23 ± 0.010); on an integer base they are absolute.
+   * @private
+   */
+  static #formatSymmetric(low, high) {
+    const two = new Rational(2);
+    const mid = Formatter.#decimal(low.add(high).divide(two));
+    if (mid === null) {
+      throw new ParseError(
+        `${low.toString()}:${high.toString()} has no exact symmetric notation: the midpoint is not a terminating decimal`,
+        { code: ErrorCode.UNSUPPORTED },
+      );
+    }
+    return `${mid}[+-${Formatter.#offset(high.subtract(low).divide(two), mid)}]`;
+  }
+
+  /**
+   * Relative notation around the shortest decimal base between the endpoints that the
+   * midpoint rounds to, 1.224:1.235 → 1.23[+5,-6]
+   * @private
+   */
+  static #formatRelative(low, high) {
+    if (low.equals(high) && Formatter.#decimal(low) === null) {
+      throw new ParseError(`${low.toString()} has no exact relative notation: it is not a terminating decimal`, {
+        code: ErrorCode.UNSUPPORTED,
+      });
+    }
+    const mid = low.add(high).divide(new Rational(2));
+
+    // Some rounding of the midpoint lands inside any interval of positive width
+    let base = null;
+    for (let places = 0; base === null; places++) {
+      const scale = new Rational(10n ** BigInt(places));
+      const scaled = mid.multiply(scale).add(new Rational(1, 2));
+      let floor = scaled.numerator / scaled.denominator;
+      if (scaled.numerator < 0n && scaled.numerator % scaled.denominator !== 0n) floor -= 1n;
+      const candidate = new Rational(floor).divide(scale);
+      if (candidate.compareTo(low) >= 0 && candidate.compareTo(high) <= 0) {
+        base = candidate;
+      }
+    }
+
+    const baseText = Formatter.#decimal(base);
+    const plus = Formatter.#offset(high.subtract(base), baseText);
+    const minus = Formatter.#offset(base.subtract(low), baseText);
+    return `${baseText}[+${plus},-${minus}]`;
+  }
+
+  /**
+   * Writes an offset in the units uncertainty notation uses for a base: the digit after
+   * the last decimal place of the base, or absolute on an integer base. An offset that is
+   * a pure repeating fraction of the last place itself uses the shorter `#` form
+   * (1.3[+-#3] is 1.3 ± 0.0#3).
+   * @private
+   */
+  static #offset(offset, baseText) {
+    const places = baseText.includes(".") ? Formatter.#places(baseText) : null;
+    const units = places === null ? offset : offset.multiply(new Rational(10n ** BigInt(places + 1)));
+    const text = Formatter.#formatNumber(units.numerator, units.denominator, Notation.DECIMAL, {}, false);
+
+    const lastPlace = places === null ? offset : offset.multiply(new Rational(10n ** BigInt(places)));
+    const { integer, digits, period } = Formatter.#expand(lastPlace.numerator, lastPlace.denominator);
+    if (integer === 0n && digits === "" && period !== "" && period.length + 1 < text.length) {
+      return `#${period}`;
+    }
+    return text;
+  }
+}
@@ -20,9 +20,84 @@ import {
   rationalIntervalPower,
 } from "@ratmath/reals";
 
-export { BaseParser } from "./base-parser.js";
+import { Tokenizer, TokenType, SI_PREFIXES } from "./tokenizer.js";
+import { NodeType } from "./ast.js";
+import { ParseError, ErrorCode } from "./errors.js";
+import { Formatter, Notation } from "./formatter.js";
+import { digitLength, splitDigits } from "./base-parser.js";
+
+export { BaseParser, CustomBaseSystem, SignedBaseSystem } from "./base-parser.js";
+export { Tokenizer, TokenType } from "./tokenizer.js";
+export { NodeType } from "./ast.js";
+export { ParseError, ErrorCode } from "./errors.js";
+export { Formatter, Notation } from "./formatter.js";
 
 const DEFAULT_PRECISION = -6; // 10^-6
+const DEFAULT_MAX_ITERATIONS = 100000; // SUM, PROD, SEQ and RANGE
+const DEFAULT_MAX_DEPTH = 256; // Nested calls of defined functions
+
+// Relative units and the denominators they scale by: 5% is 5/100, 250ppm is 250/10^6
+const RELATIVE_UNITS = Object.freeze({ "%": 100n, "‰": 1000n, ppm: 1000000n, ppb: 1000000000n });
+
+/**
+ * Parses a degree or time literal into an exact value: 12°34'56.7" and 12d34m56.7s are
+ * degrees, 1h23m45.6s and (in hms mode) 1:23:45.6 are seconds. Minutes and seconds must be
+ * below 60 and only the last component may have a fractional part or an uncertainty
+ * bracket, which makes the result an interval.
+ *
+ * @param {string} str - The literal without whitespace
+ * @param {Object} options - Parsing options (typeAware)
+ * @returns {Integer|Rational|RationalInterval} The value in degrees or seconds
+ * @throws {ParseError} If the components are out of order or out of range
+ */
+function parseSexagesimal(str, options = {}) {
+  const pieces = str.includes(":")
+    ? str.split(":").map((amount, i) => ({ amount, unit: "hms"[i] }))
+    : [...str.matchAll(/([\d.]+(?:\[[^\]]*\])?)(.)/g)].map((match) => ({ amount: match[1], unit: match[2] }));
+
+  const degrees = pieces[0].unit === "°" || pieces[0].unit === "d";
+  const order = pieces[0].unit === "°" ? ["°", "'′", '"″'] : [degrees ? "d" : "h", "m", "s"];
+  const factors = degrees
+    ? [new Rational(1), new Rational(1, 60), new Rational(1, 3600)]
+    : [new Rational(3600), new Rational(60), new Rational(1)];
+  let rank = -1;
+  let total = new Rational(0);
+  let uncertainty = null;
+  pieces.forEach(({ amount, unit }, i) => {
+    const unitRank = order.findIndex((units) => units.includes(unit));
+    const isLast = i === pieces.length - 1;
+    if (unitRank <= rank) {
+      throw new ParseError(`Components of ${str} are out of order`, { code: ErrorCode.BAD_SEXAGESIMAL });
+    }
+    if (!isLast && !/^\d+$/.test(amount)) {
+      throw new ParseError(`Only the last component of ${str} may have a fraction or uncertainty`, {
+        code: ErrorCode.BAD_SEXAGESIMAL,
+      });
+    }
+    rank = unitRank;
+
+    let value = amount.includes("[")
+      ? parseDecimalUncertainty(amount, options)
+      : parseRepeatingDecimalOrRegular(amount);
+    if (i > 0 && (value instanceof RationalInterval ? value.high : value).compareTo(new Rational(60)) >= 0) {
+      throw new ParseError(`Minutes and seconds must be below 60 in ${str}`, { code: ErrorCode.BAD_SEXAGESIMAL });
+    }
+    value = value.multiply(factors[unitRank]);
+    if (value instanceof RationalInterval) {
+      uncertainty = value;
+    } else {
+      total = total.add(value);
+    }
+  });
+
+  if (uncertainty) {
+    return new RationalInterval(uncertainty.low.add(total), uncertainty.high.add(total));
+  }
+  if (options.typeAware === false) {
+    return RationalInterval.point(total);
+  }
+  return total.denominator === 1n ? new Integer(total.numerator) : total;
+}
 
 /**
  * Parses a decimal with uncertainty notation and returns a RationalInterval
@@ -33,18 +108,24 @@ const DEFAULT_PRECISION = -6; // 10^-6
  *
  * @param {string} str - String with uncertainty notation
  * @returns {RationalInterval} The interval representation
- * @throws {Error} If the string format is invalid
+ * @throws {ParseError} If the string format is invalid
  */
 function parseDecimalUncertainty(str, options = {}) {
   const allowIntegerRangeNotation = options.allowIntegerRangeNotation !== false;
-  const inputBase = options.inputBase || BaseSystem.DECIMAL;
+  let inputBase = options.inputBase || BaseSystem.DECIMAL;
 
   const uncertaintyMatch = str.match(/^(-?[@\w./:^]+)\[([^\]]+)\]((?:[Ee][+-]?[\w]+|\_?\^-?[\w]+)?)$/);
   if (!uncertaintyMatch) {
-    throw new Error("Invalid uncertainty format");
+    throw new ParseError("Invalid uncertainty format", { code: ErrorCode.BAD_UNCERTAINTY });
   }
 
   const baseStr = uncertaintyMatch[1];
+
+  // A prefixed base value (0x1.2[+-#5]) sets the base of the offsets and their place value
+  const prefixMatch = baseStr.match(/^-?0([a-zA-Z])/);
+  if (prefixMatch && BaseSystem.getSystemForPrefix(prefixMatch[1])) {
+    inputBase = BaseSystem.getSystemForPrefix(prefixMatch[1]);
+  }
   const uncertaintyStr = uncertaintyMatch[2];
   const trailingPart = uncertaintyMatch[3];
 
@@ -85,15 +166,17 @@ function parseDecimalUncertainty(str, options = {}) {
   ) {
     // Range notation: 1.23[56:67] → 1.2356:1.2367
     if (baseDecimalPlaces === 0 && !allowIntegerRangeNotation) {
-      throw new Error(
+      throw new ParseError(
         "Range notation on integer bases is not supported in this context",
+        { code: ErrorCode.BAD_UNCERTAINTY },
       );
     }
 
     const rangeParts = uncertaintyStr.split(/[: ,]+/).filter((s) => s.length > 0);
     if (rangeParts.length !== 2) {
-      throw new Error(
+      throw new ParseError(
         "Range notation must have exactly two values separated by colon or comma",
+        { code: ErrorCode.BAD_UNCERTAINTY },
       );
     }
 
@@ -103,7 +186,7 @@ function parseDecimalUncertainty(str, options = {}) {
     // Reject E notation in the base string if it's confusing (scientific notation)
     const hasConfusingENotation = (inputBase.base === 10 && (baseStr.includes("E") || baseStr.includes("e"))) || baseStr.includes("_^");
     if (hasConfusingENotation) {
-      throw new Error("Uncertainty notation cannot be used with scientific notation in the base value");
+      throw new ParseError("Uncertainty notation cannot be used with scientific notation in the base value", { code: ErrorCode.BAD_UNCERTAINTY });
     }
 
     const isValidForBase = (s) => {
@@ -115,7 +198,7 @@ function parseDecimalUncertainty(str, options = {}) {
     };
 
     if (!isValidForBase(lowerUncertainty) || !isValidForBase(upperUncertainty)) {
-      throw new Error(`Range values must be valid for base ${inputBase.base}`);
+      throw new ParseError(`Range values must be valid for base ${inputBase.base}`, { code: ErrorCode.BAD_UNCERTAINTY });
     }
 
     const lowerBoundStr = baseStr + lowerUncertainty;
@@ -138,16 +221,29 @@ function parseDecimalUncertainty(str, options = {}) {
     // Symmetric notation: 1.23[+-5]
     const offsetStr = uncertaintyStr.substring(2);
     if (!offsetStr) {
-      throw new Error(
+      throw new ParseError(
         "Symmetric notation must have a valid number after +- or -+",
+        { code: ErrorCode.BAD_UNCERTAINTY },
       );
     }
 
     const isRepeating = offsetStr.startsWith("#");
-    const offset = parseRepeatingDecimalOrRegular(offsetStr, inputBase);
+    const unit = Object.keys(RELATIVE_UNITS).find((suffix) => offsetStr.endsWith(suffix));
+    const offset = unit ? null : parseRepeatingDecimalOrRegular(offsetStr, inputBase);
     const baseVal = BigInt(inputBase.base);
 
-    if (baseDecimalPlaces === 0 && !baseStr.includes(".")) {
+    if (unit) {
+      // Relative tolerance: 100[+-2%] is 100 ± 2, with the amount written in decimal
+      const amountStr = offsetStr.substring(0, offsetStr.length - unit.length);
+      if (!amountStr) {
+        throw new ParseError(`Relative uncertainty needs an amount before ${unit}`, { code: ErrorCode.BAD_UNCERTAINTY });
+      }
+      const magnitude = baseValue instanceof Integer ? baseValue.toRational().abs() : baseValue.abs();
+      const scaledOffset = magnitude
+        .multiply(parseRepeatingDecimalOrRegular(amountStr))
+        .divide(new Rational(RELATIVE_UNITS[unit]));
+      result = new RationalInterval(baseValue.subtract(scaledOffset), baseValue.add(scaledOffset));
+    } else if (baseDecimalPlaces === 0 && !baseStr.includes(".")) {
       const upperBound = baseValue.add(offset);
       const lowerBound = baseValue.subtract(offset);
       result = new RationalInterval(lowerBound, upperBound);
@@ -165,14 +261,15 @@ function parseDecimalUncertainty(str, options = {}) {
     // Relative notation: 1.23[+5,-6]
     const relativeParts = uncertaintyStr.split(/[: ,]+/).filter(s => s.length > 0).map((s) => s.trim());
     if (relativeParts.length > 2 || relativeParts.length === 0) {
-      throw new Error(
+      throw new ParseError(
         "Relative notation must have one or two values separated by colon or comma",
+        { code: ErrorCode.BAD_UNCERTAINTY },
       );
     }
 
     const hasConfusingENotation = (inputBase.base === 10 && (baseStr.includes("E") || baseStr.includes("e"))) || baseStr.includes("_^");
     if (hasConfusingENotation) {
-      throw new Error("Uncertainty notation cannot be used with scientific notation in the base value");
+      throw new ParseError("Uncertainty notation cannot be used with scientific notation in the base value", { code: ErrorCode.BAD_UNCERTAINTY });
     }
 
     let positiveOffset = null;
@@ -180,17 +277,17 @@ function parseDecimalUncertainty(str, options = {}) {
 
     for (const part of relativeParts) {
       if (part.startsWith("+")) {
-        if (positiveOffset !== null) throw new Error("Only one positive offset allowed");
+        if (positiveOffset !== null) throw new ParseError("Only one positive offset allowed", { code: ErrorCode.BAD_UNCERTAINTY });
         const offsetStr = part.substring(1);
-        if (!offsetStr) throw new Error("Offset must be a valid number");
+        if (!offsetStr) throw new ParseError("Offset must be a valid number", { code: ErrorCode.BAD_UNCERTAINTY });
         positiveOffset = parseRepeatingDecimalOrRegular(offsetStr, inputBase);
       } else if (part.startsWith("-")) {
-        if (negativeOffset !== null) throw new Error("Only one negative offset allowed");
+        if (negativeOffset !== null) throw new ParseError("Only one negative offset allowed", { code: ErrorCode.BAD_UNCERTAINTY });
         const offsetStr = part.substring(1);
-        if (!offsetStr) throw new Error("Offset must be a valid number");
+        if (!offsetStr) throw new ParseError("Offset must be a valid number", { code: ErrorCode.BAD_UNCERTAINTY });
         negativeOffset = parseRepeatingDecimalOrRegular(offsetStr, inputBase);
       } else {
-        throw new Error("Relative notation values must start with + or -");
+        throw new ParseError("Relative notation values must start with + or -", { code: ErrorCode.BAD_UNCERTAINTY });
       }
     }
 
@@ -235,8 +332,9 @@ function parseDecimalPointUncertainty(baseStr, uncertaintyStr, baseSystem = Base
     // Range notation: 0.[#3:#6] or 0.[1:4]
     const rangeParts = uncertaintyStr.split(/[: ,]+/).filter(s => s.length > 0);
     if (rangeParts.length !== 2) {
-      throw new Error(
+      throw new ParseError(
         "Range notation must have exactly two values separated by colon or comma",
+        { code: ErrorCode.BAD_UNCERTAINTY },
       );
     }
 
@@ -249,7 +347,7 @@ function parseDecimalPointUncertainty(baseStr, uncertaintyStr, baseSystem = Base
 
     return new RationalInterval(lowerBound, upperBound);
   } else {
-    throw new Error("Invalid uncertainty format for decimal point notation");
+    throw new ParseError("Invalid uncertainty format for decimal point notation", { code: ErrorCode.BAD_UNCERTAINTY });
   }
 }
 
@@ -259,9 +357,8 @@ function parseDecimalPointEndpoint(baseStr, endpointStr, baseSystem = BaseSystem
 
   if (endpointStr.startsWith("#")) {
     // Repeating decimal: combine base with repeating part
-    // Note: Repeating decimals with # are currently only supported in Base 10
     const fullStr = baseStr + endpointStr;
-    return parseRepeatingDecimal(fullStr);
+    return parseRepeatingDecimal(fullStr, baseSystem);
   } else {
     // Simple digits: append to base
     const fullStr = baseStr + endpointStr;
@@ -269,7 +366,7 @@ function parseDecimalPointEndpoint(baseStr, endpointStr, baseSystem = BaseSystem
       const result = parseBaseNotation(fullStr, baseSystem, { ...options, typeAware: true });
       return result instanceof Integer ? result.toRational() : result;
     } catch (e) {
-      throw new Error(`Invalid endpoint format: ${endpointStr}`);
+      throw new ParseError(`Invalid endpoint format: ${endpointStr}`, { code: ErrorCode.BAD_INTERVAL });
     }
   }
 }
@@ -300,10 +397,10 @@ function parseRepeatingDecimalOrRegular(str, baseSystem = BaseSystem.DECIMAL) {
       // Validate exponent is a valid integer in current base
       const absExponentPart = exponentPart.startsWith("-") ? exponentPart.substring(1) : exponentPart;
       if (!baseSystem.isValidString(absExponentPart)) {
-        throw new Error(`${eNotationType} notation exponent must be a valid integer in base ${baseSystem.base}`);
+        throw new ParseError(`${eNotationType} notation exponent must be a valid integer in base ${baseSystem.base}`, { code: ErrorCode.BAD_SCIENTIFIC });
       }
 
-      const baseValue = parseRepeatingDecimal(repeatingPart);
+      const baseValue = parseRepeatingDecimal(repeatingPart, baseSystem);
       const exponent = baseSystem.toDecimal(exponentPart);
 
       // Apply notation: multiply by scaleBase^exponent
@@ -319,7 +416,7 @@ function parseRepeatingDecimalOrRegular(str, baseSystem = BaseSystem.DECIMAL) {
 
       return baseValue.multiply(scale);
     } else {
-      return parseRepeatingDecimal(str);
+      return parseRepeatingDecimal(str, baseSystem);
     }
   } else {
     // Regular decimal or E/_^ notation (handled by parseBaseNotation)
@@ -328,35 +425,49 @@ function parseRepeatingDecimalOrRegular(str, baseSystem = BaseSystem.DECIMAL) {
 }
 
 /**
- * Parses a repeating decimal string and returns the exact rational equivalent
+ * Parses a repeating decimal string and returns the exact rational equivalent.
+ * Expansions in other bases use the digits of `baseSystem` or of a registered prefix,
+ * so "0x0.#5" and a binary "0.0#011" are both 1/3 and 3/14.
  *
  * @param {string} str - String like "0.12#45" or "733.#3" or "1.23#0" or "0.#3:0.5#0"
+ * @param {BaseSystem} baseSystem - Base of the digits when there is no prefix (default: decimal)
  * @returns {Rational|RationalInterval} The exact rational representation, or interval for non-repeating decimals
- * @throws {Error} If the string format is invalid
+ * @throws {ParseError} If the string format is invalid
  */
-export function parseRepeatingDecimal(str) {
+export function parseRepeatingDecimal(str, baseSystem = BaseSystem.DECIMAL) {
   if (!str || typeof str !== "string") {
-    throw new Error("Input must be a non-empty string");
+    throw new ParseError("Input must be a non-empty string", { code: ErrorCode.INVALID_INPUT });
   }
 
   str = str.trim();
 
   // Check if this is uncertainty notation (contains brackets)
   if (str.includes("[") && str.includes("]")) {
-    return parseDecimalUncertainty(str, { allowIntegerRangeNotation: false }); // Don't allow integer range notation in parseRepeatingDecimal
+    // Don't allow integer range notation in parseRepeatingDecimal
+    return parseDecimalUncertainty(str, { allowIntegerRangeNotation: false, inputBase: baseSystem });
   }
 
   // Check if this is an interval notation (contains colon)
   if (str.includes(":")) {
-    return parseRepeatingDecimalInterval(str);
+    return parseRepeatingDecimalInterval(str, baseSystem);
   }
 
-  // Handle negative numbers
-  const isNegative = str.startsWith("-");
+  // Handle negative numbers, unless "-" is a digit of the base
+  const isNegative = str.startsWith("-") && !baseSystem.charMap.has("-");
   if (isNegative) {
     str = str.substring(1);
   }
 
+  const prefixMatch = str.match(/^0([a-zA-Z])/);
+  if (prefixMatch && BaseSystem.getSystemForPrefix(prefixMatch[1])) {
+    baseSystem = BaseSystem.getSystemForPrefix(prefixMatch[1]);
+    str = str.substring(2);
+  }
+
+  if (!isDecimalSystem(baseSystem)) {
+    return parseRepeatingInBase(str, isNegative, baseSystem);
+  }
+
   // Check if this is a non-repeating decimal (no # symbol)
   if (!str.includes("#")) {
     return parseNonRepeatingDecimal(str, isNegative);
@@ -365,8 +476,9 @@ export function parseRepeatingDecimal(str) {
   // Split on the # symbol
   const parts = str.split("#");
   if (parts.length !== 2) {
-    throw new Error(
+    throw new ParseError(
       'Invalid repeating decimal format. Use format like "0.12#45"',
+      { code: ErrorCode.BAD_REPEATING_DECIMAL },
     );
   }
 
@@ -374,7 +486,7 @@ export function parseRepeatingDecimal(str) {
 
   // Validate repeating part
   if (!/^\d+$/.test(repeatingPart)) {
-    throw new Error("Repeating part must contain only digits");
+    throw new ParseError("Repeating part must contain only digits", { code: ErrorCode.BAD_REPEATING_DECIMAL });
   }
 
   // Handle special case where repeating part is "0" - this means the decimal terminates
@@ -383,15 +495,16 @@ export function parseRepeatingDecimal(str) {
       // Convert decimal string to rational manually
       const decimalParts = nonRepeatingPart.split(".");
       if (decimalParts.length > 2) {
-        throw new Error("Invalid decimal format - multiple decimal points");
+        throw new ParseError("Invalid decimal format - multiple decimal points", { code: ErrorCode.BAD_DECIMAL });
       }
 
       const integerPart = decimalParts[0] || "0";
       const fractionalPart = decimalParts[1] || "";
 
       if (!/^\d*$/.test(integerPart) || !/^\d*$/.test(fractionalPart)) {
-        throw new Error(
+        throw new ParseError(
           "Decimal must contain only digits and at most one decimal point",
+          { code: ErrorCode.BAD_DECIMAL },
         );
       }
 
@@ -409,14 +522,14 @@ export function parseRepeatingDecimal(str) {
       const rational = new Rational(numerator, denominator);
       return isNegative ? rational.negate() : rational;
     } catch (error) {
-      throw new Error(`Invalid decimal format: ${error.message}`);
+      throw new ParseError(`Invalid decimal format: ${error.message}`, { code: ErrorCode.BAD_DECIMAL, cause: error });
     }
   }
 
   // Split non-repeating part into integer and fractional parts
   const decimalParts = nonRepeatingPart.split(".");
   if (decimalParts.length > 2) {
-    throw new Error("Invalid decimal format - multiple decimal points");
+    throw new ParseError("Invalid decimal format - multiple decimal points", { code: ErrorCode.BAD_DECIMAL });
   }
 
   const integerPart = decimalParts[0] || "0";
@@ -424,8 +537,9 @@ export function parseRepeatingDecimal(str) {
 
   // Validate parts contain only digits
   if (!/^\d*$/.test(integerPart) || !/^\d*$/.test(fractionalPart)) {
-    throw new Error(
+    throw new ParseError(
       "Non-repeating part must contain only digits and at most one decimal point",
+      { code: ErrorCode.BAD_REPEATING_DECIMAL },
     );
   }
 
@@ -452,6 +566,88 @@ export function parseRepeatingDecimal(str) {
   return isNegative ? result.negate() : result;
 }
 
+/**
+ * Parses an unsigned expansion like "1.2#3" whose digits belong to `baseSystem`.
+ * Without a # the expansion is exact, as other literals in a non-decimal base are.
+ *
+ * @private
+ * @param {string} str - Expansion without sign or prefix
+ * @param {boolean} isNegative - Whether the number is negative
+ * @param {BaseSystem} baseSystem - Base of the digits
+ * @returns {Rational} The exact rational value
+ */
+function parseRepeatingInBase(str, isNegative, baseSystem) {
+  if (!str.includes("#")) {
+    return parseBaseNotation((isNegative ? "-" : "") + str, baseSystem);
+  }
+
+  const parts = str.split("#");
+  if (parts.length !== 2) {
+    throw new ParseError(
+      'Invalid repeating decimal format. Use format like "0.12#45"',
+      { code: ErrorCode.BAD_REPEATING_DECIMAL },
+    );
+  }
+
+  const repeatingPart = normalizeBaseDigits(parts[1], baseSystem);
+  if (!repeatingPart) {
+    throw new ParseError(`Repeating part must contain only digits of ${baseSystem.name}`, {
+      code: ErrorCode.BAD_REPEATING_DECIMAL,
+    });
+  }
+
+  const decimalParts = parts[0].split(".");
+  const integerPart = decimalParts.length <= 2 ? normalizeBaseDigits(decimalParts[0], baseSystem) : null;
+  const fractionalPart = decimalParts.length === 2 ? normalizeBaseDigits(decimalParts[1], baseSystem) : "";
+  if (integerPart === null || fractionalPart === null) {
+    throw new ParseError(
+      `Non-repeating part must contain only digits of ${baseSystem.name} and at most one point`,
+      { code: ErrorCode.BAD_REPEATING_DECIMAL },
+    );
+  }
+
+  // Same construction as in base 10: (abc - ab) / (b^n * (b^m - 1))
+  const value = (digits) => (digits ? BigInt(baseSystem.toDecimal(digits)) : 0n);
+  const base = BigInt(baseSystem.base);
+  const abc = value(integerPart + fractionalPart + repeatingPart);
+  const ab = value(integerPart + fractionalPart);
+  const length = (digits) => BigInt(splitDigits(baseSystem, digits).length);
+  const denominator = base ** length(fractionalPart) * (base ** length(repeatingPart) - 1n);
+
+  const result = new Rational(abc - ab, denominator);
+  return isNegative ? result.negate() : result;
+}
+
+/**
+ * Whether `baseSystem` has the digits 0-9 with their usual values, however it was built
+ *
+ * @private
+ */
+function isDecimalSystem(baseSystem) {
+  return (
+    baseSystem === BaseSystem.DECIMAL ||
+    (baseSystem.base === 10 && !baseSystem.offset && baseSystem.characters.join("") === "0123456789")
+  );
+}
+
+/**
+ * Returns digits in the case `baseSystem` uses, or null if they are not valid for it.
+ * Bases up to 36 accept either case, as everywhere else in the parser.
+ *
+ * @private
+ */
+function normalizeBaseDigits(digits, baseSystem) {
+  if (digits === "" || baseSystem.isValidString(digits)) {
+    return digits;
+  }
+  if (baseSystem.base <= 36) {
+    for (const candidate of [digits.toLowerCase(), digits.toUpperCase()]) {
+      if (baseSystem.isValidString(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
 /**
  * Parses a non-repeating decimal and returns an interval representing the uncertainty
  * For example, "1.23" becomes the interval [1.225, 1.235)
@@ -465,15 +661,16 @@ function parseNonRepeatingDecimal(str, isNegative) {
   // Validate decimal format
   const decimalParts = str.split(".");
   if (decimalParts.length > 2) {
-    throw new Error("Invalid decimal format - multiple decimal points");
+    throw new ParseError("Invalid decimal format - multiple decimal points", { code: ErrorCode.BAD_DECIMAL });
   }
 
   const integerPart = decimalParts[0] || "0";
   const fractionalPart = decimalParts[1] || "";
 
   if (!/^\d+$/.test(integerPart) || !/^\d*$/.test(fractionalPart)) {
-    throw new Error(
+    throw new ParseError(
       "Decimal must contain only digits and at most one decimal point",
+      { code: ErrorCode.BAD_DECIMAL },
     );
   }
 
@@ -517,24 +714,25 @@ function parseNonRepeatingDecimal(str, isNegative) {
  *
  * @private
  * @param {string} str - Interval string with colon separator
+ * @param {BaseSystem} baseSystem - Base of the digits when there is no prefix
  * @returns {RationalInterval} The interval representation
  */
-function parseRepeatingDecimalInterval(str) {
+function parseRepeatingDecimalInterval(str, baseSystem = BaseSystem.DECIMAL) {
   const parts = str.split(":");
   if (parts.length !== 2) {
-    throw new Error('Invalid interval format. Use format like "0.#3:0.5#0"');
+    throw new ParseError('Invalid interval format. Use format like "0.#3:0.5#0"', { code: ErrorCode.BAD_INTERVAL });
   }
 
   // Parse each endpoint separately
-  const leftEndpoint = parseRepeatingDecimal(parts[0].trim());
-  const rightEndpoint = parseRepeatingDecimal(parts[1].trim());
+  const leftEndpoint = parseRepeatingDecimal(parts[0].trim(), baseSystem);
+  const rightEndpoint = parseRepeatingDecimal(parts[1].trim(), baseSystem);
 
   // If either endpoint is an interval, we need to handle that
   if (
     leftEndpoint instanceof RationalInterval ||
     rightEndpoint instanceof RationalInterval
   ) {
-    throw new Error("Nested intervals are not supported");
+    throw new ParseError("Nested intervals are not supported", { code: ErrorCode.BAD_INTERVAL });
   }
 
   // Create interval from the two rational endpoints
@@ -553,14 +751,15 @@ function parseRepeatingDecimalInterval(str) {
 function parseBaseNotation(numberStr, baseSystem, options = {}) {
   // Check for deprecated bracket notation first and throw error
   if (/\[[0-9a-zA-Z]+\]$/.test(numberStr)) {
-    throw new Error(
-      "Bracket base notation (Value[Base]) is no longer supported. Use prefix notation (0xValue, 0bValue) or the BASE command."
+    throw new ParseError(
+      "Bracket base notation (Value[Base]) is no longer supported. Use prefix notation (0xValue, 0bValue) or the BASE command.",
+      { code: ErrorCode.BRACKET_BASE_NOTATION },
     );
   }
 
-  // Handle negative numbers
+  // Handle negative numbers ("-" may instead be a digit of a signed-digit base)
   let isNegative = false;
-  if (numberStr.startsWith("-")) {
+  if (numberStr.startsWith("-") && !baseSystem.charMap.has("-")) {
     isNegative = true;
     numberStr = numberStr.substring(1);
   }
@@ -588,7 +787,7 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
       // If it looks like a prefix but isn't registered, throw error
       // Exception: 'E' is special for scientific notation
       if (prefix.toLowerCase() !== "e") {
-        throw new Error(`Invalid or unregistered prefix '0${prefix}'`);
+        throw new ParseError(`Invalid or unregistered prefix '0${prefix}'`, { code: ErrorCode.BAD_PREFIX });
       }
     }
   }
@@ -626,9 +825,10 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
     exponentStr = numberStr.substring(exponentStart);
 
     // Validate exponent string contains only valid base characters
-    if (!baseSystem.isValidString(exponentStr.replace("-", ""))) {
-      throw new Error(
+    if (!baseSystem.isValidString(baseSystem.charMap.has("-") ? exponentStr : exponentStr.replace("-", ""))) {
+      throw new ParseError(
         `Invalid exponent "${exponentStr}" for base ${baseSystem.base}`,
+        { code: ErrorCode.BAD_EXPONENT },
       );
     }
   }
@@ -666,7 +866,7 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
 
     // Parse the exponent in the same base system
     let exponentDecimal;
-    if (exponentStr.startsWith("-")) {
+    if (exponentStr.startsWith("-") && !baseSystem.charMap.has("-")) {
       const positiveExponent = baseSystem.toDecimal(exponentStr.substring(1));
       exponentDecimal = -positiveExponent;
     } else {
@@ -692,8 +892,9 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
     } else if (baseValue instanceof Rational) {
       baseRational = baseValue;
     } else {
-      throw new Error(
+      throw new ParseError(
         "E notation can only be applied to simple numbers, not intervals",
+        { code: ErrorCode.BAD_SCIENTIFIC },
       );
     }
 
@@ -711,8 +912,9 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
   if (baseNumber.includes(":")) {
     const parts = baseNumber.split(":");
     if (parts.length !== 2) {
-      throw new Error(
+      throw new ParseError(
         'Base notation intervals must have exactly two endpoints separated by ":"',
+        { code: ErrorCode.BAD_INTERVAL },
       );
     }
 
@@ -733,8 +935,9 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
     ) {
       leftRational = leftValue.low;
     } else {
-      throw new Error(
+      throw new ParseError(
         "Interval endpoints must be single values, not intervals",
+        { code: ErrorCode.BAD_INTERVAL },
       );
     }
 
@@ -748,8 +951,9 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
     ) {
       rightRational = rightValue.low;
     } else {
-      throw new Error(
+      throw new ParseError(
         "Interval endpoints must be single values, not intervals",
+        { code: ErrorCode.BAD_INTERVAL },
       );
     }
 
@@ -762,8 +966,9 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
   if (baseNumber.includes("..")) {
     const parts = baseNumber.split("..");
     if (parts.length !== 2) {
-      throw new Error(
+      throw new ParseError(
         'Mixed number notation must have exactly one ".." separator',
+        { code: ErrorCode.BAD_MIXED_NUMBER },
       );
     }
 
@@ -771,7 +976,7 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
     const fractionPart = parts[1].trim();
 
     if (!fractionPart.includes("/")) {
-      throw new Error('Mixed number fractional part must contain "/"');
+      throw new ParseError('Mixed number fractional part must contain "/"', { code: ErrorCode.BAD_MIXED_NUMBER });
     }
 
     // Parse whole part in the specified base
@@ -790,13 +995,13 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
     } else if (fractionResult instanceof Rational) {
       fractionRational = fractionResult;
     } else {
-      throw new Error("Mixed number fractional part must be a simple fraction");
+      throw new ParseError("Mixed number fractional part must be a simple fraction", { code: ErrorCode.BAD_MIXED_NUMBER });
     }
 
     // Combine whole and fractional parts
-    // Handle sign: if whole part is negative, subtract the fraction
-    if (wholeRational.numerator < 0n) {
-      const result = wholeRational.subtract(fractionRational.abs());
+    // Handle sign: a minus sign negates the fraction too (signed digits may make either part negative)
+    if (isNegative) {
+      const result = wholeRational.subtract(fractionRational);
       return options.typeAware && result.denominator === 1n
         ? new Integer(result.numerator)
         : result;
@@ -812,7 +1017,7 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
   if (baseNumber.includes("/")) {
     const parts = baseNumber.split("/");
     if (parts.length !== 2) {
-      throw new Error('Fraction notation must have exactly one "/" separator');
+      throw new ParseError('Fraction notation must have exactly one "/" separator', { code: ErrorCode.BAD_FRACTION });
     }
 
     const numeratorStr = parts[0].trim();
@@ -827,7 +1032,7 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
     const denRat = denominatorResult instanceof Integer ? denominatorResult.toRational() : denominatorResult;
 
     if (denRat.numerator === 0n) {
-      throw new Error("Denominator cannot be zero");
+      throw new ParseError("Denominator cannot be zero", { code: ErrorCode.ZERO_DENOMINATOR });
     }
 
     let result = numRat.divide(denRat);
@@ -842,10 +1047,10 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
   if (baseNumber.includes(".")) {
     const parts = baseNumber.split(".");
     if (parts.length !== 2) {
-      throw new Error('Decimal notation must have exactly one "." separator');
+      throw new ParseError('Decimal notation must have exactly one "." separator', { code: ErrorCode.BAD_DECIMAL });
     }
 
-    const integerPart = parts[0] || "0";
+    const integerPart = parts[0] || baseSystem.fromDecimal(0n);
     const fractionalPart = parts[1] || "";
 
     // Allow trailing dot as shorthand for .0 (useful in uncertainty notation)
@@ -853,8 +1058,9 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
     // Validate all characters are valid for this base
     const fullStr = integerPart + fractionalPart;
     if (!baseSystem.isValidString(fullStr)) {
-      throw new Error(
+      throw new ParseError(
         `String "${baseNumber}" contains characters not valid for ${baseSystem.name}`,
+        { code: ErrorCode.BAD_DIGIT },
       );
     }
 
@@ -866,9 +1072,16 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
     let fractionalDecimal = 0n;
     const baseBigInt = BigInt(baseSystem.base);
 
-    for (let i = 0; i < fractionalPart.length; i++) {
-      const digitChar = fractionalPart[i];
-      const digitValue = BigInt(baseSystem.charMap.get(digitChar));
+    // The fractional part must split into digits on its own (digits may be several characters)
+    const fractionalDigits = splitDigits(baseSystem, fractionalPart);
+    if (fractionalDigits === null) {
+      throw new ParseError(
+        `String "${baseNumber}" contains characters not valid for ${baseSystem.name}`,
+        { code: ErrorCode.BAD_DIGIT },
+      );
+    }
+    for (const digit of fractionalDigits) {
+      const digitValue = BigInt(baseSystem.charMap.get(digit));
 
       // Add digit_value / base^(i+1) to fractional part
       // This is implemented as: fractionalDecimal * base + digitValue
@@ -876,7 +1089,7 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
     }
 
     // Create the rational: integerPart + fractionalPart / base^fractionalLength
-    const denominator = baseBigInt ** BigInt(fractionalPart.length);
+    const denominator = baseBigInt ** BigInt(fractionalDigits.length);
     const totalNumerator = integerDecimal * denominator + fractionalDecimal;
 
     let result = new Rational(totalNumerator, denominator);
@@ -890,8 +1103,9 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
 
   // Simple integer case
   if (!baseSystem.isValidString(baseNumber)) {
-    throw new Error(
+    throw new ParseError(
       `String "${baseNumber}" contains characters not valid for ${baseSystem.name}`,
+      { code: ErrorCode.BAD_DIGIT },
     );
   }
 
@@ -908,1411 +1122,2185 @@ function parseBaseNotation(numberStr, baseSystem, options = {}) {
 }
 
 export class Parser {
+  /**
+   * Splits an expression into typed tokens with offsets into the original string.
+   * See Tokenizer.tokenize for the token shape.
+   *
+   * @param {string} expression - The expression to tokenize
+   * @param {Object} options - Tokenizing options
+   * @param {BaseSystem} options.inputBase - Base system for unprefixed number literals (default: decimal)
+   * @returns {Array<Object>} The tokens in input order
+   */
+  static tokenize(expression, options = {}) {
+    return Tokenizer.tokenize(expression, options);
+  }
+
+  /**
+   * Writes a value back as an expression in the chosen notation, so that
+   * Parser.parse(Parser.format(value, options)) returns exactly the same value.
+   * See Formatter.format for the notations; `shortest` picks the most compact of them.
+   *
+   * @param {Integer|Rational|RationalInterval|string|Object} value - The value to format
+   * @param {Object} options - Formatting options
+   * @param {string} options.notation - One of Notation (default: fraction)
+   * @param {string} options.prefix - Base prefix for the base notation (default: "x")
+   * @returns {string} The formatted expression
+   */
+  static format(value, options = {}) {
+    if (options.notation === Notation.SHORTEST) {
+      return Parser.#formatShortest(value);
+    }
+    return Formatter.format(value, options);
+  }
+
+  /**
+   * Picks the shortest exact notation. Intervals try every candidate of
+   * Formatter.candidates; the uncertainty forms are kept only if parseDecimalUncertainty
+   * reads them back to the same interval. Ties go to the earlier candidate, so `a:b` wins
+   * over a bracket of the same length.
+   * @private
+   */
+  static #formatShortest(value) {
+    if (value && value.type === "sequence") {
+      return `[${value.values.map((v) => Parser.#formatShortest(v)).join(", ")}]`;
+    }
+
+    let candidates;
+    if (value instanceof RationalInterval) {
+      candidates = Formatter.candidates(value).filter((text) => {
+        if (!text.includes("[")) return true;
+        // A candidate that does not parse back is dropped like one that parses to another value
+        try {
+          const parsed = parseDecimalUncertainty(text);
+          return parsed.low.equals(value.low) && parsed.high.equals(value.high);
+        } catch {
+          return false;
+        }
+      });
+    } else if (value instanceof Integer || value instanceof Rational) {
+      candidates = [Notation.FRACTION, Notation.DECIMAL].map((notation) => Formatter.format(value, { notation }));
+    } else {
+      return Formatter.format(value);
+    }
+
+    return candidates.reduce((shortest, text) => (text.length < shortest.length ? text : shortest));
+  }
+
   /**
    * Parses a string representing an interval arithmetic expression
    *
+   * Equivalent to evaluating the tree returned by parseToAst.
+   *
    * @param {string} expression - The expression to parse
    * @param {Object} options - Parsing options
    * @param {boolean} options.typeAware - If true, returns Integer/Rational/RationalInterval based on input
    * @param {BaseSystem} options.inputBase - Base system for parsing input (default: decimal)
+   * @param {Object} options.variables - Variable values by name; assignments (x = 3/4) are written back to it
+   * @param {string} options.indeterminate - Result of an interval comparison that holds for only some
+   *   points: "interval" (default) gives 0:1, "error" throws
+   * @param {Object} options.functions - Functions by name, either JavaScript functions or definitions;
+   *   definitions (Name(a) -> body) are written back to it
+   * @param {boolean} options.generalizedContinuedFractions - Allow negative and rational continued
+   *   fraction terms and {a/b} numerator/denominator pairs (0.~{4/1}~{1/3})
+   * @param {string|false} options.digitSeparator - Digit group separator: "_" (default), "'",
+   *   a thin space, or false for none
+   * @param {boolean} options.siSuffixes - Read trailing SI prefixes as powers of ten (4.7k, 220n, 10µ)
+   * @param {boolean} options.hms - Read h:m:s literals (1:23:45.6) as seconds instead of intervals
+   * @param {number} options.maxIterations - Most steps SUM, PROD, SEQ and RANGE may take (default: 100000)
+   * @param {number} options.maxDepth - Most nested calls of defined functions (default: 256)
    * @returns {Integer|Rational|RationalInterval} The result of evaluating the expression
-   * @throws {Error} If the expression syntax is invalid
+   * @throws {ParseError} If the expression is invalid; the error locates the problem in `expression`
    */
   static parse(expression, options = {}) {
     if (!expression || expression.trim() === "") {
-      throw new Error("Expression cannot be empty");
+      throw Parser.#emptyExpressionError(expression);
     }
 
     // Set default value for typeAware
     options = { typeAware: true, ...options };
 
-    // Handle space-sensitive E notation before removing whitespace
-    // Replace " E" with "TE" (temporary marker) to preserve space information
-    expression = expression.replace(/ E/g, "TE");
-
-    // Handle space-sensitive division disambiguation before removing whitespace
-    // Replace "/ " with "/S" (temporary marker) to preserve space information
-    expression = expression.replace(/\/ /g, "/S");
-
-    // Remove whitespace context-aware (Preserve Strings)
-    let cleanExpr = "";
-    let inString = false;
-    let i = 0;
-    while (i < expression.length) {
-      const c = expression[i];
-      if (c === '"') {
-        // Toggle string state, handle escaped quotes if inside
-        if (inString) {
-          // check for escaped quote
-          let backslashCount = 0;
-          let j = i - 1;
-          while (j >= 0 && expression[j] === '\\') {
-            backslashCount++;
-            j--;
-          }
-          if (backslashCount % 2 === 0) {
-            inString = false;
-          }
-        } else {
-          inString = true;
-        }
-        cleanExpr += c;
-      } else {
-        if (inString) {
-          cleanExpr += c;
-        } else if (!/\s/.test(c)) {
-          cleanExpr += c;
-        }
+    const ast = Parser.parseToAst(expression, options);
+    try {
+      return Parser.evaluate(ast, options);
+    } catch (error) {
+      // Evaluation errors carry offsets into the expression but not the expression itself
+      if (error instanceof ParseError && error.input === null && error.offset !== null) {
+        error.input = expression;
       }
-      i++;
+      throw error;
+    }
+  }
+
+  /**
+   * Parses an expression into a syntax tree without evaluating it.
+   * The tree can be cached and evaluated repeatedly with Parser.evaluate.
+   * See ast.js for the node shapes.
+   *
+   * Literals keep their original notation and are only interpreted during evaluation,
+   * so the inputBase used here should match the one passed to evaluate.
+   *
+   * @param {string} expression - The expression to parse
+   * @param {Object} options - Parsing options
+   * @param {BaseSystem} options.inputBase - Base system for unprefixed number literals (default: decimal)
+   * @returns {Object} The root node of the tree
+   * @throws {ParseError} If the expression syntax is invalid
+   */
+  static parseToAst(expression, options = {}) {
+    if (!expression || expression.trim() === "") {
+      throw Parser.#emptyExpressionError(expression);
     }
-    expression = cleanExpr;
 
-    // Parse the expression (starting with logical OR - lowest precedence)
-    const result = Parser.#parseOr(expression, options);
+    const state = {
+      tokens: Tokenizer.tokenize(expression, options),
+      pos: 0,
+      input: expression,
+    };
 
-    if (result.remainingExpr.length > 0) {
-      throw new Error(`Unexpected token at end: ${result.remainingExpr}`);
+    // Start with assignment - lowest precedence
+    const ast = Parser.#parseAssignment(state);
+
+    if (state.pos < state.tokens.length) {
+      const token = state.tokens[state.pos];
+      const remaining = expression.substring(token.start).trim();
+      throw new ParseError(`Unexpected token at end: ${remaining}`, {
+        code: ErrorCode.TRAILING_INPUT,
+        offset: token.start,
+        length: remaining.length,
+        expected: [TokenType.OPERATOR, "end of input"],
+        input: expression,
+      });
     }
 
-    return result.value;
+    return ast;
   }
 
   /**
-   * Parses logical OR (||)
-   * Lowest precedence
    * @private
    */
-  static #parseOr(expr, options = {}) {
-    let result = Parser.#parseAnd(expr, options);
-    let currentExpr = result.remainingExpr;
-
-    while (currentExpr.startsWith('||')) {
-      currentExpr = currentExpr.substring(2);
-      const rightResult = Parser.#parseAnd(currentExpr, options);
-      currentExpr = rightResult.remainingExpr;
-      
-      // OR: returns 1 if either is truthy
-      const leftTruthy = Parser.#isTruthy(result.value);
-      const rightTruthy = Parser.#isTruthy(rightResult.value);
-      result.value = new Integer(leftTruthy || rightTruthy ? 1n : 0n);
-    }
+  static #emptyExpressionError(expression) {
+    const isString = typeof expression === "string";
+    return new ParseError("Expression cannot be empty", {
+      code: ErrorCode.EMPTY_EXPRESSION,
+      offset: isString ? 0 : null,
+      length: isString ? expression.length : 1,
+      input: isString ? expression : null,
+    });
+  }
 
-    return {
-      value: result.value,
-      remainingExpr: currentExpr,
-    };
+  /**
+   * Evaluates a syntax tree produced by parseToAst
+   *
+   * @param {Object} ast - The root node to evaluate
+   * @param {Object} options - Evaluation options
+   * @param {boolean} options.typeAware - If true, returns Integer/Rational/RationalInterval based on input (default: true)
+   * @param {BaseSystem} options.inputBase - Base system for interpreting literals (default: decimal)
+   * @param {number} options.precision - Precision for non-integer powers and roots
+   * @param {Object} options.variables - Variable values by name; assignments are written back to it
+   * @param {string} options.indeterminate - Result of an interval comparison that holds for only some
+   *   points: "interval" (default) gives 0:1, "error" throws
+   * @param {Object} options.functions - Functions by name; definitions are written back to it
+   * @param {number} options.maxIterations - Most steps SUM, PROD, SEQ and RANGE may take (default: 100000)
+   * @param {number} options.maxDepth - Most nested calls of defined functions (default: 256)
+   * @returns {Integer|Rational|RationalInterval|string|Object} The value of the tree
+   * @throws {ParseError} If the tree cannot be evaluated; `offset` refers to the parsed expression
+   */
+  static evaluate(ast, options = {}) {
+    options = { typeAware: true, ...options };
+    return Parser.#evaluateNode(ast, options);
   }
 
   /**
-   * Parses logical AND (&&)
+   * Returns the current token without consuming it
    * @private
    */
-  static #parseAnd(expr, options = {}) {
-    let result = Parser.#parseComparison(expr, options);
-    let currentExpr = result.remainingExpr;
+  static #peek(state, offset = 0) {
+    return state.tokens[state.pos + offset];
+  }
 
-    while (currentExpr.startsWith('&&')) {
-      currentExpr = currentExpr.substring(2);
-      const rightResult = Parser.#parseComparison(currentExpr, options);
-      currentExpr = rightResult.remainingExpr;
-      
-      // AND: returns 1 only if both are truthy
-      const leftTruthy = Parser.#isTruthy(result.value);
-      const rightTruthy = Parser.#isTruthy(rightResult.value);
-      result.value = new Integer(leftTruthy && rightTruthy ? 1n : 0n);
+  /**
+   * Consumes and returns the current token
+   * @private
+   */
+  static #next(state, expected = []) {
+    const token = state.tokens[state.pos];
+    if (!token) {
+      throw Parser.#syntaxError(state, "Unexpected end of expression", ErrorCode.UNEXPECTED_END, null, expected);
     }
+    state.pos++;
+    return token;
+  }
 
-    return {
-      value: result.value,
-      remainingExpr: currentExpr,
-    };
+  /**
+   * @private
+   */
+  static #isOperator(token, ...operators) {
+    return !!token && token.type === TokenType.OPERATOR && operators.includes(token.value);
   }
 
   /**
-   * Helper to check if a value is truthy (non-zero)
    * @private
    */
-  static #isTruthy(val) {
-    if (val instanceof Integer) {
-      return val.value !== 0n;
-    } else if (val instanceof Rational) {
-      return val.numerator !== 0n;
-    } else if (typeof val === 'number') {
-      return val !== 0;
-    } else if (typeof val === 'bigint') {
-      return val !== 0n;
-    }
-    return Boolean(val);
+  static #isBracket(token, bracket) {
+    return !!token && token.type === TokenType.BRACKET && token.value === bracket;
   }
 
   /**
-   * Parses comparison operators (<, >, <=, >=, ==, !=)
+   * Whether a token is an operator spelled as a word, such as IN
    * @private
    */
-  static #parseComparison(expr, options = {}) {
-    let result = Parser.#parseAddSub(expr, options);
-    let currentExpr = result.remainingExpr;
+  static #isKeyword(token, keyword) {
+    return !!token && token.type === TokenType.IDENTIFIER && token.value === keyword;
+  }
 
-    // Check for comparison operators (longest match first)
-    const comparisonOps = ['<=', '>=', '==', '!=', '<', '>'];
-    
-    while (currentExpr.length > 0) {
-      let matchedOp = null;
-      for (const op of comparisonOps) {
-        if (currentExpr.startsWith(op)) {
-          matchedOp = op;
-          break;
-        }
-      }
-      
-      if (!matchedOp) break;
-      
-      currentExpr = currentExpr.substring(matchedOp.length);
-      const rightResult = Parser.#parseAddSub(currentExpr, options);
-      currentExpr = rightResult.remainingExpr;
-      
-      // Evaluate comparison - returns Integer(1) for true, Integer(0) for false
-      const left = result.value;
-      const right = rightResult.value;
-      let compResult;
-      
-      if (matchedOp === '==') {
-        if (left.equals && right.equals) {
-          compResult = left.equals(right) ? 1n : 0n;
-        } else {
-          compResult = left === right ? 1n : 0n;
-        }
-      } else if (matchedOp === '!=') {
-        if (left.equals && right.equals) {
-          compResult = !left.equals(right) ? 1n : 0n;
-        } else {
-          compResult = left !== right ? 1n : 0n;
-        }
-      } else if (matchedOp === '<' || matchedOp === '<=' || matchedOp === '>' || matchedOp === '>=') {
-        // Use subtract to compare (works for Rational/Integer)
-        let diff;
-        if (left.subtract && typeof left.subtract === 'function') {
-          diff = left.subtract(right);
-        } else {
-          // Fallback for primitive comparison
-          const leftVal = Number(left);
-          const rightVal = Number(right);
-          if (matchedOp === '<') compResult = leftVal < rightVal ? 1n : 0n;
-          else if (matchedOp === '<=') compResult = leftVal <= rightVal ? 1n : 0n;
-          else if (matchedOp === '>') compResult = leftVal > rightVal ? 1n : 0n;
-          else if (matchedOp === '>=') compResult = leftVal >= rightVal ? 1n : 0n;
-          result.value = new Integer(compResult);
-          continue;
-        }
-        
-        const sign = diff.sign ? diff.sign() : (diff.numerator > 0n ? 1 : diff.numerator < 0n ? -1 : 0);
-        if (matchedOp === '<') compResult = sign < 0 ? 1n : 0n;
-        else if (matchedOp === '<=') compResult = sign <= 0 ? 1n : 0n;
-        else if (matchedOp === '>') compResult = sign > 0 ? 1n : 0n;
-        else if (matchedOp === '>=') compResult = sign >= 0 ? 1n : 0n;
-      }
-      
-      result.value = new Integer(compResult);
-    }
+  /**
+   * Function names start with an uppercase letter
+   * @private
+   */
+  static #isFunctionName(token) {
+    return !!token && token.type === TokenType.IDENTIFIER && /^[A-Z][A-Za-z0-9_]*$/.test(token.value);
+  }
 
-    return {
-      value: result.value,
-      remainingExpr: currentExpr,
-    };
+  /**
+   * Variables are single lowercase letters or underscore-prefixed names (_name)
+   * @private
+   */
+  static #isVariable(token) {
+    return (
+      !!token &&
+      token.type === TokenType.IDENTIFIER &&
+      /^(?:[a-z]|_[A-Za-z0-9_]+)$/.test(token.value)
+    );
   }
 
   /**
-   * Parses an expression with addition and subtraction
+   * Token kinds that can start an operand, reported when one is missing
    * @private
    */
-  static #parseAddSub(expr, options = {}) {
-    let result = Parser.#parseTerm(expr, options);
-    let currentExpr = result.remainingExpr;
+  static #OPERAND_EXPECTED = [TokenType.NUMBER, TokenType.STRING, TokenType.IDENTIFIER, "(", "["];
 
-    while (
-      currentExpr.length > 0 &&
-      (currentExpr[0] === "+" || currentExpr[0] === "-")
-    ) {
-      const operator = currentExpr[0];
-      currentExpr = currentExpr.substring(1);
+  /**
+   * Creates a ParseError located at a token, or at the end of the input when there is none
+   * @private
+   */
+  static #syntaxError(state, message, code, token, expected = []) {
+    return new ParseError(message, {
+      code,
+      offset: token ? token.start : state.input.length,
+      length: token ? token.end - token.start : 1,
+      expected,
+      input: state.input,
+    });
+  }
 
-      const termResult = Parser.#parseTerm(currentExpr, options);
-      currentExpr = termResult.remainingExpr;
+  /**
+   * Parses an assignment (x = expr), right-associative
+   * Lowest precedence; only allowed at the top level of an expression
+   * @private
+   */
+  static #parseAssignment(state) {
+    const target = Parser.#peek(state);
 
-      if (operator === "+") {
-        result.value = result.value.add(termResult.value);
-      } else {
-        result.value = result.value.subtract(termResult.value);
-      }
+    if (Parser.#isFunctionName(target) && Parser.#startsFunctionDefinition(state)) {
+      return Parser.#parseFunctionDefinition(state);
     }
 
-    return {
-      value: Parser.#promoteType(result.value, options),
-      remainingExpr: currentExpr,
-    };
+    if (Parser.#isVariable(target) && Parser.#isOperator(Parser.#peek(state, 1), "=")) {
+      state.pos += 2;
+      const value = Parser.#parseAssignment(state);
+      return {
+        type: NodeType.ASSIGNMENT,
+        name: target.value,
+        value,
+        start: target.start,
+        end: value.end,
+      };
+    }
+
+    const node = Parser.#parseOr(state);
+
+    const equals = Parser.#peek(state);
+    if (Parser.#isOperator(equals, "=")) {
+      throw Parser.#syntaxError(
+        state,
+        "Can only assign to a variable",
+        ErrorCode.BAD_ASSIGNMENT,
+        equals,
+        [TokenType.OPERATOR, "end of input"],
+      );
+    }
+
+    return node;
   }
 
   /**
-   * Parses a term with multiplication, division, and E notation
+   * Whether the tokens at the current position read Name(...) ->
    * @private
    */
-  static #parseTerm(expr, options = {}) {
-    let result = Parser.#parseFactor(expr, options);
-    let currentExpr = result.remainingExpr;
-
-    while (
-      currentExpr.length > 0 &&
-      (currentExpr[0] === "*" ||
-        currentExpr[0] === "/" ||
-        currentExpr[0] === "E" ||
-        currentExpr.startsWith("TE"))
-    ) {
-      let operator, skipLength;
-      if (currentExpr.startsWith("TE")) {
-        operator = "E";
-        skipLength = 2;
-      } else {
-        operator = currentExpr[0];
-        skipLength = 1;
+  static #startsFunctionDefinition(state) {
+    if (!Parser.#isBracket(Parser.#peek(state, 1), "(")) {
+      return false;
+    }
+    let depth = 0;
+    for (let i = state.pos + 1; i < state.tokens.length; i++) {
+      const token = state.tokens[i];
+      if (Parser.#isBracket(token, "(")) depth++;
+      if (Parser.#isBracket(token, ")")) depth--;
+      if (depth === 0) {
+        return Parser.#isOperator(state.tokens[i + 1], "->");
       }
-      currentExpr = currentExpr.substring(skipLength);
+    }
+    return false;
+  }
 
-      // Handle space marker for division
-      if (
-        operator === "/" &&
-        currentExpr.length > 0 &&
-        currentExpr[0] === "S"
-      ) {
-        currentExpr = currentExpr.substring(1); // Skip the 'S' marker
-      }
-
-      const factorResult = Parser.#parseFactor(currentExpr, options);
-      currentExpr = factorResult.remainingExpr;
-
-      if (operator === "*") {
-        result.value = result.value.multiply(factorResult.value);
-      } else if (operator === "/") {
-        result.value = result.value.divide(factorResult.value);
-      } else if (operator === "E") {
-        // E notation: left operand * 10^(right operand)
-        // Extract the exponent value based on the type
-        let exponentValue;
-        if (factorResult.value instanceof Integer) {
-          exponentValue = factorResult.value.value;
-        } else if (factorResult.value instanceof Rational) {
-          if (factorResult.value.denominator !== 1n) {
-            throw new Error("E notation exponent must be an integer");
-          }
-          exponentValue = factorResult.value.numerator;
-        } else if (factorResult.value.low && factorResult.value.high) {
-          // RationalInterval case
-          if (!factorResult.value.low.equals(factorResult.value.high)) {
-            throw new Error("E notation exponent must be an integer");
-          }
-          const exponent = factorResult.value.low;
-          if (exponent.denominator !== 1n) {
-            throw new Error("E notation exponent must be an integer");
-          }
-          exponentValue = exponent.numerator;
-        } else {
-          throw new Error("Invalid E notation exponent type");
+  /**
+   * Parses a function definition: Name(a, b) -> body
+   * @private
+   */
+  static #parseFunctionDefinition(state) {
+    const nameToken = Parser.#next(state);
+    state.pos++; // (
+    const params = [];
+
+    if (Parser.#isBracket(Parser.#peek(state), ")")) {
+      state.pos++;
+    } else {
+      while (true) {
+        const param = Parser.#next(state);
+        if (!Parser.#isVariable(param)) {
+          throw Parser.#syntaxError(
+            state,
+            `Invalid parameter name: ${param.text}`,
+            ErrorCode.BAD_FUNCTION_DEFINITION,
+            param,
+            [TokenType.IDENTIFIER],
+          );
+        }
+        if (params.includes(param.value)) {
+          throw Parser.#syntaxError(
+            state,
+            `Duplicate parameter name: ${param.value}`,
+            ErrorCode.BAD_FUNCTION_DEFINITION,
+            param,
+          );
         }
+        params.push(param.value);
 
-        // Apply E notation using the value's E method if available
-        if (result.value.E && typeof result.value.E === "function") {
-          result.value = result.value.E(exponentValue);
-        } else {
-          // Fallback for backward compatibility
-          const powerOf10 =
-            exponentValue >= 0n
-              ? new Rational(10n ** exponentValue)
-              : new Rational(1n, 10n ** -exponentValue);
-          const powerInterval = RationalInterval.point(powerOf10);
-          result.value = result.value.multiply(powerInterval);
+        const separator = Parser.#next(state);
+        if (Parser.#isBracket(separator, ")")) {
+          break;
+        }
+        if (!Parser.#isOperator(separator, ",")) {
+          throw Parser.#syntaxError(
+            state,
+            `Unexpected token in parameter list: ${separator.text}`,
+            ErrorCode.UNEXPECTED_TOKEN,
+            separator,
+            [",", ")"],
+          );
         }
       }
     }
 
+    state.pos++; // ->
+    const body = Parser.#parseOr(state);
+
     return {
-      value: Parser.#promoteType(result.value, options),
-      remainingExpr: currentExpr,
+      type: NodeType.FUNCTION_DEFINITION,
+      name: nameToken.value,
+      params,
+      body,
+      start: nameToken.start,
+      end: body.end,
     };
   }
 
   /**
-   * Parses a string literal: "..."
-   * Handles escape sequences: \" \\ \uXXXX.
+   * Parses the arguments of a function call; the current token is the opening parenthesis
    * @private
    */
-  static #parseStringLiteral(expr) {
-    // Current expr starts with "
-    let i = 1;
-    let result = "";
-    while (i < expr.length) {
-      const char = expr[i];
-      if (char === '"') {
-        // End of string
-        return {
-          value: result, // Return generic string (treated as value)
-          remainingExpr: expr.substring(i + 1),
-        };
-      } else if (char === '\\') {
-        // Escape sequence
-        i++;
-        if (i >= expr.length) throw new Error("Unterminated string literal (trailing backslash)");
-        const nextChar = expr[i];
-        if (nextChar === '"') result += '"';
-        else if (nextChar === '\\') result += '\\';
-        else if (nextChar === 'u') {
-          // Unicode \uXXXX
-          if (i + 4 >= expr.length) throw new Error("Invalid unicode escape sequence");
-          const hex = expr.substring(i + 1, i + 5);
-          if (!/^[0-9a-fA-F]{4}$/.test(hex)) throw new Error("Invalid unicode escape sequence");
-          result += String.fromCharCode(parseInt(hex, 16));
-          i += 4;
-        } else {
-          // preserve literal backslash if not special? 
-          // User said: "usual escape key of blackslash is used: \" is a literal quote and \\ is literal backslash. and \u... Otherwise, the string is literal."
-          // So \a becomes a
-          result += nextChar;
+  static #parseCall(state, nameToken, name) {
+    const open = Parser.#next(state);
+    const args = [];
+    let close = Parser.#peek(state);
+
+    if (Parser.#isBracket(close, ")")) {
+      state.pos++;
+    } else {
+      while (true) {
+        args.push(Parser.#parseOr(state));
+
+        close = Parser.#peek(state);
+        if (!close) {
+          throw Parser.#syntaxError(state, "Missing closing parenthesis", ErrorCode.UNCLOSED_PAREN, open, [",", ")"]);
+        }
+        state.pos++;
+
+        if (Parser.#isBracket(close, ")")) {
+          break;
+        }
+        if (!Parser.#isOperator(close, ",")) {
+          throw Parser.#syntaxError(
+            state,
+            `Unexpected token in argument list: ${close.text}`,
+            ErrorCode.UNEXPECTED_TOKEN,
+            close,
+            [",", ")"],
+          );
         }
-      } else {
-        result += char;
       }
-      i++;
     }
-    throw new Error("Unterminated string literal");
+
+    return {
+      type: NodeType.CALL,
+      name,
+      args,
+      start: nameToken.start,
+      end: close.end,
+    };
   }
 
   /**
-   * Parses a list literal: [...]
-   * Recursively parses elements separated by comma.
-   * @private
-   */
-  static #parseListLiteral(expr, options) {
-    // Current expr starts with [
-    let currentExpr = expr.substring(1).trim(); // Skip [ and trim
-    // Note: Parser.parse removes whitespace globally, but inside parseFactor we operate on a string that had whitespace removed already?
-    // Parser.parse (line 949) does `expression = expression.replace(/\s+/g, "");`.
-    // So `[a, b]` becomes `[a,b]`. 
-    // Except strings! 
-    // Wait. Global whitespace removal RUINS string literals.
-    // "Hello World" -> "HelloWorld".
-    // 
-    // CRITICAL ISSUE: Parser.parse strips logic.
-    // We must fix Parser.parse to respect strings/lists preservation.
-    // 
-    // For now, let's implement the logic assuming we receive clean input (or stripped input).
-    // I will need to revisit `Parser.parse` to make whitespace removal context-aware.
-
-    const values = [];
+   * Parses an indexed iteration: SUM[i](body, lo, hi), PROD[i](...) or SEQ[i](body, lo, hi, step)
+   * @private
+   */
+  static #parseIteration(state, nameToken) {
+    if (!["SUM", "PROD", "SEQ"].includes(nameToken.value)) {
+      throw Parser.#syntaxError(
+        state,
+        `Index variables are only allowed after SUM, PROD and SEQ, not ${nameToken.value}`,
+        ErrorCode.UNEXPECTED_TOKEN,
+        Parser.#peek(state),
+        ["("],
+      );
+    }
 
-    // Check for empty list []
-    if (currentExpr.startsWith("]")) {
-      return {
-        value: { type: 'sequence', values: [] },
-        remainingExpr: currentExpr.substring(1)
-      };
+    state.pos++; // [
+    const index = Parser.#next(state, [TokenType.IDENTIFIER]);
+    if (!Parser.#isVariable(index)) {
+      throw Parser.#syntaxError(
+        state,
+        `Invalid index variable: ${index.text}`,
+        ErrorCode.UNEXPECTED_TOKEN,
+        index,
+        [TokenType.IDENTIFIER],
+      );
+    }
+    const close = Parser.#next(state, ["]"]);
+    if (!Parser.#isBracket(close, "]")) {
+      throw Parser.#syntaxError(state, `Unexpected token: ${close.text}`, ErrorCode.UNEXPECTED_TOKEN, close, ["]"]);
+    }
+    if (!Parser.#isBracket(Parser.#peek(state), "(")) {
+      throw Parser.#syntaxError(
+        state,
+        `Expected ( after ${nameToken.value}[${index.value}]`,
+        ErrorCode.UNEXPECTED_TOKEN,
+        Parser.#peek(state),
+        ["("],
+      );
     }
 
-    while (true) {
-      // Parse expression for element
-      // Using parseExpression? Or parseTerm? List elements can be expressions "1+2".
-      const elemResult = Parser.#parseAddSub(currentExpr, options);
-      values.push(elemResult.value);
-      currentExpr = elemResult.remainingExpr;
-
-      if (currentExpr.length === 0) throw new Error("Unterminated list literal");
-
-      if (currentExpr[0] === ',') {
-        currentExpr = currentExpr.substring(1);
-        // Continue loop
-      } else if (currentExpr[0] === ']') {
-        currentExpr = currentExpr.substring(1);
-        break;
-      } else {
-        throw new Error(`Unexpected token in list: ${currentExpr[0]}`);
-      }
+    const call = Parser.#parseCall(state, nameToken, nameToken.value);
+    if (call.args.length !== 3 && call.args.length !== 4) {
+      throw Parser.#syntaxError(
+        state,
+        `${nameToken.value} expects (expr, lo, hi) or (expr, lo, hi, step), got ${call.args.length} arguments`,
+        ErrorCode.BAD_ARGUMENTS,
+        { start: nameToken.start, end: call.end },
+      );
     }
 
+    const [body, low, high, step = null] = call.args;
     return {
-      value: { type: 'sequence', values: values },
-      remainingExpr: currentExpr
+      type: NodeType.ITERATION,
+      name: nameToken.value,
+      index: index.value,
+      body,
+      low,
+      high,
+      step,
+      start: call.start,
+      end: call.end,
     };
   }
 
   /**
-   * Parses a factor (interval, number, or parenthesized expression)
+   * Parses logical OR (||)
    * @private
    */
-  static #parseFactor(expr, options = {}) {
-    if (expr.length === 0) {
-      throw new Error("Unexpected end of expression");
+  static #parseOr(state) {
+    let node = Parser.#parseAnd(state);
+
+    while (Parser.#isOperator(Parser.#peek(state), "||")) {
+      state.pos++;
+      const right = Parser.#parseAnd(state);
+      node = {
+        type: NodeType.LOGICAL,
+        operator: "||",
+        left: node,
+        right,
+        start: node.start,
+        end: right.end,
+      };
     }
 
-    // Handle parenthesized expressions
-    if (expr[0] === "(") {
-      const subExprResult = Parser.#parseAddSub(expr.substring(1), options);
+    return node;
+  }
 
-      if (
-        subExprResult.remainingExpr.length === 0 ||
-        subExprResult.remainingExpr[0] !== ")"
-      ) {
-        throw new Error("Missing closing parenthesis");
-      }
+  /**
+   * Parses logical AND (&&)
+   * @private
+   */
+  static #parseAnd(state) {
+    let node = Parser.#parseComparison(state);
+
+    while (Parser.#isOperator(Parser.#peek(state), "&&")) {
+      state.pos++;
+      const right = Parser.#parseComparison(state);
+      node = {
+        type: NodeType.LOGICAL,
+        operator: "&&",
+        left: node,
+        right,
+        start: node.start,
+        end: right.end,
+      };
+    }
+
+    return node;
+  }
+
+  /**
+   * Parses comparison operators (<, >, <=, >=, ==, !=)
+   * @private
+   */
+  static #parseComparison(state) {
+    let node = Parser.#parseAddSub(state);
 
-      const result = {
-        value: subExprResult.value,
-        remainingExpr: subExprResult.remainingExpr.substring(1),
+    while (
+      Parser.#isOperator(Parser.#peek(state), "<=", ">=", "==", "!=", "<", ">") ||
+      Parser.#isKeyword(Parser.#peek(state), "IN")
+    ) {
+      const operator = Parser.#next(state).value;
+      const right = Parser.#parseAddSub(state);
+      node = {
+        type: NodeType.COMPARISON,
+        operator,
+        left: node,
+        right,
+        start: node.start,
+        end: right.end,
       };
+    }
 
-      // Check for tight E notation after the closing parenthesis (higher precedence than exponentiation)
-      if (
-        result.remainingExpr.length > 0 &&
-        (result.remainingExpr[0] === "E" ||
-          result.remainingExpr.startsWith("TE") ||
-          result.remainingExpr.startsWith("_^"))
-      ) {
-        const eResult = Parser.#parseENotation(
-          result.value,
-          result.remainingExpr,
-          options,
-        );
+    return node;
+  }
 
-        // Check for factorial operators after E notation (higher precedence than exponentiation)
-        let factorialResult = eResult;
-        if (
-          factorialResult.remainingExpr.length > 1 &&
-          factorialResult.remainingExpr.substring(0, 2) === "!!"
-        ) {
-          // Double factorial
-          if (factorialResult.value instanceof Integer) {
-            factorialResult = {
-              value: factorialResult.value.doubleFactorial(),
-              remainingExpr: factorialResult.remainingExpr.substring(2),
-            };
-          } else if (
-            factorialResult.value instanceof Rational &&
-            factorialResult.value.denominator === 1n
-          ) {
-            const intValue = new Integer(factorialResult.value.numerator);
-            factorialResult = {
-              value: intValue.doubleFactorial().toRational(),
-              remainingExpr: factorialResult.remainingExpr.substring(2),
-            };
-          } else if (
-            factorialResult.value.low &&
-            factorialResult.value.high &&
-            factorialResult.value.low.equals(factorialResult.value.high) &&
-            factorialResult.value.low.denominator === 1n
-          ) {
-            // Point interval containing an integer
-            const intValue = new Integer(factorialResult.value.low.numerator);
-            const factorialValue = intValue.doubleFactorial();
-            const IntervalClass = factorialResult.value.constructor;
-            factorialResult = {
-              value: new IntervalClass(
-                factorialValue.toRational(),
-                factorialValue.toRational(),
-              ),
-              remainingExpr: factorialResult.remainingExpr.substring(2),
-            };
-          } else {
-            throw new Error(
-              "Double factorial is not defined for negative integers",
-            );
-          }
-        } else if (
-          factorialResult.remainingExpr.length > 0 &&
-          factorialResult.remainingExpr[0] === "!" &&
-          factorialResult.remainingExpr[1] !== "="  // Don't consume ! if it's part of !=
-        ) {
-          // Single factorial
-          if (factorialResult.value instanceof Integer) {
-            factorialResult = {
-              value: factorialResult.value.factorial(),
-              remainingExpr: factorialResult.remainingExpr.substring(1),
-            };
-          } else if (
-            factorialResult.value instanceof Rational &&
-            factorialResult.value.denominator === 1n
-          ) {
-            const intValue = new Integer(factorialResult.value.numerator);
-            factorialResult = {
-              value: intValue.factorial().toRational(),
-              remainingExpr: factorialResult.remainingExpr.substring(1),
-            };
-          } else if (
-            factorialResult.value.low &&
-            factorialResult.value.high &&
-            factorialResult.value.low.equals(factorialResult.value.high) &&
-            factorialResult.value.low.denominator === 1n
-          ) {
-            // Point interval containing an integer
-            const intValue = new Integer(factorialResult.value.low.numerator);
-            const factorialValue = intValue.factorial();
-            const IntervalClass = factorialResult.value.constructor;
-            factorialResult = {
-              value: new IntervalClass(
-                factorialValue.toRational(),
-                factorialValue.toRational(),
-              ),
-              remainingExpr: factorialResult.remainingExpr.substring(1),
-            };
-          } else {
-            throw new Error("Factorial is not defined for negative integers");
-          }
-        }
+  /**
+   * Parses an expression with addition and subtraction
+   * @private
+   */
+  static #parseAddSub(state) {
+    let node = Parser.#parseTerm(state);
+
+    while (Parser.#isOperator(Parser.#peek(state), "+", "-")) {
+      const operator = Parser.#next(state).value;
+      const right = Parser.#parseTerm(state);
+      node = {
+        type: NodeType.BINARY_OP,
+        operator,
+        left: node,
+        right,
+        start: node.start,
+        end: right.end,
+      };
+    }
 
-        // Check for exponentiation after factorial
-        if (factorialResult.remainingExpr.length > 0) {
-          if (factorialResult.remainingExpr[0] === "^") {
-            // Standard exponentiation (pow)
-            const powerExpr = factorialResult.remainingExpr.substring(1);
-
-            // First check if it's a simple integer exponent
-            let powerResult;
-            let isIntegerExponent = false;
-
-            try {
-              // Try parsing as integer first
-              powerResult = Parser.#parseExponent(powerExpr);
-              isIntegerExponent = true;
-            } catch (e) {
-              // If not a simple integer, parse as expression
-              powerResult = Parser.#parseExponentExpression(powerExpr, options);
-              isIntegerExponent = false;
-            }
+    return node;
+  }
 
-            // Check for 0^0
-            const zero = new Rational(0);
-            const isZeroBase = factorialResult.value.low && factorialResult.value.high ?
-              (factorialResult.value.low.equals(zero) && factorialResult.value.high.equals(zero)) :
-              (factorialResult.value instanceof Integer && factorialResult.value.value === 0n) ||
-              (factorialResult.value instanceof Rational && factorialResult.value.numerator === 0n);
+  /**
+   * Parses a term with multiplication, division, and E notation
+   * @private
+   */
+  static #parseTerm(state) {
+    let node = Parser.#parseFactor(state);
+
+    while (Parser.#isOperator(Parser.#peek(state), "*", "/", "E")) {
+      const operator = Parser.#next(state).value;
+      const right = Parser.#parseFactor(state);
+      node = {
+        type: NodeType.BINARY_OP,
+        operator,
+        left: node,
+        right,
+        start: node.start,
+        end: right.end,
+      };
+    }
 
-            const isZeroExponent = isIntegerExponent ?
-              powerResult.value === 0n :
-              (powerResult.value instanceof Rational && powerResult.value.numerator === 0n) ||
-              (powerResult.value instanceof Integer && powerResult.value.value === 0n);
+    return node;
+  }
 
-            if (isZeroBase && isZeroExponent) {
-              throw new Error("Zero cannot be raised to the power of zero");
-            }
+  /**
+   * Parses a factor: an optionally negated operand with its postfix operators
+   * @private
+   */
+  static #parseFactor(state) {
+    const token = Parser.#peek(state);
 
-            let result;
-            if (isIntegerExponent) {
-              // Use standard pow for integer exponents
-              result = factorialResult.value.pow(powerResult.value);
-            } else {
-              // Use rationalIntervalPower for fractional exponents
-              const precision = options.precision || DEFAULT_PRECISION;
-              result = rationalIntervalPower(factorialResult.value, powerResult.value, precision);
-            }
+    if (Parser.#isOperator(token, "-")) {
+      state.pos++;
+      const next = Parser.#peek(state);
 
-            return {
-              value: result,
-              remainingExpr: powerResult.remainingExpr,
-            };
-          } else if (
-            factorialResult.remainingExpr.length > 1 &&
-            factorialResult.remainingExpr[0] === "*" &&
-            factorialResult.remainingExpr[1] === "*"
-          ) {
-            // Multiplicative exponentiation (mpow) or Newton root (**)
-            const powerExpr = factorialResult.remainingExpr.substring(2);
-
-            // First check if it's a simple integer exponent
-            let powerResult;
-            let isIntegerExponent = false;
-
-            try {
-              // Try parsing as integer first
-              powerResult = Parser.#parseExponent(powerExpr);
-              isIntegerExponent = true;
-            } catch (e) {
-              // If not a simple integer, parse as expression
-              powerResult = Parser.#parseExponentExpression(powerExpr, options);
-              isIntegerExponent = false;
-            }
+      // Uncertainty and interval notation carry their own sign: -1.5[+-1] and -2:3
+      if (
+        Tokenizer.isLiteral(next) &&
+        (next.type === TokenType.UNCERTAINTY || Parser.#startsInterval(state))
+      ) {
+        return Parser.#parsePostfix(state, token);
+      }
 
-            // Check for zero exponent in multiplicative exponentiation
-            const isZeroExponent = (isIntegerExponent && powerResult.value === 0n) ||
-              (!isIntegerExponent && powerResult.value instanceof Integer && powerResult.value.value === 0n) ||
-              (!isIntegerExponent && powerResult.value instanceof Rational && powerResult.value.numerator === 0n);
+      const operand = Parser.#parseFactor(state);
+      return {
+        type: NodeType.UNARY_OP,
+        operator: "-",
+        operand,
+        start: token.start,
+        end: operand.end,
+      };
+    }
 
-            if (isZeroExponent) {
-              throw new Error("Multiplicative exponentiation requires at least one factor");
-            }
+    // √x, ∛x and ∜x are x ** (1/2), x ** (1/3) and x ** (1/4)
+    if (Parser.#isOperator(token, "√", "∛", "∜")) {
+      state.pos++;
+      const operand = Parser.#parseFactor(state);
+      return {
+        type: NodeType.POWER,
+        operator: "**",
+        base: operand,
+        exponent: {
+          type: NodeType.LITERAL,
+          kind: TokenType.NUMBER,
+          notation: `1/${"√∛∜".indexOf(token.value) + 2}`,
+          raw: token.text,
+          start: token.start,
+          end: token.end,
+        },
+        start: token.start,
+        end: operand.end,
+      };
+    }
 
-            let result;
-            if (!isIntegerExponent && powerResult.value instanceof Rational &&
-              Number(powerResult.value.denominator) <= 10 &&
-              Number(powerResult.value.denominator) > 1) {
-              // Use Newton's method for rational exponents with small denominators
-              const precision = options.precision || DEFAULT_PRECISION;
-              const rootDegree = Number(powerResult.value.denominator);
-              const rootInterval = newtonRoot(factorialResult.value, rootDegree, precision);
-
-              // If numerator is not 1, raise to numerator power
-              if (!powerResult.value.numerator === 1n) {
-                const numeratorPower = Number(powerResult.value.numerator);
-                result = rootInterval;
-                for (let i = 1; i < Math.abs(numeratorPower); i++) {
-                  result = result.multiply(rootInterval);
-                }
-                if (numeratorPower < 0) {
-                  // For negative powers, take reciprocal
-                  result = new RationalInterval(
-                    new Rational(1).divide(result.upper),
-                    new Rational(1).divide(result.lower)
-                  );
-                }
-              } else {
-                result = rootInterval;
-              }
-            } else if (isIntegerExponent) {
-              // For multiplicative exponentiation with integer exponents, use mpow
-              let base = factorialResult.value;
-              if (!(base instanceof RationalInterval)) {
-                // Convert scalar to point interval for mpow
-                base = RationalInterval.point(
-                  base instanceof Integer ? base.toRational() : base,
-                );
-              }
-              result = base.mpow(powerResult.value);
-            } else {
-              // For general fractional exponents, use rationalIntervalPower
-              const precision = options.precision || DEFAULT_PRECISION;
-              result = rationalIntervalPower(factorialResult.value, powerResult.value, precision);
-            }
+    return Parser.#parsePostfix(state);
+  }
 
-            if (result._skipPromotion === undefined) {
-              result._skipPromotion = true;
-            }
-            return {
-              value: result,
-              remainingExpr: powerResult.remainingExpr,
-            };
-          }
-        }
+  /**
+   * Parses a primary followed by its postfix operators, in precedence order:
+   * tight E notation, then factorial, then exponentiation
+   * @private
+   */
+  static #parsePostfix(state, sign = null) {
+    let node = Parser.#parsePrimary(state, sign);
 
-        return factorialResult;
-      }
+    // Indexing applies to lists, variables, calls and parenthesized expressions. After a
+    // number, [ starts uncertainty notation (1.2[3,6]) and is part of the literal token.
+    while (
+      Parser.#isBracket(Parser.#peek(state), "[") &&
+      !Tokenizer.isLiteral(Parser.#peek(state, -1))
+    ) {
+      node = Parser.#parseIndex(state, node);
+    }
 
-      // Check for factorial operators after the closing parenthesis (higher precedence than exponentiation)
-      let factorialResult = result;
-      if (
-        factorialResult.remainingExpr.length > 1 &&
-        factorialResult.remainingExpr.substring(0, 2) === "!!"
-      ) {
-        // Double factorial
-        if (factorialResult.value instanceof Integer) {
-          factorialResult = {
-            value: factorialResult.value.doubleFactorial(),
-            remainingExpr: factorialResult.remainingExpr.substring(2),
-          };
-        } else if (
-          factorialResult.value instanceof Rational &&
-          factorialResult.value.denominator === 1n
-        ) {
-          const intValue = new Integer(factorialResult.value.numerator);
-          factorialResult = {
-            value: intValue.doubleFactorial().toRational(),
-            remainingExpr: factorialResult.remainingExpr.substring(2),
-          };
-        } else if (
-          factorialResult.value.low &&
-          factorialResult.value.high &&
-          factorialResult.value.low.equals(factorialResult.value.high) &&
-          factorialResult.value.low.denominator === 1n
-        ) {
-          // Point interval containing an integer
-          const intValue = new Integer(factorialResult.value.low.numerator);
-          const factorialValue = intValue.doubleFactorial();
-          const IntervalClass = factorialResult.value.constructor;
-          factorialResult = {
-            value: new IntervalClass(
-              factorialValue.toRational(),
-              factorialValue.toRational(),
-            ),
-            remainingExpr: factorialResult.remainingExpr.substring(2),
-          };
-        } else {
-          throw new Error(
-            "Double factorial is not defined for negative integers",
-          );
-        }
-      } else if (
-        factorialResult.remainingExpr.length > 0 &&
-        factorialResult.remainingExpr[0] === "!" &&
-        factorialResult.remainingExpr[1] !== "="  // Don't consume ! if it's part of !=
-      ) {
-        // Single factorial
-        if (factorialResult.value instanceof Integer) {
-          factorialResult = {
-            value: factorialResult.value.factorial(),
-            remainingExpr: factorialResult.remainingExpr.substring(1),
-          };
-        } else if (
-          factorialResult.value instanceof Rational &&
-          factorialResult.value.denominator === 1n
-        ) {
-          const intValue = new Integer(factorialResult.value.numerator);
-          factorialResult = {
-            value: intValue.factorial().toRational(),
-            remainingExpr: factorialResult.remainingExpr.substring(1),
-          };
-        } else if (
-          factorialResult.value.low &&
-          factorialResult.value.high &&
-          factorialResult.value.low.equals(factorialResult.value.high) &&
-          factorialResult.value.low.denominator === 1n
-        ) {
-          // Point interval containing an integer
-          const intValue = new Integer(factorialResult.value.low.numerator);
-          const factorialValue = intValue.factorial();
-          const IntervalClass = factorialResult.value.constructor;
-          factorialResult = {
-            value: new IntervalClass(
-              factorialValue.toRational(),
-              factorialValue.toRational(),
-            ),
-            remainingExpr: factorialResult.remainingExpr.substring(1),
-          };
-        } else {
-          throw new Error("Factorial is not defined for negative integers");
-        }
+    // E notation binds tighter than exponentiation: 2E3^2 is (2E3)^2
+    const marker = Parser.#peek(state);
+    if (Parser.#isOperator(marker, "E", "_^")) {
+      const exponent = Parser.#readSignedInteger(state, state.pos + 1, /^\w+$/);
+      if (exponent) {
+        state.pos = exponent.next;
+        node = {
+          type: NodeType.BINARY_OP,
+          operator: marker.value,
+          left: node,
+          right: exponent.node,
+          start: node.start,
+          end: exponent.node.end,
+        };
       }
+    }
 
-      // Check for exponentiation after factorial
-      if (factorialResult.remainingExpr.length > 0) {
-        if (factorialResult.remainingExpr[0] === "^") {
-          // Standard exponentiation (pow)
-          const powerExpr = factorialResult.remainingExpr.substring(1);
-
-          // First check if it's a simple integer exponent
-          let powerResult;
-          let isIntegerExponent = false;
+    // Factorial binds tighter than exponentiation: 2!^3 is (2!)^3
+    const bang = Parser.#peek(state);
+    if (Parser.#isOperator(bang, "!", "!!")) {
+      state.pos++;
+      node = {
+        type: NodeType.FACTORIAL,
+        operator: bang.value,
+        operand: node,
+        start: node.start,
+        end: bang.end,
+      };
+    }
 
-          try {
-            // Try parsing as integer first
-            powerResult = Parser.#parseExponent(powerExpr);
-            isIntegerExponent = true;
-          } catch (e) {
-            // If not a simple integer, parse as expression
-            powerResult = Parser.#parseExponentExpression(powerExpr, options);
-            isIntegerExponent = false;
-          }
+    // Relative units scale the value: 5% is 1/20, 250ppm is 1/4000
+    const unit = Parser.#peek(state);
+    if (Parser.#isOperator(unit, "%", "‰") || Parser.#isKeyword(unit, "ppm") || Parser.#isKeyword(unit, "ppb")) {
+      state.pos++;
+      node = {
+        type: NodeType.PERCENT,
+        operator: unit.value,
+        operand: node,
+        start: node.start,
+        end: unit.end,
+      };
+    }
 
-          // Check for 0^0
-          const zero = new Rational(0);
-          let isZero = false;
-
-          if (factorialResult.value instanceof RationalInterval) {
-            isZero =
-              factorialResult.value.low.equals(zero) &&
-              factorialResult.value.high.equals(zero);
-          } else if (factorialResult.value instanceof Rational) {
-            isZero = factorialResult.value.equals(zero);
-          } else if (factorialResult.value instanceof Integer) {
-            isZero = factorialResult.value.value === 0n;
-          }
+    const power = Parser.#peek(state);
+    if (Parser.#isOperator(power, "^", "**")) {
+      state.pos++;
+      const exponent = Parser.#parsePowerExponent(state);
+      node = {
+        type: NodeType.POWER,
+        operator: power.value,
+        base: node,
+        exponent,
+        start: node.start,
+        end: exponent.end,
+      };
+    }
 
-          const isZeroExponent = isIntegerExponent ?
-            powerResult.value === 0n :
-            (powerResult.value instanceof Rational && powerResult.value.numerator === 0n) ||
-            (powerResult.value instanceof Integer && powerResult.value.value === 0n);
+    return node;
+  }
 
-          if (isZero && isZeroExponent) {
-            throw new Error("Zero cannot be raised to the power of zero");
-          }
+  /**
+   * Parses an index L[i] or a slice L[i:j] (either bound may be omitted).
+   * Inside the brackets a colon separates slice bounds instead of forming an interval.
+   * @private
+   */
+  static #parseIndex(state, target) {
+    state.pos++; // [
+    const inIndex = state.inIndex;
+    state.inIndex = true;
+
+    let from = null;
+    let to = null;
+    let isSlice = false;
+    try {
+      if (!Parser.#isOperator(Parser.#peek(state), ":")) {
+        from = Parser.#parseAddSub(state);
+      }
+      if (Parser.#isOperator(Parser.#peek(state), ":")) {
+        state.pos++;
+        isSlice = true;
+        if (!Parser.#isBracket(Parser.#peek(state), "]")) {
+          to = Parser.#parseAddSub(state);
+        }
+      }
+    } finally {
+      state.inIndex = inIndex;
+    }
 
-          let result;
-          if (isIntegerExponent) {
-            // Use standard pow for integer exponents
-            result = factorialResult.value.pow(powerResult.value);
-          } else {
-            // Use rationalIntervalPower for fractional exponents
-            const precision = options.precision || DEFAULT_PRECISION;
-            result = rationalIntervalPower(factorialResult.value, powerResult.value, precision);
-          }
+    const close = Parser.#next(state, ["]"]);
+    if (!Parser.#isBracket(close, "]")) {
+      throw Parser.#syntaxError(
+        state,
+        `Unexpected token in index: ${close.text}`,
+        ErrorCode.UNEXPECTED_TOKEN,
+        close,
+        isSlice ? ["]"] : [":", "]"],
+      );
+    }
 
-          return {
-            value: result,
-            remainingExpr: powerResult.remainingExpr,
-          };
-        } else if (
-          factorialResult.remainingExpr.length > 1 &&
-          factorialResult.remainingExpr[0] === "*" &&
-          factorialResult.remainingExpr[1] === "*"
-        ) {
-          // Multiplicative exponentiation (mpow) or Newton root (**)
-          const powerExpr = factorialResult.remainingExpr.substring(2);
+    if (isSlice) {
+      return { type: NodeType.SLICE, target, from, to, start: target.start, end: close.end };
+    }
+    return { type: NodeType.INDEX, target, index: from, start: target.start, end: close.end };
+  }
 
-          // First check if it's a simple integer exponent
-          let powerResult;
-          let isIntegerExponent = false;
+  /**
+   * Parses the exponent of ^ or **: a signed integer, or a factor such as (1/2).
+   * A further ^ or ** makes the exponent a factor so that 2^3^2 is 2^(3^2).
+   * @private
+   */
+  static #parsePowerExponent(state) {
+    const literal = Parser.#readSignedInteger(state, state.pos, /^\d+$/);
+    if (literal && !Parser.#isOperator(state.tokens[literal.next], "^", "**")) {
+      state.pos = literal.next;
+      return literal.node;
+    }
+    return Parser.#parseFactor(state);
+  }
 
-          try {
-            // Try parsing as integer first
-            powerResult = Parser.#parseExponent(powerExpr);
-            isIntegerExponent = true;
-          } catch (e) {
-            // If not a simple integer, parse as expression
-            powerResult = Parser.#parseExponentExpression(powerExpr, options);
-            isIntegerExponent = false;
-          }
+  /**
+   * Reads an optionally negative integer literal starting at token `index`
+   * without consuming it. Returns the literal node and the index after it, or null.
+   * @private
+   */
+  static #readSignedInteger(state, index, digitsPattern) {
+    let token = state.tokens[index];
+    let sign = null;
+    if (Parser.#isOperator(token, "-")) {
+      sign = token;
+      token = state.tokens[index + 1];
+    }
+    if (!token || token.type !== TokenType.NUMBER || !digitsPattern.test(token.value)) {
+      return null;
+    }
+    return {
+      node: Parser.#literalNode(state, token, sign),
+      next: index + (sign ? 2 : 1),
+    };
+  }
 
-          // Check for zero exponent in multiplicative exponentiation
-          const isZeroExponent = (isIntegerExponent && powerResult.value === 0n) ||
-            (!isIntegerExponent && powerResult.value instanceof Integer && powerResult.value.value === 0n) ||
-            (!isIntegerExponent && powerResult.value instanceof Rational && powerResult.value.numerator === 0n);
+  /**
+   * Index just past a tight E or _^ suffix (E2, E-2) starting at token `index`,
+   * or `index` itself when there is none
+   * @private
+   */
+  static #skipEndpointSuffix(state, index, markers) {
+    const marker = state.tokens[index];
+    if (
+      Parser.#isOperator(marker, ...markers) &&
+      !marker.spaceBefore &&
+      Parser.#readSignedInteger(state, index + 1, /^\w+$/)
+    ) {
+      return Parser.#readSignedInteger(state, index + 1, /^\w+$/).next;
+    }
+    return index;
+  }
 
-          if (isZeroExponent) {
-            throw new Error("Multiplicative exponentiation requires at least one factor");
-          }
+  /**
+   * Whether the literal at the current position is the lower endpoint of an interval
+   * @private
+   */
+  static #startsInterval(state) {
+    const token = Parser.#peek(state);
+    if (state.inIndex || !Tokenizer.isLiteral(token) || token.type === TokenType.UNCERTAINTY) {
+      return false;
+    }
+    const afterLow = Parser.#skipEndpointSuffix(state, state.pos + 1, ["E"]);
+    return Parser.#isOperator(state.tokens[afterLow], ":");
+  }
 
-          let result;
-          if (!isIntegerExponent && powerResult.value instanceof Rational &&
-            Number(powerResult.value.denominator) <= 10 &&
-            Number(powerResult.value.denominator) > 1) {
-            // Use Newton's method for rational exponents with small denominators
-            const precision = options.precision || DEFAULT_PRECISION;
-            const rootDegree = Number(powerResult.value.denominator);
-            const rootInterval = newtonRoot(factorialResult.value, rootDegree, precision);
-
-            // If numerator is not 1, raise to numerator power
-            if (!powerResult.value.numerator === 1n) {
-              const numeratorPower = Number(powerResult.value.numerator);
-              result = rootInterval;
-              for (let i = 1; i < Math.abs(numeratorPower); i++) {
-                result = result.multiply(rootInterval);
-              }
-              if (numeratorPower < 0) {
-                // For negative powers, take reciprocal
-                result = new RationalInterval(
-                  new Rational(1).divide(result.upper),
-                  new Rational(1).divide(result.lower)
-                );
-              }
-            } else {
-              result = rootInterval;
-            }
-          } else if (isIntegerExponent) {
-            // For multiplicative exponentiation with integer exponents, use mpow
-            let base = factorialResult.value;
-            if (!(base instanceof RationalInterval)) {
-              // Convert scalar to point interval for mpow
-              base = RationalInterval.point(
-                base instanceof Integer ? base.toRational() : base,
-              );
-            }
-            result = base.mpow(powerResult.value);
-          } else {
-            // For general fractional exponents, use rationalIntervalPower
-            const precision = options.precision || DEFAULT_PRECISION;
-            result = rationalIntervalPower(factorialResult.value, powerResult.value, precision);
-          }
+  /**
+   * Builds a Literal node from a literal token, folding in an optional minus sign
+   * and any tokens that belong to the same notation (e.g. a tight E suffix)
+   * @private
+   */
+  static #literalNode(state, token, sign = null, suffixTokens = []) {
+    const last = suffixTokens.length > 0 ? suffixTokens[suffixTokens.length - 1] : token;
+    const start = sign ? sign.start : token.start;
+    return {
+      type: NodeType.LITERAL,
+      kind: token.type,
+      notation: (sign ? "-" : "") + token.value + suffixTokens.map((t) => t.value).join(""),
+      raw: state.input.substring(start, last.end),
+      start,
+      end: last.end,
+    };
+  }
 
-          if (result._skipPromotion === undefined) {
-            result._skipPromotion = true;
-          }
-          return {
-            value: result,
-            remainingExpr: powerResult.remainingExpr,
-          };
-        }
+  /**
+   * Parses a primary: parenthesized expression, string, list, or literal (possibly an interval)
+   * @private
+   */
+  static #parsePrimary(state, sign = null) {
+    const token = Parser.#next(state, Parser.#OPERAND_EXPECTED);
+
+    if (Parser.#isBracket(token, "(")) {
+      const inner = Parser.#parseOr(state);
+      if (Parser.#isOperator(Parser.#peek(state), "=")) {
+        throw Parser.#syntaxError(
+          state,
+          "Assignment is only allowed at the top level",
+          ErrorCode.BAD_ASSIGNMENT,
+          Parser.#peek(state),
+          [")"],
+        );
+      }
+      if (!Parser.#isBracket(Parser.#peek(state), ")")) {
+        throw Parser.#syntaxError(state, "Missing closing parenthesis", ErrorCode.UNCLOSED_PAREN, token, [")"]);
       }
+      state.pos++;
+      return inner;
+    }
+
+    if (token.type === TokenType.STRING) {
+      return {
+        type: NodeType.STRING_LITERAL,
+        value: token.value,
+        start: token.start,
+        end: token.end,
+      };
+    }
+
+    if (Parser.#isBracket(token, "[")) {
+      return Parser.#parseListLiteral(state, token);
+    }
+
+    if (Parser.#isVariable(token)) {
+      return {
+        type: NodeType.VARIABLE,
+        name: token.value,
+        start: token.start,
+        end: token.end,
+      };
+    }
 
-      return factorialResult;
-    }
-
-    // Check for String Literal
-    if (expr[0] === '"') {
-      const stringResult = Parser.#parseStringLiteral(expr);
-      return stringResult;
-    }
-
-    // Check for List Literal
-    if (expr[0] === "[") {
-      // Disambiguate with uncertainty notation or base notation
-      // Uncertainty/Interval usually follows a number. parseFactor handles START of factor.
-      // However, [1,2] could be a list OR an interval?
-      // user said "Lists... literal... [...]"
-      // [1, 2, 3] is list.
-      // [1:5] is interval? or list?
-      // If it contains comma, likely list (unless uncertainty rel/range).
-      // But uncertainty is suffix.
-      // Standalone [a,b] is list.
-      // Standalone [a:b] might be interval?
-      // Existing parser handles intervals via `parseInterval` which calls `parseBaseNotation`.
-      // `parseBaseNotation` handles `1:5`.
-      // `parseInterval` calls `parseBaseNotation`.
-      // If we see `[`, it is likely a list.
-      // Intervals in RatMath are usually `a:b` or `1.2[3]` or `1.2[+1]`.
-      // Standalone `[1,2]` is NOT currently valid interval syntax in RatMath (it uses `1:2`).
-      // So `[` at start of factor is safely a List.
-
-      const listResult = Parser.#parseListLiteral(expr, options);
-      return listResult;
-    }
-
-    // Check for base notation first (like 101[2], FF[16], A[16]:F[16], etc.)
-    if (expr.includes("[") && expr.includes("]")) {
-      // Check if it matches base notation pattern specifically
-      const baseMatch = expr.match(/^([-\w./:^]+(?::[-\w./:^]+)?)\[(\d+)\]/);
-      if (baseMatch) {
-        throw new Error(
-          "Bracket base notation (Value[Base]) is no longer supported. Use prefix notation (0xValue, 0bValue) or the BASE command."
+    if (token.type === TokenType.IDENTIFIER && token.value.startsWith("@")) {
+      const name = token.value.substring(1);
+      if (!/^[A-Z]/.test(name)) {
+        throw Parser.#syntaxError(
+          state,
+          `Invalid function reference: ${token.text}`,
+          ErrorCode.UNEXPECTED_TOKEN,
+          token,
+          ["@Name"],
         );
       }
-
-      // If not base notation, check for uncertainty notation
-      const uncertaintyMatch = expr.match(/^(-?[@\w./:^]+)\[([^\]]+)\]((?:[Ee][+-]?[\w]+|\_?\^-?[\w]+)?)/);
-      if (uncertaintyMatch) {
-        const fullMatch = uncertaintyMatch[0];
-        try {
-          const result = parseDecimalUncertainty(fullMatch, options); // Allow integer range notation in Parser
-          return {
-            value: result,
-            remainingExpr: expr.substring(fullMatch.length),
-          };
-        } catch (error) {
-          // If it looks like uncertainty notation but is malformed, throw the error
-          throw error;
-        }
+      if (Parser.#isBracket(Parser.#peek(state), "(")) {
+        return Parser.#parseCall(state, token, name);
       }
+      return { type: NodeType.FUNCTION_REF, name, start: token.start, end: token.end };
     }
 
-    // Check for negation (but only if it's not part of uncertainty notation or interval notation)
-    if (expr[0] === "-" && !expr.includes("[") && !expr.includes(":")) {
-      const factorResult = Parser.#parseFactor(expr.substring(1), options);
+    if (Parser.#isFunctionName(token) && Parser.#isBracket(Parser.#peek(state), "[")) {
+      return Parser.#parseIteration(state, token);
+    }
 
-      // Negate the value - type-aware for new parsing, backward compatible for old
-      let negatedValue;
-      if (options.typeAware && factorResult.value instanceof Integer) {
-        negatedValue = factorResult.value.negate();
-      } else if (options.typeAware && factorResult.value instanceof Rational) {
-        negatedValue = factorResult.value.negate();
-        // Preserve explicitFraction flag when negating
-        if (factorResult.value._explicitFraction) {
-          negatedValue._explicitFraction = true;
-        }
-      } else {
-        // For backward compatibility and intervals, negate by multiplying by -1
-        const negOne = new Rational(-1);
-        const negInterval = RationalInterval.point(negOne);
-        negatedValue = negInterval.multiply(factorResult.value);
+    if (Parser.#isFunctionName(token)) {
+      if (!Parser.#isBracket(Parser.#peek(state), "(")) {
+        throw Parser.#syntaxError(
+          state,
+          `Expected ( after function name ${token.value}`,
+          ErrorCode.UNEXPECTED_TOKEN,
+          Parser.#peek(state),
+          ["("],
+        );
       }
+      return Parser.#parseCall(state, token, token.value);
+    }
 
-      return {
-        value: negatedValue,
-        remainingExpr: factorResult.remainingExpr,
-      };
+    if (Tokenizer.isLiteral(token)) {
+      return Parser.#parseLiteral(state, token, sign);
     }
 
-    // Try to parse a number (could be Integer, Rational, or RationalInterval)
-    const numberResult = Parser.#parseInterval(expr, options);
-    // Check for tight E notation after the number (higher precedence than exponentiation)
-    if (
-      numberResult.remainingExpr.length > 0 &&
-      (numberResult.remainingExpr[0] === "E" ||
-        numberResult.remainingExpr.startsWith("TE") ||
-        numberResult.remainingExpr.startsWith("_^"))
-    ) {
-      const eResult = Parser.#parseENotation(
-        numberResult.value,
-        numberResult.remainingExpr,
-        options,
-      );
+    throw Parser.#syntaxError(
+      state,
+      `Unexpected token: ${token.text}`,
+      ErrorCode.UNEXPECTED_TOKEN,
+      token,
+      Parser.#OPERAND_EXPECTED,
+    );
+  }
 
-      // Check for factorial operators after E notation (higher precedence than exponentiation)
-      let factorialResult = eResult;
-      if (
-        factorialResult.remainingExpr.length > 1 &&
-        factorialResult.remainingExpr.substring(0, 2) === "!!"
-      ) {
-        // Double factorial
-        if (factorialResult.value instanceof Integer) {
-          factorialResult = {
-            value: factorialResult.value.doubleFactorial(),
-            remainingExpr: factorialResult.remainingExpr.substring(2),
-          };
-        } else if (
-          factorialResult.value instanceof Rational &&
-          factorialResult.value.denominator === 1n
-        ) {
-          const intValue = new Integer(factorialResult.value.numerator);
-          factorialResult = {
-            value: intValue.doubleFactorial().toRational(),
-            remainingExpr: factorialResult.remainingExpr.substring(2),
-          };
-        } else if (
-          factorialResult.value.low &&
-          factorialResult.value.high &&
-          factorialResult.value.low.equals(factorialResult.value.high) &&
-          factorialResult.value.low.denominator === 1n
-        ) {
-          // Point interval containing an integer
-          const intValue = new Integer(factorialResult.value.low.numerator);
-          const factorialValue = intValue.doubleFactorial();
-          const IntervalClass = factorialResult.value.constructor;
-          factorialResult = {
-            value: new IntervalClass(
-              factorialValue.toRational(),
-              factorialValue.toRational(),
-            ),
-            remainingExpr: factorialResult.remainingExpr.substring(2),
-          };
-        } else {
-          throw new Error(
-            "Double factorial is not defined for negative integers",
-          );
+  /**
+   * Parses a list literal: [...]
+   * Elements are expressions separated by commas.
+   * @private
+   */
+  static #parseListLiteral(state, open) {
+    const elements = [];
+
+    if (Parser.#isBracket(Parser.#peek(state), "]")) {
+      const close = Parser.#next(state);
+      return { type: NodeType.LIST, elements, start: open.start, end: close.end };
+    }
+
+    while (true) {
+      elements.push(Parser.#parseAddSub(state));
+
+      const separator = Parser.#peek(state);
+      if (!separator) {
+        throw Parser.#syntaxError(state, "Unterminated list literal", ErrorCode.UNCLOSED_LIST, open, [",", "]"]);
+      }
+      state.pos++;
+
+      if (Parser.#isOperator(separator, ",")) {
+        continue;
+      } else if (Parser.#isBracket(separator, "]")) {
+        return { type: NodeType.LIST, elements, start: open.start, end: separator.end };
+      } else {
+        throw Parser.#syntaxError(
+          state,
+          `Unexpected token in list: ${separator.text}`,
+          ErrorCode.UNEXPECTED_TOKEN,
+          separator,
+          [",", "]"],
+        );
+      }
+    }
+  }
+
+  /**
+   * Parses a literal, extending it to an interval literal when a colon follows.
+   * A tight E suffix belongs to the endpoint it touches: in 3E1:4E1 both endpoints are scaled.
+   * @private
+   */
+  static #parseLiteral(state, token, sign) {
+    if (token.type === TokenType.UNCERTAINTY) {
+      return Parser.#literalNode(state, token, sign);
+    }
+
+    const afterLow = Parser.#skipEndpointSuffix(state, state.pos, ["E"]);
+    if (state.inIndex || !Parser.#isOperator(state.tokens[afterLow], ":")) {
+      return Parser.#literalNode(state, token, sign);
+    }
+
+    const low = Parser.#literalNode(state, token, sign, state.tokens.slice(state.pos, afterLow));
+    state.pos = afterLow + 1;
+
+    let highSign = null;
+    if (Parser.#isOperator(Parser.#peek(state), "-")) {
+      highSign = Parser.#next(state);
+    }
+    const highToken = Parser.#next(state, [TokenType.NUMBER]);
+    if (!Tokenizer.isLiteral(highToken) || highToken.type === TokenType.UNCERTAINTY) {
+      throw Parser.#syntaxError(
+        state,
+        `Invalid interval endpoint: ${highToken.text}`,
+        ErrorCode.BAD_INTERVAL,
+        highToken,
+        [TokenType.NUMBER],
+      );
+    }
+    const afterHigh = Parser.#skipEndpointSuffix(state, state.pos, ["E", "_^"]);
+    const high = Parser.#literalNode(state, highToken, highSign, state.tokens.slice(state.pos, afterHigh));
+    state.pos = afterHigh;
+
+    return {
+      type: NodeType.INTERVAL,
+      low,
+      high,
+      start: low.start,
+      end: high.end,
+    };
+  }
+
+  /**
+   * Evaluates a node and applies type promotion to the result
+   * @private
+   */
+  static #evaluateNode(node, options) {
+    try {
+      return Parser.#promoteType(Parser.#evaluateNodeValue(node, options), options);
+    } catch (error) {
+      throw Parser.#locateError(error, node);
+    }
+  }
+
+  /**
+   * Attaches the source position of a node to an error raised while evaluating it.
+   * Literal parsers report offsets relative to the notation; these are moved into the
+   * expression when the notation is the source text, otherwise the whole literal is marked.
+   * @private
+   */
+  static #locateError(error, node) {
+    const parseError = ParseError.from(error);
+    if (node.start === undefined) {
+      return parseError;
+    }
+
+    if (node.type === NodeType.LITERAL || node.type === NodeType.INTERVAL) {
+      const local = parseError.offset;
+      let offset = null;
+      if (local !== null && node.type === NodeType.LITERAL) {
+        offset = Parser.#sourceOffset(node, local);
+      } else if (local !== null) {
+        const highLocal = local - node.low.notation.length - 1;
+        offset = highLocal < 0
+          ? Parser.#sourceOffset(node.low, local)
+          : Parser.#sourceOffset(node.high, highLocal);
+      }
+      if (offset === null) {
+        parseError.offset = node.start;
+        parseError.length = node.end - node.start;
+      } else {
+        parseError.offset = offset;
+      }
+      parseError.input = null;
+    } else if (parseError.offset === null) {
+      parseError.offset = node.start;
+      parseError.length = node.end - node.start;
+    }
+
+    return parseError;
+  }
+
+  /**
+   * Maps an offset within a literal's notation to the expression, or null if they differ
+   * @private
+   */
+  static #sourceOffset(literal, local) {
+    if (literal.raw !== literal.notation || local >= literal.notation.length) {
+      return null;
+    }
+    return literal.start + local;
+  }
+
+  /**
+   * @private
+   */
+  static #evaluateNodeValue(node, options) {
+    switch (node.type) {
+      case NodeType.LITERAL:
+        return Parser.#evaluateLiteral(node.kind, node.notation, options);
+
+      case NodeType.INTERVAL:
+        // Degree and time endpoints contain their own colons (1:00:00 in hms mode)
+        if (node.low.kind === TokenType.SEXAGESIMAL || node.high.kind === TokenType.SEXAGESIMAL) {
+          return Parser.#intervalOf([node.low, node.high].map((endpoint) => (
+            Parser.#evaluateLiteral(endpoint.kind, endpoint.notation, options)
+          )));
         }
-      } else if (
-        factorialResult.remainingExpr.length > 0 &&
-        factorialResult.remainingExpr[0] === "!" &&
-        factorialResult.remainingExpr[1] !== "="  // Don't consume ! if it's part of !=
-      ) {
-        // Single factorial
-        if (factorialResult.value instanceof Integer) {
-          factorialResult = {
-            value: factorialResult.value.factorial(),
-            remainingExpr: factorialResult.remainingExpr.substring(1),
-          };
-        } else if (
-          factorialResult.value instanceof Rational &&
-          factorialResult.value.denominator === 1n
-        ) {
-          const intValue = new Integer(factorialResult.value.numerator);
-          factorialResult = {
-            value: intValue.factorial().toRational(),
-            remainingExpr: factorialResult.remainingExpr.substring(1),
-          };
-        } else if (
-          factorialResult.value.low &&
-          factorialResult.value.high &&
-          factorialResult.value.low.equals(factorialResult.value.high) &&
-          factorialResult.value.low.denominator === 1n
-        ) {
-          // Point interval containing an integer
-          const intValue = new Integer(factorialResult.value.low.numerator);
-          const factorialValue = intValue.factorial();
-          const IntervalClass = factorialResult.value.constructor;
-          factorialResult = {
-            value: new IntervalClass(
-              factorialValue.toRational(),
-              factorialValue.toRational(),
-            ),
-            remainingExpr: factorialResult.remainingExpr.substring(1),
-          };
-        } else {
-          throw new Error("Factorial is not defined for negative integers");
+        return Parser.#evaluateLiteral(
+          node.low.kind,
+          `${node.low.notation}:${node.high.notation}`,
+          options,
+        );
+
+      case NodeType.STRING_LITERAL:
+        return node.value;
+
+      case NodeType.VARIABLE:
+        return Parser.#lookupVariable(node.name, options);
+
+      case NodeType.CALL:
+        return Parser.#evaluateCall(node, options);
+
+      case NodeType.ITERATION:
+        return Parser.#evaluateIteration(node, options);
+
+      case NodeType.INDEX: {
+        const values = Parser.#indexTarget(Parser.#evaluateNode(node.target, options));
+        const index = Parser.#evaluateNode(node.index, options);
+        return values[Parser.#listPosition(index, values.length)];
+      }
+
+      case NodeType.SLICE: {
+        const values = Parser.#indexTarget(Parser.#evaluateNode(node.target, options));
+        const from = node.from ? Parser.#listPosition(Parser.#evaluateNode(node.from, options), values.length) : 0;
+        const to = node.to ? Parser.#listPosition(Parser.#evaluateNode(node.to, options), values.length) : values.length - 1;
+        return { type: "sequence", values: values.slice(from, to + 1) };
+      }
+
+      case NodeType.FUNCTION_REF:
+        return Parser.#lookupFunction(node.name, options);
+
+      case NodeType.FUNCTION_DEFINITION: {
+        const definition = {
+          type: "function",
+          name: node.name,
+          params: node.params,
+          body: node.body,
+        };
+        if (options.functions) {
+          options.functions[node.name] = definition;
         }
+        return definition;
       }
 
-      // Check for exponentiation after factorial
-      if (factorialResult.remainingExpr.length > 0) {
-        if (factorialResult.remainingExpr[0] === "^") {
-          // Standard exponentiation (pow)
-          const powerExpr = factorialResult.remainingExpr.substring(1);
+      case NodeType.ASSIGNMENT: {
+        const value = Parser.#evaluateNode(node.value, options);
+        if (options.variables) {
+          options.variables[node.name] = value;
+        }
+        return value;
+      }
 
-          // First check if it's a simple integer exponent
-          let powerResult;
-          let isIntegerExponent = false;
+      case NodeType.LIST:
+        return {
+          type: "sequence",
+          values: node.elements.map((element) => Parser.#evaluateNode(element, options)),
+        };
 
-          try {
-            // Try parsing as integer first
-            powerResult = Parser.#parseExponent(powerExpr);
-            isIntegerExponent = true;
-          } catch (e) {
-            // If not a simple integer, parse as expression
-            powerResult = Parser.#parseExponentExpression(powerExpr, options);
-            isIntegerExponent = false;
-          }
+      case NodeType.UNARY_OP:
+        return Parser.#negate(Parser.#evaluateNode(node.operand, options), options);
+
+      case NodeType.BINARY_OP:
+        return Parser.#evaluateBinaryOp(node, options);
+
+      case NodeType.POWER:
+        return Parser.#evaluatePower(node, options);
+
+      case NodeType.PERCENT:
+        return Parser.#scaleByUnit(Parser.#evaluateNode(node.operand, options), RELATIVE_UNITS[node.operator], options);
+
+      case NodeType.FACTORIAL:
+        return Parser.#factorial(
+          Parser.#evaluateNode(node.operand, options),
+          node.operator === "!!",
+        );
+
+      case NodeType.COMPARISON:
+        return Parser.#compare(
+          node.operator,
+          Parser.#evaluateNode(node.left, options),
+          Parser.#evaluateNode(node.right, options),
+          options,
+        );
+
+      case NodeType.LOGICAL:
+        return Parser.#logical(
+          node.operator,
+          Parser.#evaluateNode(node.left, options),
+          Parser.#evaluateNode(node.right, options),
+          options,
+        );
+
+      default:
+        throw new ParseError(`Unknown node type: ${node.type}`, { code: ErrorCode.UNKNOWN_NODE });
+    }
+  }
+
+  /**
+   * Reads a variable from options.variables
+   * @private
+   */
+  static #lookupVariable(name, options) {
+    const variables = options.variables;
+    if (!variables || !Object.hasOwn(variables, name) || variables[name] === undefined) {
+      throw new ParseError(`Undefined variable: ${name}`, { code: ErrorCode.UNDEFINED_VARIABLE });
+    }
+    return variables[name];
+  }
+
+  /**
+   * Built-in functions, called with the evaluated arguments and the evaluation options.
+   * IF, POSSIBLY and CERTAINLY are handled by #evaluateCall because they control how
+   * their arguments are evaluated.
+   * @private
+   */
+  static #BUILTINS = Object.freeze({
+    ABS: (args) => {
+      Parser.#checkArity("ABS", args, 1);
+      return args[0].abs();
+    },
+
+    LEN: (args) => {
+      Parser.#checkArity("LEN", args, 1);
+      if (typeof args[0] === "string") {
+        return new Integer(BigInt(args[0].length));
+      }
+      return new Integer(BigInt(Parser.#expectSequence("LEN", args, 0).length));
+    },
+
+    RANGE: (args, options) => {
+      Parser.#checkArity("RANGE", args, 2, 3);
+      const [low, high, step] = args.map((arg) => Parser.#exactBound("RANGE", arg));
+      return { type: "sequence", values: Parser.#rangeValues("RANGE", low, high, step, options) };
+    },
+
+    MAP: (args, options) => {
+      Parser.#checkArity("MAP", args, 2);
+      const fn = Parser.#resolveFunction("MAP", args[0], options);
+      const values = Parser.#expectSequence("MAP", args, 1).map((value) =>
+        Parser.#callFunction(fn, [value], options),
+      );
+      return { type: "sequence", values };
+    },
+
+    FILTER: (args, options) => {
+      Parser.#checkArity("FILTER", args, 2);
+      const fn = Parser.#resolveFunction("FILTER", args[0], options);
+      const values = Parser.#expectSequence("FILTER", args, 1).filter((value) =>
+        Parser.#isTruthy(Parser.#callFunction(fn, [value], options)),
+      );
+      return { type: "sequence", values };
+    },
+
+    REDUCE: (args, options) => {
+      Parser.#checkArity("REDUCE", args, 2, 3);
+      const fn = Parser.#resolveFunction("REDUCE", args[0], options);
+      const values = Parser.#expectSequence("REDUCE", args, 1);
+      if (args.length === 2 && values.length === 0) {
+        throw new ParseError("REDUCE of an empty list needs an initial value", {
+          code: ErrorCode.BAD_ARGUMENTS,
+        });
+      }
+      const reducer = (total, value) => Parser.#callFunction(fn, [total, value], options);
+      return args.length === 3 ? values.reduce(reducer, args[2]) : values.reduce(reducer);
+    },
+
+    INTERSECT: (args) => {
+      Parser.#checkArity("INTERSECT", args, 1, Infinity);
+      if (args.some(Parser.#isEmpty)) {
+        return Parser.#EMPTY;
+      }
+      const bounds = args.map((arg) => Parser.#intervalBounds("INTERSECT", arg));
+      const low = bounds.reduce((max, b) => (b.low.compareTo(max) > 0 ? b.low : max), bounds[0].low);
+      const high = bounds.reduce((min, b) => (b.high.compareTo(min) < 0 ? b.high : min), bounds[0].high);
+      return low.compareTo(high) > 0 ? Parser.#EMPTY : new RationalInterval(low, high);
+    },
+
+    HULL: (args) => {
+      Parser.#checkArity("HULL", args, 1, Infinity);
+      const bounds = args.filter((arg) => !Parser.#isEmpty(arg)).map((arg) => Parser.#intervalBounds("HULL", arg));
+      if (bounds.length === 0) {
+        return Parser.#EMPTY;
+      }
+      const low = bounds.reduce((min, b) => (b.low.compareTo(min) < 0 ? b.low : min), bounds[0].low);
+      const high = bounds.reduce((max, b) => (b.high.compareTo(max) > 0 ? b.high : max), bounds[0].high);
+      return new RationalInterval(low, high);
+    },
+
+    SUBSET: (args) => {
+      Parser.#checkArity("SUBSET", args, 2);
+      if (Parser.#isEmpty(args[0]) || Parser.#isEmpty(args[1])) {
+        return new Integer(Parser.#isEmpty(args[0]) ? 1n : 0n);
+      }
+      const inner = Parser.#intervalBounds("SUBSET", args[0]);
+      const outer = Parser.#intervalBounds("SUBSET", args[1]);
+      const isSubset = inner.low.compareTo(outer.low) >= 0 && inner.high.compareTo(outer.high) <= 0;
+      return new Integer(isSubset ? 1n : 0n);
+    },
+
+    ISEMPTY: (args) => {
+      Parser.#checkArity("ISEMPTY", args, 1);
+      return new Integer(Parser.#isEmpty(args[0]) ? 1n : 0n);
+    },
+
+    WIDTH: (args) => {
+      Parser.#checkArity("WIDTH", args, 1);
+      const { low, high } = Parser.#intervalBounds("WIDTH", args[0]);
+      return high.subtract(low);
+    },
+
+    MID: (args) => {
+      Parser.#checkArity("MID", args, 1);
+      const { low, high } = Parser.#intervalBounds("MID", args[0]);
+      return low.add(high).divide(new Rational(2));
+    },
+
+    RADIUS: (args) => {
+      Parser.#checkArity("RADIUS", args, 1);
+      const { low, high } = Parser.#intervalBounds("RADIUS", args[0]);
+      return high.subtract(low).divide(new Rational(2));
+    },
+
+    ZIP: (args) => {
+      Parser.#checkArity("ZIP", args, 2, Infinity);
+      const lists = args.map((_, i) => Parser.#expectSequence("ZIP", args, i));
+      const length = Math.min(...lists.map((list) => list.length));
+      const values = [];
+      for (let i = 0; i < length; i++) {
+        values.push({ type: "sequence", values: lists.map((list) => list[i]) });
+      }
+      return { type: "sequence", values };
+    },
+  });
+
+  /**
+   * @private
+   */
+  static #BUILTIN_FUNCTIONS = new Set(Object.values(Parser.#BUILTINS));
+
+  /**
+   * The value of an empty intersection
+   * @private
+   */
+  static #EMPTY = Object.freeze({ type: "empty" });
+
+  /**
+   * @private
+   */
+  static #isEmpty(value) {
+    return !!value && value.type === "empty";
+  }
+
+  /**
+   * Bounds of a number or interval argument of a set operation
+   * @private
+   */
+  static #intervalBounds(name, value) {
+    const bounds = Parser.#bounds(value);
+    if (!bounds) {
+      throw new ParseError(`${name} expects numbers or intervals`, { code: ErrorCode.BAD_ARGUMENTS });
+    }
+    return bounds;
+  }
+
+  /**
+   * Finds a function by name in options.functions, then in the built-ins
+   * @private
+   */
+  static #lookupFunction(name, options) {
+    if (options.functions && Object.hasOwn(options.functions, name)) {
+      return options.functions[name];
+    }
+    if (Object.hasOwn(Parser.#BUILTINS, name)) {
+      return Parser.#BUILTINS[name];
+    }
+    throw new ParseError(`Undefined function: ${name}`, { code: ErrorCode.UNDEFINED_FUNCTION });
+  }
+
+  /**
+   * @private
+   */
+  static #checkArity(name, args, min, max = min) {
+    if (args.length < min || args.length > max) {
+      const plural = (n) => `${n} argument${n === 1 ? "" : "s"}`;
+      let count = `${min} or ${max} arguments`;
+      if (min === max) {
+        count = plural(min);
+      } else if (max === Infinity) {
+        count = `at least ${plural(min)}`;
+      }
+      throw new ParseError(`${name} expects ${count}, got ${args.length}`, {
+        code: ErrorCode.BAD_ARGUMENTS,
+      });
+    }
+  }
+
+  /**
+   * Returns the values of a sequence argument
+   * @private
+   */
+  static #expectSequence(name, args, index) {
+    const value = args[index];
+    if (!value || value.type !== "sequence") {
+      throw new ParseError(`${name} expects a list as argument ${index + 1}`, {
+        code: ErrorCode.BAD_ARGUMENTS,
+      });
+    }
+    return value.values;
+  }
+
+  /**
+   * Resolves a function argument given as a name string or an @Func reference
+   * @private
+   */
+  static #resolveFunction(name, value, options) {
+    if (typeof value === "string") {
+      return Parser.#lookupFunction(value, options);
+    }
+    if (typeof value === "function" || (value && value.type === "function")) {
+      return value;
+    }
+    throw new ParseError(`${name} expects a function name or @Func reference`, {
+      code: ErrorCode.BAD_ARGUMENTS,
+    });
+  }
+
+  /**
+   * Applies a function on behalf of a higher-order built-in and promotes the result
+   * @private
+   */
+  static #callFunction(fn, args, options) {
+    return Parser.#promoteType(Parser.#applyFunction(fn, args, options), options);
+  }
+
+  /**
+   * Evaluates a function call
+   * @private
+   */
+  static #evaluateCall(node, options) {
+    if (node.name === "IF") {
+      // Only the chosen branch is evaluated, so recursive definitions can terminate
+      Parser.#checkArity("IF", node.args, 3);
+      const condition = Parser.#evaluateNode(node.args[0], options);
+      return Parser.#evaluateNode(Parser.#isTruthy(condition) ? node.args[1] : node.args[2], options);
+    }
+
+    if (node.name === "POSSIBLY" || node.name === "CERTAINLY") {
+      // The condition is evaluated without options.indeterminate = "error" so that
+      // POSSIBLY(1:3 < 2:4) can see the indeterminate result
+      Parser.#checkArity(node.name, node.args, 1);
+      const condition = Parser.#evaluateNode(node.args[0], { ...options, indeterminate: "interval" });
+      const truth = Parser.#truthValue(condition);
+      const result = node.name === "POSSIBLY" ? truth !== false : truth === true;
+      return new Integer(result ? 1n : 0n);
+    }
+
+    const fn = Parser.#lookupFunction(node.name, options);
+    const args = node.args.map((arg) => Parser.#evaluateNode(arg, options));
+    return Parser.#applyFunction(fn, args, options);
+  }
+
+  /**
+   * Applies a JavaScript function or a definition made with Name(params) -> body.
+   * The body of a definition sees the caller's variables with the parameters bound on top.
+   * Definitions may nest at most options.maxDepth calls deep.
+   * @private
+   */
+  static #applyFunction(fn, args, options) {
+    if (Parser.#BUILTIN_FUNCTIONS.has(fn)) {
+      return fn(args, options);
+    }
+    if (typeof fn === "function") {
+      return fn(...args);
+    }
+
+    if (!fn || fn.type !== "function") {
+      throw new ParseError("Value is not a function", { code: ErrorCode.BAD_ARGUMENTS });
+    }
+
+    Parser.#checkArity(fn.name, args, fn.params.length);
+    const limit = options.maxDepth ?? DEFAULT_MAX_DEPTH;
+    const depth = (options.callDepth ?? 0) + 1;
+    if (depth > limit) {
+      throw new ParseError(`${fn.name} nests more than ${limit} calls deep`, { code: ErrorCode.TOO_DEEP });
+    }
+
+    const variables = { ...options.variables };
+    fn.params.forEach((param, i) => {
+      variables[param] = args[i];
+    });
+
+    try {
+      return Parser.#evaluateNode(fn.body, { ...options, variables, callDepth: depth });
+    } catch (error) {
+      // Offsets inside the body refer to the definition, not to the calling expression
+      const parseError = ParseError.from(error);
+      parseError.offset = null;
+      parseError.length = 1;
+      parseError.input = null;
+      throw parseError;
+    }
+  }
+
+  /**
+   * Evaluates SUM, PROD and SEQ. The index runs from lo to hi inclusive in exact rational
+   * steps (downwards for a negative step); an empty range gives 0, 1 or an empty sequence.
+   * SUM and PROD accumulate like + and *, so sequence-valued bodies add element by element.
+   * @private
+   */
+  static #evaluateIteration(node, options) {
+    const bound = (child) => Parser.#exactBound(node.name, Parser.#evaluateNode(child, options));
+    const indices = Parser.#rangeValues(
+      node.name,
+      bound(node.low),
+      bound(node.high),
+      node.step ? bound(node.step) : undefined,
+      options,
+    );
+
+    const variables = { ...options.variables };
+    const bodyOptions = { ...options, variables };
+    const values = indices.map((i) => {
+      variables[node.index] = i;
+      return Parser.#evaluateNode(node.body, bodyOptions);
+    });
+
+    switch (node.name) {
+      case "SUM":
+        return values.reduce((total, value) => Parser.#arithmetic("+", total, value, options), new Integer(0n));
+      case "PROD":
+        return values.reduce((total, value) => Parser.#arithmetic("*", total, value, options), new Integer(1n));
+      default:
+        return { type: "sequence", values };
+    }
+  }
+
+  /**
+   * The values from low to high inclusive in exact steps (downwards for a negative step),
+   * as Integers where whole. Ranges longer than options.maxIterations are rejected.
+   * @private
+   */
+  static #rangeValues(name, low, high, step = new Rational(1), options = {}) {
+    if (step.numerator === 0n) {
+      throw new ParseError(`${name} step cannot be zero`, { code: ErrorCode.BAD_ARGUMENTS });
+    }
+
+    const limit = options.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+    const direction = step.numerator > 0n ? 1 : -1;
+    const values = [];
+    for (let i = low; i.compareTo(high) * direction <= 0; i = i.add(step)) {
+      if (values.length >= limit) {
+        throw new ParseError(`${name} would run more than ${limit} iterations`, {
+          code: ErrorCode.TOO_MANY_ITERATIONS,
+        });
+      }
+      values.push(Parser.#promoteType(i, { typeAware: true }));
+    }
+    return values;
+  }
+
+  /**
+   * Converts an Integer, Rational or point interval to a Rational, or returns null
+   * @private
+   */
+  static #toExactRational(value) {
+    if (value instanceof Integer) {
+      return value.toRational();
+    }
+    if (value instanceof Rational) {
+      return value;
+    }
+    if (value instanceof RationalInterval && value.low.equals(value.high)) {
+      return value.low;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  static #exactBound(name, value) {
+    const rational = Parser.#toExactRational(value);
+    if (!rational) {
+      throw new ParseError(`${name} bounds and step must be exact numbers`, { code: ErrorCode.BAD_ARGUMENTS });
+    }
+    return rational;
+  }
+
+  /**
+   * Interprets the notation of a literal or interval literal
+   * @private
+   */
+  static #evaluateLiteral(kind, notation, options) {
+    // The m and s of 12d34m or 1h30m are units, never SI prefixes
+    if (options.siSuffixes === true && kind !== TokenType.SEXAGESIMAL) {
+      const scaled = Parser.#evaluateSiLiteral(kind, notation, options);
+      if (scaled) return scaled;
+    }
+
+    if (kind === TokenType.UNCERTAINTY) {
+      return parseDecimalUncertainty(notation, options);
+    }
+
+    if (kind === TokenType.SEXAGESIMAL) {
+      return parseSexagesimal(notation, options);
+    }
+
+    let { value, remainingExpr } = Parser.#parseInterval(notation, options);
+
+    // Literals in a non-decimal input base may carry their own _^ exponent
+    if (remainingExpr.startsWith("E") || remainingExpr.startsWith("_^")) {
+      ({ value, remainingExpr } = Parser.#parseENotation(value, remainingExpr, options));
+    }
+
+    if (remainingExpr.length > 0) {
+      throw new ParseError(`Unexpected token at end: ${remainingExpr}`, { code: ErrorCode.TRAILING_INPUT });
+    }
+
+    return value;
+  }
+
+  /**
+   * Evaluates a literal with SI prefix suffixes (4.7k, 4.7k[+-5%], 1k:2k) as the
+   * literal without them times a power of ten, or returns null when there are none.
+   * A letter that is a digit of the literal's base is never a suffix.
+   * @private
+   */
+  static #evaluateSiLiteral(kind, notation, options) {
+    const suffixAt = (text, at) => {
+      const prefixMatch = text.match(/^-?0([a-zA-Z])/);
+      const baseSystem = (prefixMatch && BaseSystem.getSystemForPrefix(prefixMatch[1])) ||
+        options.inputBase || BaseSystem.DECIMAL;
+      const ch = text[at];
+      return at > 0 && Object.hasOwn(SI_PREFIXES, ch) && normalizeBaseDigits(ch, baseSystem) === null
+        ? SI_PREFIXES[ch]
+        : null;
+    };
+    const scale = (value, power) => Parser.#applyScientificNotation(value, new Integer(BigInt(power)));
+
+    if (kind === TokenType.UNCERTAINTY) {
+      // The suffix sits before the bracket and scales the whole interval
+      const bracket = notation.indexOf("[");
+      const power = suffixAt(notation, bracket - 1);
+      if (power === null) return null;
+      const unscaled = notation.substring(0, bracket - 1) + notation.substring(bracket);
+      return scale(Parser.#evaluateLiteral(kind, unscaled, options), power);
+    }
+
+    const endpoints = notation.split(":");
+    const powers = endpoints.map((endpoint) => suffixAt(endpoint, endpoint.length - 1));
+    if (powers.every((power) => power === null)) return null;
+    const values = endpoints.map((endpoint, i) => (powers[i] === null
+      ? Parser.#evaluateLiteral(kind, endpoint, options)
+      : scale(Parser.#evaluateLiteral(kind, endpoint.substring(0, endpoint.length - 1), options), powers[i])));
+    return values.length === 1 ? values[0] : Parser.#intervalOf(values);
+  }
+
+  /**
+   * Builds the explicit interval low:high from separately evaluated endpoints; an
+   * endpoint with uncertainty contributes its outer bound
+   * @private
+   */
+  static #intervalOf([low, high]) {
+    const bound = (value, side) => {
+      if (value instanceof RationalInterval) return value[side];
+      return value instanceof Integer ? value.toRational() : value;
+    };
+    const interval = new RationalInterval(bound(low, "low"), bound(high, "high"));
+    interval._explicitInterval = true;
+    return interval;
+  }
+
+  /**
+   * Evaluates +, -, *, / and E notation
+   * @private
+   */
+  static #evaluateBinaryOp(node, options) {
+    const left = Parser.#evaluateNode(node.left, options);
+
+    if (node.operator === "E" || node.operator === "_^") {
+      // Integer exponents go through the same path as E inside literals
+      if (node.right.type === NodeType.LITERAL) {
+        const eResult = Parser.#parseENotation(left, node.operator + node.right.notation, options);
+        if (eResult.remainingExpr.length === 0) {
+          return eResult.value;
+        }
+      }
+      const exponent = Parser.#evaluateNode(node.right, options);
+      return Parser.#applyScientificNotation(left, exponent);
+    }
+
+    const right = Parser.#evaluateNode(node.right, options);
+    return Parser.#arithmetic(node.operator, left, right, options);
+  }
+
+  /**
+   * Applies +, -, * or /, broadcasting over sequences: two sequences are paired element
+   * by element, and a scalar or interval is combined with every element of a sequence
+   * @private
+   */
+  static #arithmetic(operator, left, right, options) {
+    if (Parser.#isEmpty(left) || Parser.#isEmpty(right)) {
+      throw new ParseError(`Cannot apply ${operator} to an empty interval`, { code: ErrorCode.EMPTY_INTERVAL });
+    }
+
+    if (Parser.#isSequence(left) || Parser.#isSequence(right)) {
+      let values;
+      if (Parser.#isSequence(left) && Parser.#isSequence(right)) {
+        if (left.values.length !== right.values.length) {
+          throw new ParseError(
+            `Cannot apply ${operator} to lists of lengths ${left.values.length} and ${right.values.length}`,
+            { code: ErrorCode.BAD_ARGUMENTS },
+          );
+        }
+        values = left.values.map((value, i) => Parser.#arithmetic(operator, value, right.values[i], options));
+      } else if (Parser.#isSequence(left)) {
+        values = left.values.map((value) => Parser.#arithmetic(operator, value, right, options));
+      } else {
+        values = right.values.map((value) => Parser.#arithmetic(operator, left, value, options));
+      }
+      return { type: "sequence", values: values.map((value) => Parser.#promoteType(value, options)) };
+    }
+
+    switch (operator) {
+      case "+":
+        return left.add(right);
+      case "-":
+        return left.subtract(right);
+      case "*":
+        return left.multiply(right);
+      case "/":
+        return left.divide(right);
+      default:
+        throw new ParseError(`Unknown operator: ${operator}`, { code: ErrorCode.UNKNOWN_NODE });
+    }
+  }
+
+  /**
+   * @private
+   */
+  static #isSequence(value) {
+    return !!value && value.type === "sequence";
+  }
+
+  /**
+   * Returns the values of a sequence being indexed or sliced
+   * @private
+   */
+  static #indexTarget(value) {
+    if (!Parser.#isSequence(value)) {
+      throw new ParseError("Only lists can be indexed", { code: ErrorCode.BAD_INDEX });
+    }
+    return value.values;
+  }
+
+  /**
+   * Converts a 1-based index (negative counts from the end) to a 0-based array position
+   * @private
+   */
+  static #listPosition(index, length) {
+    const rational = Parser.#toExactRational(index);
+    if (!rational || rational.denominator !== 1n) {
+      throw new ParseError("Index must be an integer", { code: ErrorCode.BAD_INDEX });
+    }
+    const n = Number(rational.numerator);
+    const position = n > 0 ? n - 1 : length + n;
+    if (n === 0 || position < 0 || position >= length) {
+      throw new ParseError(`Index ${n} is out of range for a list of length ${length}`, {
+        code: ErrorCode.BAD_INDEX,
+      });
+    }
+    return position;
+  }
+
+  /**
+   * Multiplies a value by 10^exponent where the exponent is an evaluated expression
+   * @private
+   */
+  static #applyScientificNotation(value, exponent) {
+    // Extract the exponent value based on the type
+    let exponentValue;
+    if (exponent instanceof Integer) {
+      exponentValue = exponent.value;
+    } else if (exponent instanceof Rational) {
+      if (exponent.denominator !== 1n) {
+        throw new ParseError("E notation exponent must be an integer", { code: ErrorCode.BAD_SCIENTIFIC });
+      }
+      exponentValue = exponent.numerator;
+    } else if (exponent && exponent.low && exponent.high) {
+      // RationalInterval case
+      if (!exponent.low.equals(exponent.high) || exponent.low.denominator !== 1n) {
+        throw new ParseError("E notation exponent must be an integer", { code: ErrorCode.BAD_SCIENTIFIC });
+      }
+      exponentValue = exponent.low.numerator;
+    } else {
+      throw new ParseError("Invalid E notation exponent type", { code: ErrorCode.BAD_SCIENTIFIC });
+    }
+
+    // Apply E notation using the value's E method if available
+    if (value.E && typeof value.E === "function") {
+      return value.E(exponentValue);
+    }
+
+    // Fallback for backward compatibility
+    const powerOf10 =
+      exponentValue >= 0n
+        ? new Rational(10n ** exponentValue)
+        : new Rational(1n, 10n ** -exponentValue);
+    return value.multiply(RationalInterval.point(powerOf10));
+  }
+
+  /**
+   * Negates a value - type-aware for new parsing, backward compatible for old
+   * @private
+   */
+  static #negate(value, options) {
+    if (Parser.#isSequence(value)) {
+      const values = value.values.map((element) => Parser.#promoteType(Parser.#negate(element, options), options));
+      return { type: "sequence", values };
+    }
+
+    if (options.typeAware && value instanceof Integer) {
+      return value.negate();
+    } else if (options.typeAware && value instanceof Rational) {
+      const negatedValue = value.negate();
+      // Preserve explicitFraction flag when negating
+      if (value._explicitFraction) {
+        negatedValue._explicitFraction = true;
+      }
+      return negatedValue;
+    }
+
+    // For backward compatibility and intervals, negate by multiplying by -1
+    const negInterval = RationalInterval.point(new Rational(-1));
+    return negInterval.multiply(value);
+  }
+
+  /**
+   * Divides a value by the denominator of a relative unit (%, ‰, ppm, ppb) exactly
+   * @private
+   */
+  static #scaleByUnit(value, denominator, options) {
+    if (Parser.#isSequence(value)) {
+      const values = value.values.map((element) => Parser.#promoteType(Parser.#scaleByUnit(element, denominator, options), options));
+      return { type: "sequence", values };
+    }
+    if (Parser.#isEmpty(value)) {
+      throw new ParseError("Cannot scale an empty interval", { code: ErrorCode.EMPTY_INTERVAL });
+    }
+
+    const scale = new Rational(1n, denominator);
+    if (options.typeAware && (value instanceof Integer || value instanceof Rational)) {
+      return (value instanceof Integer ? value.toRational() : value).multiply(scale);
+    }
+    return RationalInterval.point(scale).multiply(value);
+  }
+
+  /**
+   * Applies ! or !! to an integer-valued Integer, Rational, or point interval
+   * @private
+   */
+  static #factorial(value, isDouble) {
+    const apply = (integer) => (isDouble ? integer.doubleFactorial() : integer.factorial());
+
+    if (value instanceof Integer) {
+      return apply(value);
+    } else if (value instanceof Rational && value.denominator === 1n) {
+      return apply(new Integer(value.numerator)).toRational();
+    } else if (
+      value &&
+      value.low &&
+      value.high &&
+      value.low.equals(value.high) &&
+      value.low.denominator === 1n
+    ) {
+      // Point interval containing an integer
+      const factorialValue = apply(new Integer(value.low.numerator)).toRational();
+      const IntervalClass = value.constructor;
+      return new IntervalClass(factorialValue, factorialValue);
+    }
 
-          // Check for 0^0
-          const isZeroBase =
-            (factorialResult.value instanceof Integer && factorialResult.value.value === 0n) ||
-            (factorialResult.value instanceof Rational && factorialResult.value.numerator === 0n) ||
-            (factorialResult.value.low && factorialResult.value.high &&
-              factorialResult.value.low.equals(new Rational(0)) &&
-              factorialResult.value.high.equals(new Rational(0)));
-
-          const isZeroExponent = isIntegerExponent ?
-            powerResult.value === 0n :
-            (powerResult.value instanceof Rational && powerResult.value.numerator === 0n) ||
-            (powerResult.value instanceof Integer && powerResult.value.value === 0n);
-
-          if (isZeroBase && isZeroExponent) {
-            throw new Error("Zero cannot be raised to the power of zero");
-          }
+    throw new ParseError(
+      isDouble
+        ? "Double factorial is not defined for negative integers"
+        : "Factorial is not defined for negative integers",
+      { code: ErrorCode.BAD_FACTORIAL },
+    );
+  }
 
-          let result;
-          if (isIntegerExponent) {
-            // Use standard pow for integer exponents
-            result = factorialResult.value.pow(powerResult.value);
-          } else {
-            // Use rationalIntervalPower for fractional exponents
-            const precision = options.precision || DEFAULT_PRECISION;
-            result = rationalIntervalPower(factorialResult.value, powerResult.value, precision);
-          }
+  /**
+   * Evaluates ^ (pow) and ** (multiplicative power / Newton root)
+   * @private
+   */
+  static #evaluatePower(node, options) {
+    const base = Parser.#evaluateNode(node.base, options);
+    const precision = options.precision || DEFAULT_PRECISION;
+
+    // A literal integer exponent is used exactly; anything else is evaluated
+    let exponent;
+    let integerExponent = null;
+    if (node.exponent.type === NodeType.LITERAL && /^-?\d+$/.test(node.exponent.notation)) {
+      integerExponent = BigInt(node.exponent.notation);
+    } else {
+      exponent = Parser.#evaluateNode(node.exponent, options);
+      if (exponent instanceof Integer) {
+        integerExponent = exponent.value;
+      } else if (exponent instanceof Rational && exponent.denominator === 1n) {
+        integerExponent = exponent.numerator;
+      }
+    }
 
-          return {
-            value: result,
-            remainingExpr: powerResult.remainingExpr,
-          };
-        } else if (
-          factorialResult.remainingExpr.length > 1 &&
-          factorialResult.remainingExpr[0] === "*" &&
-          factorialResult.remainingExpr[1] === "*"
-        ) {
-          // Multiplicative exponentiation (mpow)
-          const powerExpr = factorialResult.remainingExpr.substring(2);
-          const powerResult = Parser.#parseExponent(powerExpr);
+    const isZeroExponent = integerExponent === 0n ||
+      (exponent instanceof Rational && exponent.numerator === 0n);
 
-          // Check for zero exponent in multiplicative exponentiation
-          const isZeroExponent = powerResult.value === 0n;
+    if (node.operator === "^") {
+      // Check for 0^0
+      const isZeroBase =
+        (base instanceof Integer && base.value === 0n) ||
+        (base instanceof Rational && base.numerator === 0n) ||
+        (base && base.low && base.high &&
+          base.low.equals(new Rational(0)) &&
+          base.high.equals(new Rational(0)));
 
-          if (isZeroExponent) {
-            throw new Error("Multiplicative exponentiation requires at least one factor");
-          }
+      if (isZeroBase && isZeroExponent) {
+        throw new ParseError("Zero cannot be raised to the power of zero", { code: ErrorCode.ZERO_POW_ZERO });
+      }
 
-          // For multiplicative exponentiation, always use mpow semantics
-          let base = factorialResult.value;
-          if (!(base instanceof RationalInterval)) {
-            // Convert scalar to point interval for mpow
-            base = RationalInterval.point(
-              base instanceof Integer ? base.toRational() : base,
-            );
-          }
-          const result = base.mpow(powerResult.value);
-          // Don't promote multiplicative power results - they should stay as intervals
-          result._skipPromotion = true;
-          return {
-            value: result,
-            remainingExpr: powerResult.remainingExpr,
-          };
-        }
+      if (integerExponent !== null) {
+        // Use standard pow for integer exponents
+        return base.pow(integerExponent);
       }
 
-      return factorialResult;
+      // Use rationalIntervalPower for fractional exponents
+      const result = rationalIntervalPower(base, exponent, precision);
+      result._skipPromotion = true;
+      return result;
     }
 
-    // Check for factorial operators (higher precedence than exponentiation)
-    let factorialResult = numberResult;
-    if (
-      factorialResult.remainingExpr.length > 1 &&
-      factorialResult.remainingExpr.substring(0, 2) === "!!"
-    ) {
-      // Double factorial
-      if (factorialResult.value instanceof Integer) {
-        factorialResult = {
-          value: factorialResult.value.doubleFactorial(),
-          remainingExpr: factorialResult.remainingExpr.substring(2),
-        };
-      } else if (
-        factorialResult.value instanceof Rational &&
-        factorialResult.value.denominator === 1n
-      ) {
-        const intValue = new Integer(factorialResult.value.numerator);
-        factorialResult = {
-          value: intValue.doubleFactorial().toRational(),
-          remainingExpr: factorialResult.remainingExpr.substring(2),
-        };
-      } else if (
-        factorialResult.value.low &&
-        factorialResult.value.high &&
-        factorialResult.value.low.equals(factorialResult.value.high) &&
-        factorialResult.value.low.denominator === 1n
-      ) {
-        // Point interval containing an integer
-        const intValue = new Integer(factorialResult.value.low.numerator);
-        const factorialValue = intValue.doubleFactorial();
-        const IntervalClass = factorialResult.value.constructor;
-        factorialResult = {
-          value: new IntervalClass(
-            factorialValue.toRational(),
-            factorialValue.toRational(),
-          ),
-          remainingExpr: factorialResult.remainingExpr.substring(2),
-        };
-      } else {
-        throw new Error(
-          "Double factorial is not defined for negative integers",
+    // Multiplicative exponentiation (mpow) or Newton root (**)
+    if (isZeroExponent) {
+      throw new ParseError("Multiplicative exponentiation requires at least one factor", { code: ErrorCode.ZERO_MPOW_EXPONENT });
+    }
+
+    let result;
+    if (integerExponent !== null) {
+      // For multiplicative exponentiation with integer exponents, use mpow
+      let interval = base;
+      if (!(interval instanceof RationalInterval)) {
+        // Convert scalar to point interval for mpow
+        interval = RationalInterval.point(
+          interval instanceof Integer ? interval.toRational() : interval,
         );
       }
+      result = interval.mpow(integerExponent);
     } else if (
-      factorialResult.remainingExpr.length > 0 &&
-      factorialResult.remainingExpr[0] === "!" &&
-      factorialResult.remainingExpr[1] !== "="  // Don't consume ! if it's part of !=
+      exponent instanceof Rational &&
+      exponent.denominator > 1n &&
+      exponent.denominator <= 10n
     ) {
-      // Single factorial
-      if (factorialResult.value instanceof Integer) {
-        factorialResult = {
-          value: factorialResult.value.factorial(),
-          remainingExpr: factorialResult.remainingExpr.substring(1),
-        };
-      } else if (
-        factorialResult.value instanceof Rational &&
-        factorialResult.value.denominator === 1n
-      ) {
-        const intValue = new Integer(factorialResult.value.numerator);
-        factorialResult = {
-          value: intValue.factorial().toRational(),
-          remainingExpr: factorialResult.remainingExpr.substring(1),
-        };
-      } else if (
-        factorialResult.value.low &&
-        factorialResult.value.high &&
-        factorialResult.value.low.equals(factorialResult.value.high) &&
-        factorialResult.value.low.denominator === 1n
-      ) {
-        // Point interval containing an integer
-        const intValue = new Integer(factorialResult.value.low.numerator);
-        const factorialValue = intValue.factorial();
-        const IntervalClass = factorialResult.value.constructor;
-        factorialResult = {
-          value: new IntervalClass(
-            factorialValue.toRational(),
-            factorialValue.toRational(),
-          ),
-          remainingExpr: factorialResult.remainingExpr.substring(1),
-        };
-      } else {
-        throw new Error("Factorial is not defined for negative integers");
+      // Use Newton's method for rational exponents with small denominators
+      const rootInterval = newtonRoot(base, Number(exponent.denominator), precision);
+      const numerator = exponent.numerator < 0n ? -exponent.numerator : exponent.numerator;
+      result = numerator === 1n ? rootInterval : rootInterval.mpow(numerator);
+      if (exponent.numerator < 0n) {
+        // For negative powers, take reciprocal
+        result = new RationalInterval(
+          new Rational(1).divide(result.high),
+          new Rational(1).divide(result.low),
+        );
       }
+    } else {
+      // For general fractional exponents, use rationalIntervalPower
+      result = rationalIntervalPower(base, exponent, precision);
     }
 
-    // Check for standard exponentiation after factorial
-    if (factorialResult.remainingExpr.length > 0) {
-      if (factorialResult.remainingExpr[0] === "^") {
-        // Standard exponentiation (pow)
-        const powerExpr = factorialResult.remainingExpr.substring(1);
+    // Don't promote multiplicative power results - they should stay as intervals
+    result._skipPromotion = true;
+    return result;
+  }
 
-        // Handle both integer and fractional exponents
-        let powerResult;
-        let isIntegerExponent = false;
+  /**
+   * Helper to check if a value is truthy (non-zero)
+   * @private
+   */
+  static #isTruthy(val) {
+    const truth = Parser.#truthValue(val);
+    if (truth === null) {
+      throw new ParseError("Condition is indeterminate: the interval contains both zero and non-zero values", {
+        code: ErrorCode.INDETERMINATE,
+      });
+    }
+    return truth;
+  }
 
-        // Check if exponent starts with parentheses (fractional exponent)
-        if (powerExpr.startsWith('(')) {
-          powerResult = Parser.#parseAddSub(powerExpr.substring(1), options);
-          if (powerResult.remainingExpr.length === 0 || powerResult.remainingExpr[0] !== ')') {
-            throw new Error('Missing closing parenthesis in exponent');
-          }
-          powerResult.remainingExpr = powerResult.remainingExpr.substring(1);
-          isIntegerExponent = false;
-        } else {
-          try {
-            // Try parsing as integer first
-            powerResult = Parser.#parseExponent(powerExpr);
-            isIntegerExponent = true;
-          } catch (e) {
-            // If not a simple integer, parse as expression
-            powerResult = Parser.#parseExponentExpression(powerExpr, options);
-            isIntegerExponent = false;
-          }
-        }
+  /**
+   * Three-valued truth of a value: true, false, or null when an interval contains
+   * both zero and non-zero values (e.g. the 0:1 result of an undecided comparison)
+   * @private
+   */
+  static #truthValue(val) {
+    if (val instanceof Integer) {
+      return val.value !== 0n;
+    } else if (val instanceof Rational) {
+      return val.numerator !== 0n;
+    } else if (val instanceof RationalInterval) {
+      if (val.low.numerator > 0n || val.high.numerator < 0n) {
+        return true;
+      }
+      return val.low.numerator === 0n && val.high.numerator === 0n ? false : null;
+    } else if (typeof val === 'number') {
+      return val !== 0;
+    } else if (typeof val === 'bigint') {
+      return val !== 0n;
+    }
+    return Boolean(val);
+  }
 
-        // Check for 0^0
-        const isZeroBase =
-          (factorialResult.value instanceof Integer && factorialResult.value.value === 0n) ||
-          (factorialResult.value instanceof Rational && factorialResult.value.numerator === 0n) ||
-          (factorialResult.value.low && factorialResult.value.high &&
-            factorialResult.value.low.equals(new Rational(0)) &&
-            factorialResult.value.high.equals(new Rational(0)));
-
-        const isZeroExponent = isIntegerExponent ?
-          powerResult.value === 0n :
-          (powerResult.value instanceof Rational && powerResult.value.numerator === 0n) ||
-          (powerResult.value instanceof Integer && powerResult.value.value === 0n);
-
-        if (isZeroBase && isZeroExponent) {
-          throw new Error("Zero cannot be raised to the power of zero");
-        }
+  /**
+   * The result of a comparison or logical operation that holds for some but not all
+   * points: the interval 0:1, or an error when options.indeterminate is "error"
+   * @private
+   */
+  static #indeterminate(options) {
+    if (options.indeterminate === "error") {
+      throw new ParseError("Comparison is indeterminate for overlapping intervals", {
+        code: ErrorCode.INDETERMINATE,
+      });
+    }
+    const result = new RationalInterval(new Rational(0), new Rational(1));
+    result._explicitInterval = true;
+    return result;
+  }
 
-        let result;
-        if (isIntegerExponent) {
-          // Use standard pow for integer exponents
-          result = factorialResult.value.pow(powerResult.value);
-        } else {
-          // Use rationalIntervalPower for fractional exponents
-          const precision = options.precision || DEFAULT_PRECISION;
-          result = rationalIntervalPower(factorialResult.value, powerResult.value, precision);
-          result._skipPromotion = true;
-        }
-        return {
-          value: result,
-          remainingExpr: powerResult.remainingExpr,
-        };
-      } else if (
-        factorialResult.remainingExpr.length > 1 &&
-        factorialResult.remainingExpr[0] === "*" &&
-        factorialResult.remainingExpr[1] === "*"
-      ) {
-        // Multiplicative exponentiation (mpow)
-        const powerExpr = factorialResult.remainingExpr.substring(2);
-        let powerResult;
-
-        // Check if exponent starts with parentheses (fractional exponent)
-        if (powerExpr.startsWith('(')) {
-          powerResult = Parser.#parseAddSub(powerExpr.substring(1), options);
-          if (powerResult.remainingExpr.length === 0 || powerResult.remainingExpr[0] !== ')') {
-            throw new Error('Missing closing parenthesis in exponent');
-          }
-          powerResult.remainingExpr = powerResult.remainingExpr.substring(1);
-        } else {
-          // Try parsing as integer first
-          try {
-            powerResult = Parser.#parseExponent(powerExpr);
-          } catch (e) {
-            // If integer parsing fails, try parsing as general expression
-            powerResult = Parser.#parseAddSub(powerExpr, options);
-          }
-        }
+  /**
+   * Evaluates && and || with three-valued logic: an indeterminate operand decides the
+   * result only when the other operand does not
+   * @private
+   */
+  static #logical(operator, left, right, options) {
+    const a = Parser.#truthValue(left);
+    const b = Parser.#truthValue(right);
+    const decisive = operator === "&&" ? false : true;
+
+    if (a === decisive || b === decisive) {
+      return new Integer(decisive ? 1n : 0n);
+    }
+    if (a === null || b === null) {
+      return Parser.#indeterminate(options);
+    }
+    return new Integer(decisive ? 0n : 1n);
+  }
 
-        // For multiplicative exponentiation, use rationalIntervalPower for fractional exponents
-        let base = factorialResult.value;
+  /**
+   * Evaluates value IN container: 1 when every point of the value lies in the container,
+   * 0 when none does, otherwise indeterminate. Nothing lies in the empty interval.
+   * @private
+   */
+  static #contains(container, value, options) {
+    if (Parser.#isEmpty(value) || Parser.#isEmpty(container)) {
+      return new Integer(Parser.#isEmpty(value) ? 1n : 0n);
+    }
+    const inner = Parser.#intervalBounds("IN", value);
+    const outer = Parser.#intervalBounds("IN", container);
 
-        // Check if exponent is an integer
-        const isIntegerExponent = (powerResult.value instanceof Integer) ||
-          (powerResult.value instanceof Rational && powerResult.value.denominator === 1n);
+    if (inner.low.compareTo(outer.low) >= 0 && inner.high.compareTo(outer.high) <= 0) {
+      return new Integer(1n);
+    }
+    if (inner.high.compareTo(outer.low) < 0 || inner.low.compareTo(outer.high) > 0) {
+      return new Integer(0n);
+    }
+    return Parser.#indeterminate(options);
+  }
 
-        // Check for zero exponent in multiplicative exponentiation
-        const isZeroExponent = (powerResult.value instanceof Integer && powerResult.value.value === 0n) ||
-          (powerResult.value instanceof Rational && powerResult.value.numerator === 0n);
+  /**
+   * Lower and upper bounds of an Integer, Rational or RationalInterval, or null
+   * @private
+   */
+  static #bounds(value) {
+    if (value instanceof Integer) {
+      const rational = value.toRational();
+      return { low: rational, high: rational };
+    } else if (value instanceof Rational) {
+      return { low: value, high: value };
+    } else if (value instanceof RationalInterval) {
+      return { low: value.low, high: value.high };
+    }
+    return null;
+  }
 
-        if (isZeroExponent) {
-          throw new Error("Multiplicative exponentiation requires at least one factor");
-        }
+  /**
+   * Evaluates a comparison - returns Integer(1) for true, Integer(0) for false.
+   * <, <=, > and >= on intervals give 1 when every pair of points satisfies the comparison,
+   * 0 when none does, and otherwise an indeterminate result (see #indeterminate).
+   * == and != compare values exactly, so 1:2 == 1:2 is 1.
+   * @private
+   */
+  static #compare(operator, left, right, options = {}) {
+    if (operator === 'IN') {
+      return Parser.#contains(right, left, options);
+    }
 
-        let result;
-        if (isIntegerExponent) {
-          // Use mpow for integer exponents
-          if (!(base instanceof RationalInterval)) {
-            base = RationalInterval.point(
-              base instanceof Integer ? base.toRational() : base,
-            );
-          }
-          const exponentBigInt = powerResult.value instanceof Integer ?
-            powerResult.value.value : powerResult.value.numerator;
-          result = base.mpow(exponentBigInt);
-        } else {
-          // Use rationalIntervalPower for fractional exponents
-          const precision = options.precision || DEFAULT_PRECISION;
-          result = rationalIntervalPower(base, powerResult.value, precision);
-        }
-        result._skipPromotion = true;
-        return {
-          value: result,
-          remainingExpr: powerResult.remainingExpr,
-        };
+    if (operator === '==' || operator === '!=') {
+      let equal;
+      if (left.equals && right.equals) {
+        equal = left.equals(right);
+      } else {
+        equal = left === right;
       }
+      return new Integer(equal === (operator === '==') ? 1n : 0n);
+    }
+
+    const a = Parser.#bounds(left);
+    const b = Parser.#bounds(right);
+    if (!a || !b) {
+      // Fallback for primitive comparison
+      const leftVal = Number(left);
+      const rightVal = Number(right);
+      let compResult;
+      if (operator === '<') compResult = leftVal < rightVal ? 1n : 0n;
+      else if (operator === '<=') compResult = leftVal <= rightVal ? 1n : 0n;
+      else if (operator === '>') compResult = leftVal > rightVal ? 1n : 0n;
+      else if (operator === '>=') compResult = leftVal >= rightVal ? 1n : 0n;
+      return new Integer(compResult);
     }
 
-    return factorialResult;
+    const holds = (x, y) => {
+      const sign = x.compareTo(y);
+      if (operator === '<') return sign < 0;
+      if (operator === '<=') return sign <= 0;
+      if (operator === '>') return sign > 0;
+      return sign >= 0;
+    };
+
+    // The extreme pairs of points decide: for < the upper end of the left against the lower
+    // end of the right (certainly), and the lower end against the upper end (possibly)
+    const isLess = operator === '<' || operator === '<=';
+    const certainly = isLess ? holds(a.high, b.low) : holds(a.low, b.high);
+    const possibly = isLess ? holds(a.low, b.high) : holds(a.high, b.low);
+
+    if (certainly) {
+      return new Integer(1n);
+    }
+    if (!possibly) {
+      return new Integer(0n);
+    }
+    return Parser.#indeterminate(options);
   }
 
   /**
@@ -2337,30 +3325,18 @@ export class Parser {
     }
 
     if (exponentStr.length === 0) {
-      throw new Error("Invalid exponent");
+      throw new ParseError("Invalid exponent", { code: ErrorCode.BAD_EXPONENT });
     }
 
     // Convert to BigInt with proper sign
     const exponent = isNegative ? -BigInt(exponentStr) : BigInt(exponentStr);
 
-    // Special handling for zero exponents in multiplicative exponentiation context
-    // This method is called specifically for ** operators, so zero should throw an error
-    if (exponent === 0n) {
-      throw new Error("Multiplicative exponentiation requires at least one factor");
-    }
-
     return {
       value: exponent,
       remainingExpr: expr.substring(i),
     };
   }
 
-  static #parseExponentExpression(expr, options) {
-    // For general exponents (including fractions), parse as a factor
-    // This allows expressions like 2^(1/2) or 3^0.5
-    return Parser.#parseFactor(expr, options);
-  }
-
   /**
    * Promotes a value to the most appropriate type for type-aware parsing
    * @private
@@ -2428,7 +3404,7 @@ export class Parser {
       spaceBeforeE = false;
       startIndex = 2;
     } else {
-      throw new Error("Expected E notation");
+      throw new ParseError("Expected E notation", { code: ErrorCode.BAD_SCIENTIFIC });
     }
 
     // Parse the exponent after E
@@ -2468,7 +3444,7 @@ export class Parser {
   static #parseBaseAwareENotation(value, expr, options = {}) {
     const baseSystem = options.inputBase;
     if (!baseSystem) {
-      throw new Error("Base-aware E notation requires inputBase option");
+      throw new ParseError("Base-aware E notation requires inputBase option", { code: ErrorCode.BAD_SCIENTIFIC });
     }
 
     let notationType;
@@ -2483,9 +3459,9 @@ export class Parser {
       startIndex = 1;
     } else {
       if (baseSystem.base === 10) {
-        throw new Error("Expected E or _^ notation");
+        throw new ParseError("Expected E or _^ notation", { code: ErrorCode.BAD_SCIENTIFIC });
       } else {
-        throw new Error("Scientific notation in non-decimal bases requires _^ separator (e.g. 5_^2)");
+        throw new ParseError("Scientific notation in non-decimal bases requires _^ separator (e.g. 5_^2)", { code: ErrorCode.BAD_SCIENTIFIC });
       }
     }
 
@@ -2498,20 +3474,15 @@ export class Parser {
     }
 
     // Parse exponent digits in the input base
-    while (endIndex < expr.length) {
-      const char = expr[endIndex];
-      if (baseSystem.charMap.has(char)) {
-        endIndex++;
-      } else {
-        break;
-      }
+    while (digitLength(baseSystem, expr, endIndex) > 0) {
+      endIndex += digitLength(baseSystem, expr, endIndex);
     }
 
     if (
       endIndex === startIndex ||
       (endIndex === startIndex + 1 && expr[startIndex] === "-")
     ) {
-      throw new Error(`Missing exponent after ${notationType} notation`);
+      throw new ParseError(`Missing exponent after ${notationType} notation`, { code: ErrorCode.BAD_SCIENTIFIC });
     }
 
     const exponentStr = expr.substring(startIndex, endIndex);
@@ -2521,8 +3492,9 @@ export class Parser {
       ? exponentStr.substring(1)
       : exponentStr;
     if (!baseSystem.isValidString(testExponentStr)) {
-      throw new Error(
+      throw new ParseError(
         `Invalid exponent "${exponentStr}" for base ${baseSystem.base}`,
+        { code: ErrorCode.BAD_EXPONENT },
       );
     }
 
@@ -2531,8 +3503,9 @@ export class Parser {
     try {
       exponentDecimal = baseSystem.toDecimal(exponentStr);
     } catch (error) {
-      throw new Error(
+      throw new ParseError(
         `Failed to parse exponent "${exponentStr}": ${error.message}`,
+        { code: ErrorCode.BAD_EXPONENT, cause: error },
       );
     }
 
@@ -2555,8 +3528,9 @@ export class Parser {
     } else if (value instanceof Rational) {
       valueRational = value;
     } else {
-      throw new Error(
+      throw new ParseError(
         `${notationType} notation can only be applied to simple numbers, not intervals`,
+        { code: ErrorCode.BAD_SCIENTIFIC },
       );
     }
 
@@ -2624,7 +3598,7 @@ export class Parser {
             } else if (leftResult.value instanceof Rational) {
               leftRational = leftResult.value;
             } else {
-              throw new Error("Left side must evaluate to a rational");
+              throw new ParseError("Left side must evaluate to a rational", { code: ErrorCode.BAD_INTERVAL });
             }
 
             if (rightResult.value instanceof Integer) {
@@ -2634,7 +3608,7 @@ export class Parser {
             } else if (rightResult.value instanceof RationalInterval && rightResult.value.isPoint()) {
               rightRational = rightResult.value.low;
             } else {
-              throw new Error("Right side must evaluate to a rational");
+              throw new ParseError("Right side must evaluate to a rational", { code: ErrorCode.BAD_INTERVAL });
             }
 
             // Create the interval
@@ -2654,6 +3628,10 @@ export class Parser {
         const cfResult = Parser.#parseContinuedFraction(expr, options);
         return cfResult;
       } catch (error) {
+        // A bad term is reported as is; no other notation reads it either
+        if (error instanceof ParseError && error.code === ErrorCode.BAD_CF_TERM) {
+          throw error;
+        }
         // Fall through to other parsing methods if CF parsing fails
       }
     }
@@ -2736,6 +3714,8 @@ export class Parser {
     // Check if this might be a repeating decimal interval first
     // Only try repeating decimal parsing if the string starts with a digit or decimal point
     // and contains both # and : symbols, indicating it's likely a repeating decimal interval
+    const intervalBase = options.inputBase || BaseSystem.DECIMAL;
+    const isRepeatingChar = (char) => char === "." || char === "#" || normalizeBaseDigits(char, intervalBase) !== null;
     if (expr.includes("#") && expr.includes(":") && /^-?[\d.]/.test(expr)) {
       // Find the colon position - need to be careful not to confuse with negative signs
       const colonIndex = expr.indexOf(":");
@@ -2748,26 +3728,28 @@ export class Parser {
         // (contain only digits, decimal points, # symbols, and optional minus sign)
         // AND at least one part actually contains a # symbol for repeating decimals
         if (
-          /^-?[\d.#]+$/.test(beforeColon) &&
-          /^-?[\d.#]/.test(afterColonStart) &&
+          beforeColon.replace(/^-/, "").length > 0 &&
+          [...beforeColon.replace(/^-/, "")].every(isRepeatingChar) &&
+          isRepeatingChar(afterColonStart.replace(/^-/, "")[0] || "") &&
           (beforeColon.includes('#') || afterColonStart.includes('#'))
         ) {
           try {
             // Try to parse as repeating decimal interval
-            const possibleInterval = parseRepeatingDecimal(expr);
+            const possibleInterval = parseRepeatingDecimal(expr, intervalBase);
             if (possibleInterval instanceof RationalInterval) {
               // Find how much of the expression this consumed
               let endIndex = expr.length;
               for (let i = 1; i < expr.length; i++) {
                 const testExpr = expr.substring(0, i);
                 try {
-                  const testResult = parseRepeatingDecimal(testExpr);
+                  const testResult = parseRepeatingDecimal(testExpr, intervalBase);
                   if (testResult instanceof RationalInterval) {
                     // Check if this is followed by a non-digit character or end
-                    if (i === expr.length || !/[\d#.\-]/.test(expr[i])) {
+                    if (i === expr.length || (expr[i] !== "-" && !isRepeatingChar(expr[i]))) {
                       endIndex = i;
                       const finalResult = parseRepeatingDecimal(
                         expr.substring(0, endIndex),
+                        intervalBase,
                       );
                       if (finalResult instanceof RationalInterval) {
                         return {
@@ -2784,7 +3766,7 @@ export class Parser {
 
               // Try parsing the whole expression as interval
               try {
-                const result = parseRepeatingDecimal(expr);
+                const result = parseRepeatingDecimal(expr, intervalBase);
                 if (result instanceof RationalInterval) {
                   return {
                     value: result,
@@ -2831,8 +3813,8 @@ export class Parser {
         while (endIndex < expr.length) {
           const char = expr[endIndex];
 
-          if (options.inputBase.charMap.has(char)) {
-            endIndex++;
+          if (digitLength(options.inputBase, expr, endIndex) > 0) {
+            endIndex += digitLength(options.inputBase, expr, endIndex);
           } else if (/[0-9]/.test(char)) {
             // Greedy digit consumption
             endIndex++;
@@ -2885,9 +3867,7 @@ export class Parser {
                 (index === 0 || index === parts.length - 1)
               );
             }
-            return part
-              .split("")
-              .every((char) => options.inputBase.charMap.has(char));
+            return splitDigits(options.inputBase, part) !== null;
           });
 
           if (isValidInBase) {
@@ -2901,12 +3881,12 @@ export class Parser {
               remainingExpr: expr.substring(endIndex),
             };
           } else if (options.inputBase && options.inputBase !== BaseSystem.DECIMAL) {
-            throw new Error(`Invalid number format for ${options.inputBase.name}`);
+            throw new ParseError(`Invalid number format for ${options.inputBase.name}`, { code: ErrorCode.BAD_NUMBER });
           }
         } else if (options.inputBase && options.inputBase !== BaseSystem.DECIMAL) {
           const firstChar = expr.startsWith("-") ? expr[1] : expr[0];
           if (/[0-9]/.test(firstChar)) {
-            throw new Error(`Invalid number format for ${options.inputBase.name}`);
+            throw new ParseError(`Invalid number format for ${options.inputBase.name}`, { code: ErrorCode.BAD_NUMBER });
           }
         }
       } catch (error) {
@@ -3076,13 +4056,13 @@ export class Parser {
         // Strictly require valid prefixes for 0[letter] notation
         // Exception: 'E' is reserved for scientific notation unless registered as a prefix
         if (prefix.toLowerCase() !== "e") {
-          throw new Error(`Invalid or unregistered prefix '0${prefix}'`);
+          throw new ParseError(`Invalid or unregistered prefix '0${prefix}'`, { code: ErrorCode.BAD_PREFIX });
         }
       }
     }
 
     if (expr.length === 0) {
-      throw new Error("Unexpected end of expression");
+      throw new ParseError("Unexpected end of expression", { code: ErrorCode.UNEXPECTED_END });
     }
 
     // If inputBase is specified and this doesn't look like explicit base notation (old bracket style),
@@ -3110,8 +4090,15 @@ export class Parser {
       while (endIndex < expr.length) {
         const char = expr[endIndex];
 
+        // Digits of several characters (base 60 written 00 to 59) are taken whole
+        const digitSize = digitLength(validationBase, expr, endIndex);
+        if (digitSize > 1) {
+          endIndex += digitSize;
+          continue;
+        }
+
         // Check if character is valid in base (with case normalization)
-        let isValidChar = validationBase.charMap.has(char);
+        let isValidChar = digitSize === 1;
 
         // Handle case normalization for bases with letters
         if (!isValidChar) {
@@ -3162,11 +4149,8 @@ export class Parser {
           // Check for division operator ambiguity (e.g. 0xFF / (...))
           // If next char is likely not part of the number/fraction, break.
           // This handles space, '(', and other operators.
-          if (endIndex + 1 < expr.length) {
-            const nextChar = expr[endIndex + 1];
-            if (!validationBase.charMap.has(nextChar)) {
-              break;
-            }
+          if (endIndex + 1 < expr.length && digitLength(validationBase, expr, endIndex + 1) === 0) {
+            break;
           }
 
           hasFraction = true;
@@ -3222,7 +4206,7 @@ export class Parser {
 
       // If explicit prefix used but no valid digits found, throw Error immediately
       if (isExplicitPrefix && endIndex <= (expr[0] === "-" ? 1 : 0)) {
-        throw new Error(`Invalid number format for ${options.inputBase.name}`);
+        throw new ParseError(`Invalid number format for ${options.inputBase.name}`, { code: ErrorCode.BAD_NUMBER });
       }
 
       if (endIndex > (expr[0] === "-" ? 1 : 0)) {
@@ -3252,6 +4236,10 @@ export class Parser {
                   testStr.includes(".."))
               );
             }
+            if (splitDigits(options.inputBase, part) !== null) {
+              return true;
+            }
+
             // Check if all characters in this part are valid for the base
             // Handle case normalization for bases with letters
             const baseUsesLowercase = options.inputBase.characters.some(
@@ -3313,13 +4301,13 @@ export class Parser {
         } else if (options.inputBase && options.inputBase !== BaseSystem.DECIMAL) {
           // If we consumed a number-like sequence that is invalid for the input base, 
           // throw an error instead of falling through to decimal
-          throw new Error(`Invalid number format for ${options.inputBase.name}`);
+          throw new ParseError(`Invalid number format for ${options.inputBase.name}`, { code: ErrorCode.BAD_NUMBER });
         }
       } else if (options.inputBase && options.inputBase !== BaseSystem.DECIMAL) {
         // Handle case where we didn't consume anything but it looks like a number start (digit)
         const firstChar = expr.startsWith("-") ? expr[1] : expr[0];
         if (/[0-9]/.test(firstChar)) {
-          throw new Error(`Invalid number format for ${options.inputBase.name}`);
+          throw new ParseError(`Invalid number format for ${options.inputBase.name}`, { code: ErrorCode.BAD_NUMBER });
         }
       }
     }
@@ -3328,18 +4316,27 @@ export class Parser {
     let hashIndex = expr.indexOf("#");
     if (hashIndex !== -1) {
       // Only try repeating decimal parsing if the part before # looks like a decimal number
-      // (contains only digits, decimal point, and optional minus sign)
+      // (contains only digits of the input base, decimal point, and optional minus sign)
+      const repeatingBase = options.inputBase || BaseSystem.DECIMAL;
+      const isDigit = (char) => normalizeBaseDigits(char, repeatingBase) !== null;
       const beforeHash = expr.substring(0, hashIndex);
-      if (/^-?(\d+\.?\d*|\.\d+)$/.test(beforeHash)) {
-        // Find the end of the repeating decimal
+      const [integerDigits, fractionDigits = "", ...extraPoints] = beforeHash.replace(/^-/, "").split(".");
+      if (
+        extraPoints.length === 0 &&
+        (integerDigits.length > 0 || fractionDigits.length > 0) &&
+        ([...integerDigits, ...fractionDigits].every(isDigit) ||
+          splitDigits(repeatingBase, integerDigits + fractionDigits) !== null)
+      ) {
+        // Find the end of the repeating decimal (digits of several characters are taken whole)
+        const digitAt = (i) => digitLength(repeatingBase, expr, i) || (i < expr.length && isDigit(expr[i]) ? 1 : 0);
         let endIndex = hashIndex + 1;
-        while (endIndex < expr.length && /\d/.test(expr[endIndex])) {
-          endIndex++;
+        while (digitAt(endIndex) > 0) {
+          endIndex += digitAt(endIndex);
         }
 
         const repeatingDecimalStr = expr.substring(0, endIndex);
         try {
-          const result = parseRepeatingDecimal(repeatingDecimalStr);
+          const result = parseRepeatingDecimal(repeatingDecimalStr, repeatingBase);
 
           // If result is an interval, treat it as a point interval for the rational
           if (result instanceof RationalInterval) {
@@ -3358,7 +4355,7 @@ export class Parser {
             };
           }
         } catch (error) {
-          throw new Error(`Invalid repeating decimal: ${error.message}`);
+          throw new ParseError(`Invalid repeating decimal: ${error.message}`, { code: ErrorCode.BAD_REPEATING_DECIMAL, cause: error });
         }
       }
     }
@@ -3430,7 +4427,7 @@ export class Parser {
     }
 
     if (numeratorStr.length === 0) {
-      throw new Error("Invalid rational number format");
+      throw new ParseError("Invalid rational number format", { code: ErrorCode.BAD_NUMBER });
     }
 
     // Check for mixed number notation (double dot)
@@ -3450,8 +4447,9 @@ export class Parser {
       }
 
       if (numeratorStr.length === 0) {
-        throw new Error(
+        throw new ParseError(
           'Invalid mixed number format: missing numerator after ".."',
+          { code: ErrorCode.BAD_MIXED_NUMBER },
         );
       }
     }
@@ -3468,7 +4466,7 @@ export class Parser {
       if (i < expr.length && expr[i] === "S") {
         // There was whitespace after '/', so this should be division, not a fraction
         if (hasMixedForm) {
-          throw new Error("Invalid mixed number format: missing denominator");
+          throw new ParseError("Invalid mixed number format: missing denominator", { code: ErrorCode.BAD_MIXED_NUMBER });
         }
         // Return just the numerator as a rational and let division be handled at term level
         const numerator = isNegative
@@ -3485,7 +4483,7 @@ export class Parser {
         // Complex denominator starting with parentheses - don't try to parse here
         // Return what we have so far and let higher-level parsing handle the division
         if (hasMixedForm) {
-          throw new Error("Invalid mixed number format: missing denominator");
+          throw new ParseError("Invalid mixed number format: missing denominator", { code: ErrorCode.BAD_MIXED_NUMBER });
         }
         // Return just the numerator as a rational and let division be handled at term level
         const numerator = isNegative
@@ -3503,27 +4501,29 @@ export class Parser {
       }
 
       if (denominatorStr.length === 0) {
-        throw new Error("Invalid rational number format");
+        throw new ParseError("Invalid rational number format", { code: ErrorCode.BAD_NUMBER });
       }
 
       // Check if E follows immediately after fraction (invalid)
       if (i < expr.length && expr[i] === "E") {
-        throw new Error(
+        throw new ParseError(
           "E notation not allowed directly after fraction without parentheses",
+          { code: ErrorCode.BAD_SCIENTIFIC },
         );
       }
     } else {
       // If no denominator specified
       if (hasMixedForm) {
-        throw new Error("Invalid mixed number format: missing denominator");
+        throw new ParseError("Invalid mixed number format: missing denominator", { code: ErrorCode.BAD_MIXED_NUMBER });
       }
       denominatorStr = "1";
     }
 
     // Check if E follows immediately after mixed number (invalid)
     if (hasMixedForm && i < expr.length && expr[i] === "E") {
-      throw new Error(
+      throw new ParseError(
         "E notation not allowed directly after mixed number without parentheses",
+        { code: ErrorCode.BAD_SCIENTIFIC },
       );
     }
 
@@ -3549,7 +4549,7 @@ export class Parser {
 
     // Handle division by zero within the parse step
     if (denominator === 0n) {
-      throw new Error("Denominator cannot be zero");
+      throw new ParseError("Denominator cannot be zero", { code: ErrorCode.ZERO_DENOMINATOR });
     }
 
     const rational = new Rational(numerator, denominator);
@@ -3566,101 +4566,429 @@ export class Parser {
   }
 
   /**
-   * Parses continued fraction notation like 3.~7~15~1~292
+   * Parses continued fraction notation like 3.~7~15~1~292. An interval tail such as
+   * 3.~7~15~[1,2] or 3.~7~15~1.. gives the interval of all values whose expansion starts
+   * with the terms, with the rest of the expansion between the tail bounds.
    * @private
    */
   static #parseContinuedFraction(expr, options = {}) {
-    // Match continued fraction pattern: integer.~term1~term2~...
-    const cfMatch = expr.match(/^(-?\d+)\.~((?:\d+~?)*\d*)(.*)$/);
-    if (!cfMatch) {
-      throw new Error("Invalid continued fraction format");
-    }
-
-    const [fullMatch, integerPart, cfTermsStr, remaining] = cfMatch;
+    const { terms, period, tail, remaining } = Parser.#readContinuedFraction(expr, options, true);
 
-    // Validate format
-    if (cfTermsStr === '') {
-      throw new Error("Continued fraction must have at least one term after .~");
+    // Convert to Rational using the forthcoming fromContinuedFraction method
+    // For now, we'll create a placeholder - this will be implemented when we add the Rational class method
+    if (typeof Rational.fromContinuedFraction !== 'function') {
+      throw new ParseError("Continued fraction support not yet implemented in Rational class", { code: ErrorCode.UNSUPPORTED });
     }
 
-    // Handle trailing tilde validation
-    if (cfTermsStr.endsWith('~')) {
-      throw new Error("Continued fraction cannot end with ~");
+    if (period || tail) {
+      Parser.#requireRegularTerms(terms, period, expr);
     }
 
-    // Handle double tildes
-    if (cfTermsStr.includes('~~')) {
-      throw new Error("Invalid continued fraction format: double tilde");
+    if (period) {
+      return {
+        value: Parser.#periodicEnclosure(terms, period, options.precision || DEFAULT_PRECISION),
+        remainingExpr: remaining
+      };
     }
 
-    // Parse the coefficient array
-    const cfArray = Parser.parseContinuedFraction(fullMatch.substring(0, fullMatch.length - remaining.length));
-
-    // Convert to Rational using the forthcoming fromContinuedFraction method
-    // For now, we'll create a placeholder - this will be implemented when we add the Rational class method
-    if (typeof Rational.fromContinuedFraction === 'function') {
-      const rational = Rational.fromContinuedFraction(cfArray);
+    if (!tail) {
       return {
-        value: rational,
+        value: terms.every((term) => typeof term === "bigint")
+          ? Rational.fromContinuedFraction(terms)
+          : Parser.#evaluateGeneralized(terms, expr),
         remainingExpr: remaining
       };
-    } else {
-      throw new Error("Continued fraction support not yet implemented in Rational class");
+    }
+
+    // The value is monotonic in the tail, so the bounds give the endpoints in some order
+    const withTail = (x) => terms.reduceRight((value, term) => new Rational(term).add(new Rational(1).divide(value)), x);
+    const first = withTail(new Rational(tail.low));
+    const second = tail.high === null ? Rational.fromContinuedFraction(terms) : withTail(new Rational(tail.high));
+    const value = first.compareTo(second) <= 0
+      ? new RationalInterval(first, second)
+      : new RationalInterval(second, first);
+    value._explicitInterval = true;
+
+    return {
+      value,
+      remainingExpr: remaining
+    };
+  }
+
+  /**
+   * Periods and tails are only defined for regular terms, so a generalized term next to
+   * one is reported at its position
+   * @private
+   */
+  static #requireRegularTerms(terms, period, input) {
+    const general = [...terms, ...(period || [])].find((term) => typeof term !== "bigint");
+    if (general) {
+      throw new ParseError("Periods and interval tails need regular continued fraction terms", {
+        code: ErrorCode.BAD_CF_TERM,
+        offset: input.indexOf(general.text, input.indexOf(".~")),
+        length: general.text.length,
+        input,
+      });
+    }
+  }
+
+  /**
+   * Evaluates b0 + a1/(b1 + a2/(b2 + ...)) exactly from the last term up. Terms are
+   * bigints or generalized { numerator, denominator } pairs of Rationals.
+   * @private
+   */
+  static #evaluateGeneralized(terms, input) {
+    const parts = terms.map((term) => (typeof term === "bigint"
+      ? { numerator: new Rational(1), denominator: new Rational(term) }
+      : term));
+    let value = parts[parts.length - 1].denominator;
+    for (let i = parts.length - 2; i >= 0; i--) {
+      if (value.numerator === 0n) {
+        throw new ParseError("Continued fraction divides by zero", {
+          code: ErrorCode.BAD_CF_TERM,
+          offset: 0,
+          length: input.length,
+          input,
+        });
+      }
+      value = parts[i].denominator.add(parts[i + 1].numerator.divide(value));
+    }
+    return value;
+  }
+
+  /**
+   * Encloses an infinite periodic continued fraction between two consecutive convergents,
+   * expanding the period until they are at most 10^precision apart. Convergents
+   * p(n)/q(n) and p(n-1)/q(n-1) differ by exactly 1/(q(n) q(n-1)).
+   * @private
+   */
+  static #periodicEnclosure(terms, period, precision) {
+    const limit = precision <= 0
+      ? new Rational(10n ** BigInt(-precision))
+      : new Rational(1n, 10n ** BigInt(precision));
+    const expansion = [...terms];
+    let [previous, current] = [1n, 0n];
+    for (let n = 0; ; n++) {
+      if (n >= expansion.length) expansion.push(...period);
+      [previous, current] = [current, expansion[n] * current + previous];
+      if (n > 0 && new Rational(current * previous).compareTo(limit) >= 0) {
+        const low = Rational.fromContinuedFraction(expansion.slice(0, n));
+        const high = Rational.fromContinuedFraction(expansion.slice(0, n + 1));
+        const interval = low.compareTo(high) <= 0 ? new RationalInterval(low, high) : new RationalInterval(high, low);
+        interval._skipPromotion = true;
+        return interval;
+      }
     }
   }
 
   /**
    * Parses a continued fraction string into coefficient array
    * This is the stand-alone parsing that generates array of coefficients
-   * @param {string} cfString - String like "3.~7~15~1~292"
-   * @returns {Array<bigint>} Array [integer_part, ...continued_fraction_terms]
+   * @param {string} cfString - String like "3.~7~15~1~292" or "0x3.~7~F"
+   * @param {Object} options - Parsing options
+   * @param {BaseSystem} options.inputBase - Base of the terms when there is no prefix (default: decimal)
+   * @param {boolean} options.generalizedContinuedFractions - Allow negative and rational terms and
+   *   {a/b} numerator/denominator pairs, and return the exact value instead of the terms
+   * @returns {Array<bigint>|Rational} Array [integer_part, ...continued_fraction_terms], or the exact
+   *   value of a generalized continued fraction
+   * @throws {ParseError} If the notation is invalid or has an interval tail; a bad term is located in `cfString`
    */
-  static parseContinuedFraction(cfString) {
-    // Match the pattern
-    const cfMatch = cfString.match(/^(-?\d+)\.~(.*)$/);
-    if (!cfMatch) {
-      throw new Error("Invalid continued fraction format");
+  static parseContinuedFraction(cfString, options = {}) {
+    const { terms, period, tail } = Parser.#readContinuedFraction(cfString, options, false);
+    if (tail) {
+      throw new ParseError("A continued fraction with an interval tail has no coefficient array", {
+        code: ErrorCode.BAD_CF,
+      });
+    }
+    if (period) {
+      throw new ParseError("A periodic continued fraction has no finite coefficient array; see Parser.quadraticSurd", {
+        code: ErrorCode.BAD_CF,
+      });
     }
+    if (options.generalizedContinuedFractions === true) {
+      return Parser.#evaluateGeneralized(terms, cfString);
+    }
+    return terms;
+  }
 
-    const [, integerPart, cfTermsStr] = cfMatch;
+  /**
+   * Reports whether continued fraction notation is in regular canonical form: every
+   * term after the integer part a positive integer with partial numerator 1, and a
+   * finite expansion not ending in 1 (`[a; b, 1]` is `[a; b + 1]`). Generalized
+   * terms are always accepted for reading.
+   *
+   * @param {string} cfString - Continued fraction notation, e.g. "0.~{4/1}~{1/3}"
+   * @param {Object} options - Parsing options
+   * @param {BaseSystem} options.inputBase - Base of the terms when there is no prefix (default: decimal)
+   * @returns {{canonical: boolean, reason: string|null}} The first reason the form is not canonical
+   * @throws {ParseError} If the notation cannot be read at all
+   */
+  static validateContinuedFraction(cfString, options = {}) {
+    const { terms, period, tail } = Parser.#readContinuedFraction(
+      cfString,
+      { ...options, generalizedContinuedFractions: true },
+      false,
+    );
+    const quotients = [...terms.slice(1), ...(period || [])];
+    const generalized = quotients.find((term) => typeof term !== "bigint");
+    if (generalized) {
+      let problem = "is not an integer";
+      if (!generalized.numerator.equals(new Rational(1))) {
+        problem = "has a partial numerator other than 1";
+      } else if (generalized.denominator.numerator === 0n) {
+        problem = "is zero";
+      } else if (generalized.denominator.numerator < 0n && generalized.denominator.denominator === 1n) {
+        problem = "is negative";
+      }
+      return { canonical: false, reason: `Term ${generalized.text} ${problem}` };
+    }
+    if (!period && !tail && terms.length >= 2 && terms[terms.length - 1] === 1n) {
+      return { canonical: false, reason: "A finite expansion cannot end with the term 1" };
+    }
+    return { canonical: true, reason: null };
+  }
 
-    // Parse integer part
-    const intPart = BigInt(integerPart);
+  /**
+   * Returns the exact value of a continued fraction as (p + √d) / q. A periodic
+   * continued fraction is a quadratic irrational, so `2.~#1~1~1~4` gives
+   * { p: 0n, q: 1n, d: 7n } for √7; a finite one has d = 0.
+   *
+   * @param {string} cfString - Continued fraction notation, e.g. "1.~#2"
+   * @param {Object} options - Parsing options
+   * @param {BaseSystem} options.inputBase - Base of the terms when there is no prefix (default: decimal)
+   * @returns {{p: bigint, q: bigint, d: bigint}} The value (p + √d) / q, with q possibly negative
+   * @throws {ParseError} If the notation is invalid or has an interval tail
+   */
+  static quadraticSurd(cfString, options = {}) {
+    const { terms, period, tail } = Parser.#readContinuedFraction(cfString, options, false);
+    if (tail) {
+      throw new ParseError("A continued fraction with an interval tail has no exact value", {
+        code: ErrorCode.BAD_CF,
+      });
+    }
 
-    // Handle special case of integer representation like "5.~0"
-    if (cfTermsStr === '0') {
-      return [intPart];
+    // Matrix [[E, F], [G, H]] of the leading terms: x = (E y + F) / (G y + H) for the rest y
+    const product = (matrix, term) => [
+      [matrix[0][0] * term + matrix[0][1], matrix[0][0]],
+      [matrix[1][0] * term + matrix[1][1], matrix[1][0]],
+    ];
+    Parser.#requireRegularTerms(terms, period, cfString);
+    const [[E, F], [G, H]] = terms.reduce(product, [[1n, 0n], [0n, 1n]]);
+    if (!period) {
+      return Parser.#reduceSurd(E, G, 0n);
     }
 
-    // Validate terms string
-    if (cfTermsStr === '') {
-      throw new Error("Continued fraction must have at least one term after .~");
+    // The purely periodic rest satisfies y = (A y + B) / (C y + D), so
+    // C y^2 + (D - A) y - B = 0 and y = (P + √Δ) / Q is its root above 1
+    const [[A, B], [C, D]] = period.reduce(product, [[1n, 0n], [0n, 1n]]);
+    const P = A - D;
+    const delta = (D - A) ** 2n + 4n * B * C;
+    const Q = 2n * C;
+
+    // x = (u + E√Δ) / (v + G√Δ); multiplying by the conjugate leaves ±Q√Δ on top
+    const u = E * P + F * Q;
+    const v = G * P + H * Q;
+    const k = Q * (E * H - F * G);
+    const sign = k < 0n ? -1n : 1n;
+    return Parser.#reduceSurd(sign * (u * v - E * G * delta), sign * (v * v - G * G * delta), k * k * delta);
+  }
+
+  /**
+   * Cancels common factors of (p + √d) / q, taking f from p and q and f^2 from d
+   * @private
+   */
+  static #reduceSurd(p, q, d) {
+    const abs = (n) => (n < 0n ? -n : n);
+    const gcd = (a, b) => (b === 0n ? abs(a) : gcd(b, a % b));
+    let g = gcd(p, q);
+    if (d === 0n) {
+      return { p: p / g, q: q / g, d };
     }
 
-    if (cfTermsStr.endsWith('~')) {
-      throw new Error("Continued fraction cannot end with ~");
+    const cancel = (f) => {
+      if (d % (f * f) === 0n) {
+        p /= f;
+        q /= f;
+        d /= f * f;
+      }
+    };
+    for (let f = 2n; f * f <= g; f++) {
+      while (g % f === 0n) {
+        g /= f;
+        cancel(f);
+      }
     }
+    if (g > 1n) cancel(g);
+    return { p, q, d };
+  }
 
-    if (cfTermsStr.includes('~~')) {
-      throw new Error("Invalid continued fraction format: double tilde");
+  /**
+   * Reads [integer part, ...terms], the repeating terms (`period`, or null) and an
+   * optional tail { low, high } (high is null for "k..") from continued fraction notation. Terms use the base of a prefix or the input
+   * base. When `partial` is set the notation may be followed by other text, which is
+   * returned as `remaining`.
+   * @private
+   */
+  static #readContinuedFraction(expr, options, partial) {
+    const separator = expr.indexOf(".~");
+    let head = separator === -1 ? "" : expr.substring(0, separator);
+    const isNegative = head.startsWith("-");
+    if (isNegative) head = head.substring(1);
+
+    let baseSystem = options.inputBase || BaseSystem.DECIMAL;
+    const prefixMatch = head.match(/^0([a-zA-Z])/);
+    if (prefixMatch && (BaseSystem.getSystemForPrefix(prefixMatch[1]) || prefixMatch[1] === "D")) {
+      baseSystem = BaseSystem.getSystemForPrefix(prefixMatch[1]) || baseSystem;
+      head = head.substring(2);
     }
 
-    // Split terms and validate they are all positive integers (except the integer part)
-    const terms = cfTermsStr.split('~');
-    const cfTerms = [];
+    const integerDigits = head ? normalizeBaseDigits(head, baseSystem) : null;
+    if (!integerDigits) {
+      throw new ParseError("Invalid continued fraction format", { code: ErrorCode.BAD_CF });
+    }
+    const toValue = (digits) => BigInt(baseSystem.toDecimal(digits));
+    const integerPart = isNegative ? -toValue(integerDigits) : toValue(integerDigits);
+
+    // The terms run to the end of the string, or to the end of the notation when partial
+    const bodyStart = separator + 2;
+    let bodyEnd = expr.length;
+    const generalized = options.generalizedContinuedFractions === true;
+    if (partial) {
+      const isDigit = (char) => char !== undefined && normalizeBaseDigits(char, baseSystem) !== null;
+      bodyEnd = bodyStart;
+      const isPeriodMark = (at) => expr[at] === "#" && expr[at - 1] === "~";
+      // Generalized terms as in the tokenizer: ~-2, ~7/2 and ~{4/1}
+      const isGeneralizedMark = (at) => generalized && (
+        ((expr[at] === "-" || expr[at] === "{") && expr[at - 1] === "~") ||
+        (expr[at] === "/" && isDigit(expr[at - 1]) && isDigit(expr[at + 1]))
+      );
+      while (bodyEnd < expr.length && (expr[bodyEnd] === "~" || isDigit(expr[bodyEnd]) || isPeriodMark(bodyEnd) || isGeneralizedMark(bodyEnd))) {
+        bodyEnd = expr[bodyEnd] === "{" && expr.indexOf("}", bodyEnd) !== -1 ? expr.indexOf("}", bodyEnd) + 1 : bodyEnd + 1;
+      }
+      if (expr[bodyEnd] === "[" && expr[bodyEnd - 1] === "~" && expr.indexOf("]", bodyEnd) !== -1) {
+        bodyEnd = expr.indexOf("]", bodyEnd) + 1;
+      } else if (expr.startsWith("..", bodyEnd) && isDigit(expr[bodyEnd - 1])) {
+        bodyEnd += 2;
+      }
+    }
+    const body = expr.substring(bodyStart, bodyEnd);
+    const remaining = expr.substring(bodyEnd);
+
+    // Split off an interval tail: ~[low,high] or a last term followed by ..
+    let termsStr = body;
+    let tailBounds = null;
+    const bracket = body.indexOf("[");
+    if (body.endsWith("]") && bracket !== -1 && (bracket === 0 || body[bracket - 1] === "~")) {
+      tailBounds = body.substring(bracket + 1, body.length - 1).split(",").map((bound) => bound.trim());
+      termsStr = body.substring(0, Math.max(bracket - 1, 0));
+    } else if (body.endsWith("..")) {
+      const lastTilde = body.lastIndexOf("~");
+      tailBounds = [body.substring(lastTilde + 1, body.length - 2), null];
+      termsStr = body.substring(0, Math.max(lastTilde, 0));
+    }
+
+    if (!tailBounds) {
+      // Handle special case of integer representation like "5.~0"
+      if (termsStr === '0') {
+        return { terms: [integerPart], tail: null, remaining };
+      }
+
+      if (termsStr === '') {
+        throw new ParseError("Continued fraction must have at least one term after .~", { code: ErrorCode.BAD_CF });
+      }
+    }
+
+    if (termsStr.endsWith('~')) {
+      throw new ParseError("Continued fraction cannot end with ~", { code: ErrorCode.BAD_CF });
+    }
 
-    for (const term of terms) {
-      if (!/^\d+$/.test(term)) {
-        throw new Error(`Invalid continued fraction term: ${term}`);
+    if (termsStr.includes('~~')) {
+      throw new ParseError("Invalid continued fraction format: double tilde", { code: ErrorCode.BAD_CF });
+    }
+
+    // Split terms and validate they are all positive integers (except the integer part)
+    const readTerm = (term, offset) => {
+      const location = { code: ErrorCode.BAD_CF_TERM, offset, length: term.length, input: expr };
+      const digits = normalizeBaseDigits(term, baseSystem);
+      if (!digits) {
+        throw new ParseError(`Invalid continued fraction term: ${term}`, location);
       }
-      const termValue = BigInt(term);
+      const termValue = toValue(digits);
       if (termValue <= 0n) {
-        throw new Error(`Continued fraction terms must be positive integers: ${term}`);
+        throw new ParseError(`Continued fraction terms must be positive integers: ${term}`, location);
+      }
+      return termValue;
+    };
+
+    // Generalized terms: -2 and 7/2 are partial quotients, {a/b} is numerator a over
+    // denominator b; anything else is read as a regular term
+    const readGeneralizedTerm = (term, offset) => {
+      const location = { code: ErrorCode.BAD_CF_TERM, offset, length: term.length, input: expr };
+      const signed = (text) => {
+        const digits = normalizeBaseDigits(text.replace(/^-/, ""), baseSystem);
+        if (!digits) {
+          throw new ParseError(`Invalid continued fraction term: ${term}`, location);
+        }
+        return text.startsWith("-") ? -toValue(digits) : toValue(digits);
+      };
+      const pair = term.match(/^\{\s*(-?[^/{}]+?)\s*\/\s*(-?[^/{}]+?)\s*\}$/);
+      if (pair) {
+        return { numerator: new Rational(signed(pair[1])), denominator: new Rational(signed(pair[2])), text: term };
+      }
+      const [top, bottom, extra] = term.split("/");
+      if (extra !== undefined || top === "" || bottom === "" || term.startsWith("{")) {
+        throw new ParseError(`Invalid continued fraction term: ${term}`, location);
+      }
+      const denominator = bottom === undefined ? 1n : signed(bottom);
+      if (denominator <= 0n) {
+        throw new ParseError(`Invalid continued fraction term: ${term}`, location);
+      }
+      const quotient = new Rational(signed(top), denominator);
+      if (bottom === undefined && quotient.numerator > 0n) {
+        return quotient.numerator;
+      }
+      return { numerator: new Rational(1), denominator: quotient, text: term };
+    };
+
+    // A term written #t starts the period, which runs to the end: 2.~#1~1~1~4
+    const terms = [integerPart];
+    let period = null;
+    let termOffset = bodyStart;
+    const readAnyTerm = generalized ? readGeneralizedTerm : readTerm;
+    for (const term of termsStr === '' ? [] : termsStr.split('~')) {
+      if (term.startsWith("#") && period === null) {
+        period = [readAnyTerm(term.substring(1), termOffset + 1)];
+      } else {
+        (period || terms).push(readAnyTerm(term, termOffset));
+      }
+      termOffset += term.length + 1;
+    }
+    if (period && tailBounds) {
+      throw new ParseError("A periodic continued fraction cannot have an interval tail", {
+        code: ErrorCode.BAD_CF_TERM,
+        offset: bodyStart,
+        length: bodyEnd - bodyStart,
+        input: expr,
+      });
+    }
+
+    let tail = null;
+    if (tailBounds) {
+      // Tail problems are reported like bad terms, at the tail
+      const tailOffset = bodyStart + termsStr.length + (termsStr ? 1 : 0);
+      const location = { code: ErrorCode.BAD_CF_TERM, offset: tailOffset, length: bodyEnd - tailOffset, input: expr };
+      if (tailBounds.length !== 2 || tailBounds[0] === '') {
+        throw new ParseError("Continued fraction tail must be [low,high] or a term followed by ..", location);
+      }
+      const low = readTerm(tailBounds[0], tailOffset);
+      const high = tailBounds[1] === null ? null : readTerm(tailBounds[1], tailOffset);
+      if (high !== null && high < low) {
+        throw new ParseError(`Continued fraction tail bounds are reversed: [${tailBounds.join(",")}]`, location);
       }
-      cfTerms.push(termValue);
+      tail = { low, high };
     }
 
-    return [intPart, ...cfTerms];
+    return { terms, period, tail, remaining };
   }
 }
 
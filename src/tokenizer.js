@@ -0,0 +1,931 @@
+/**
+ * tokenizer.js
+ *
+ * Splits an expression into a stream of typed tokens with offsets into the original input.
+ * Literal notations (fractions, mixed numbers, repeating decimals, continued fractions,
+ * uncertainty brackets and prefixed bases) are kept whole so the parser can hand their
+ * text to the literal parsers unchanged.
+ */
+
+import { BaseSystem } from "@ratmath/core";
+import { ParseError, ErrorCode } from "./errors.js";
+import { digitLength } from "./base-parser.js";
+
+/**
+ * Token kinds produced by Tokenizer.tokenize
+ */
+export const TokenType = Object.freeze({
+  NUMBER: "number",
+  UNCERTAINTY: "uncertainty",
+  CONTINUED_FRACTION: "continuedFraction",
+  REPEATING_DECIMAL: "repeatingDecimal",
+  SEXAGESIMAL: "sexagesimal",
+  OPERATOR: "operator",
+  STRING: "string",
+  BRACKET: "bracket",
+  IDENTIFIER: "identifier",
+});
+
+// Longest operators first so that "**" wins over "*", "<=" over "<", etc.
+const OPERATORS = [
+  "||",
+  "&&",
+  "<=",
+  ">=",
+  "==",
+  "!=",
+  "**",
+  "!!",
+  "_^",
+  "->",
+  "<",
+  ">",
+  "+",
+  "-",
+  "*",
+  "/",
+  "^",
+  "!",
+  ":",
+  ",",
+  "=",
+  "%",
+  "‰",
+  // Square, cube and fourth roots of the following factor
+  "√",
+  "∛",
+  "∜",
+];
+
+const BRACKETS = "()[]";
+
+// Optional scientific suffix followed by an opening bracket: the start of uncertainty notation
+const UNCERTAINTY_LOOKAHEAD = /^(?:[Ee][+-]?\w+|_\^-?\w+)?\[/;
+
+// Scientific suffix allowed after the closing bracket of uncertainty notation
+const UNCERTAINTY_TRAILER = /^(?:[Ee][+-]?\w+|_\^-?\w+)/;
+
+/**
+ * SI prefixes and their powers of ten, read as literal suffixes when options.siSuffixes
+ * is set (4.7k is 4700). `u`, `µ` (micro sign) and `μ` (Greek mu) are all micro.
+ */
+export const SI_PREFIXES = Object.freeze({
+  y: -24,
+  z: -21,
+  a: -18,
+  f: -15,
+  p: -12,
+  n: -9,
+  u: -6,
+  "µ": -6,
+  "μ": -6,
+  m: -3,
+  k: 3,
+  M: 6,
+  G: 9,
+  T: 12,
+  P: 15,
+  E: 18,
+  Z: 21,
+  Y: 24,
+});
+
+// Unicode operators pasted from documents and their ASCII spelling. A space after the
+// division sign keeps 1÷2 a division rather than the fraction literal 1/2.
+const UNICODE_OPERATORS = {
+  "×": "*",
+  "·": "*",
+  "⋅": "*",
+  "÷": "/ ",
+  "−": "-",
+};
+
+const VULGAR_FRACTIONS = {
+  "½": "1/2",
+  "⅓": "1/3",
+  "⅔": "2/3",
+  "¼": "1/4",
+  "¾": "3/4",
+  "⅕": "1/5",
+  "⅖": "2/5",
+  "⅗": "3/5",
+  "⅘": "4/5",
+  "⅙": "1/6",
+  "⅚": "5/6",
+  "⅐": "1/7",
+  "⅛": "1/8",
+  "⅜": "3/8",
+  "⅝": "5/8",
+  "⅞": "7/8",
+  "⅑": "1/9",
+  "⅒": "1/10",
+};
+
+// Superscript digits 0-9, read as an exponent after an optional superscript minus
+const SUPERSCRIPT_DIGITS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+
+// Characters that may group digits: underscore, apostrophe and thin space
+const DIGIT_SEPARATORS = ["_", "'", "\u2009"];
+
+export class Tokenizer {
+  /**
+   * Splits an expression into typed tokens.
+   *
+   * Each token has the shape
+   * `{ type, value, text, start, end, spaceBefore, spaceAfter }` where `text` is the
+   * exact slice of the input, `start`/`end` are offsets into the input (end exclusive),
+   * and `value` is the operator or bracket symbol, the decoded string contents, the
+   * identifier name, or the literal notation with any inner whitespace removed.
+   *
+   * Whitespace is not emitted as tokens. Instead `spaceBefore`/`spaceAfter` record
+   * whether whitespace touched the token, which is what distinguishes `1.3:2.4E2`
+   * (E binds to the upper endpoint) from `1.3:2.4 E2` (E applies to the interval),
+   * and `1/2` (a fraction literal) from `1/ 2` (a division).
+   *
+   * Unicode math notation is read as its ASCII spelling (`2×3`, `1.23±0.01`, `2½`,
+   * `2³`); `value` holds the ASCII form while `text`, `start` and `end` still refer to
+   * the original input. `√`, `∛` and `∜` are operators. Digit separators between the
+   * digits of a literal are dropped from `value` (`1_000` has the value "1000").
+   *
+   * @param {string} expression - The expression to tokenize
+   * @param {Object} options - Tokenizing options
+   * @param {BaseSystem} options.inputBase - Base system for unprefixed number literals (default: decimal)
+   * @param {boolean} options.generalizedContinuedFractions - Read negative, rational and {a/b}
+   *   continued fraction terms as part of the literal
+   * @param {boolean} options.siSuffixes - Read a trailing SI prefix (4.7k, 220n) as part of
+   *   the literal, unless it is a digit of the base
+   * @param {boolean} options.hms - Read h:m:s literals (1:23:45.6) as times instead of intervals
+   * @param {string|false} options.digitSeparator - Digit group separator in number literals:
+   *   "_" (default), "'" or a thin space ("\u2009"); false turns grouping off
+   * @returns {Array<Object>} The tokens in input order
+   * @throws {ParseError} If the expression contains a character that cannot start a token or a malformed literal
+   */
+  static tokenize(expression, options = {}) {
+    if (typeof expression !== "string") {
+      throw new ParseError("Expression must be a string", { code: ErrorCode.INVALID_INPUT });
+    }
+
+    const separator = options.digitSeparator === undefined ? "_" : options.digitSeparator;
+    if (separator && !DIGIT_SEPARATORS.includes(separator)) {
+      throw new ParseError(`Unsupported digit separator: ${JSON.stringify(separator)}`, { code: ErrorCode.INVALID_INPUT });
+    }
+
+    const inputBase = options.inputBase || BaseSystem.DECIMAL;
+    const normalized = Tokenizer.#normalize(expression, separator, inputBase);
+    if (!normalized) {
+      return Tokenizer.#tokenize(expression, options);
+    }
+
+    // Map offsets in the rewritten text back to the characters they came from
+    const { text, offsets } = normalized;
+    const toStart = (offset) => offsets[offset];
+    const toEnd = (offset) => (offset === 0 ? 0 : offsets[offset - 1] + 1);
+    let tokens;
+    try {
+      tokens = Tokenizer.#tokenize(text, options);
+    } catch (error) {
+      if (error instanceof ParseError && error.input === text && error.offset !== null) {
+        const end = Math.min(error.offset + error.length, text.length);
+        error.message = error.message.replace(`at position ${error.offset}`, `at position ${toStart(error.offset)}`);
+        error.offset = toStart(error.offset);
+        error.length = Math.max(1, toEnd(end) - error.offset);
+        error.input = expression;
+      }
+      throw error;
+    }
+    for (const token of tokens) {
+      token.start = toStart(token.start);
+      token.end = toEnd(token.end);
+      token.text = expression.substring(token.start, token.end);
+    }
+    return tokens;
+  }
+
+  /**
+   * Rewrites Unicode math notation in ASCII: × · ÷ − as operators, vulgar fractions as
+   * fraction literals (mixed numbers after a digit: 2½ is 2..1/2), superscripts as
+   * exponents (2⁻³ is 2^-3) and a±b as symmetric uncertainty a[+-b]. A digit separator
+   * is dropped where it stands between two digits of a number literal, so 1_000 is
+   * 1000 while 1_^3, 1.._2 and x_1 are untouched. Letters are digits in the base of a
+   * prefix or of `inputBase`. String literals are left alone.
+   *
+   * Returns the text and, for each of its characters, the offset of the character of
+   * `expression` it came from, or null when there is nothing to rewrite.
+   * @private
+   */
+  static #normalize(expression, separator, inputBase) {
+    if (!/[^\x00-\x7F]/.test(expression) && !(separator && expression.includes(separator))) {
+      return null;
+    }
+
+    let text = "";
+    const offsets = [];
+    const emit = (chars, offset) => {
+      text += chars;
+      for (let k = 0; k < chars.length; k++) offsets.push(offset);
+    };
+
+    // The number literal being copied: its base, and whether it is inside uncertainty
+    // or tail brackets
+    let literal = null;
+    const isDigit = (ch) => /[0-9]/.test(ch || "") || (literal.base !== BaseSystem.DECIMAL && Tokenizer.#isBaseDigit(literal.base, ch));
+    const continuesLiteral = (ch) => /[0-9A-Za-z.#~\/[\]°′]/.test(ch) || (literal.bracket && /[,+\-\s]/.test(ch));
+
+    let i = 0;
+    while (i < expression.length) {
+      const c = expression[i];
+      if (literal && !continuesLiteral(c) && c !== separator) {
+        literal = null;
+      } else if (!literal && Tokenizer.#startsNumber(expression, i, inputBase) && !/[A-Za-z0-9_@.]/.test(expression[i - 1] || "")) {
+        const prefix = expression.substring(i).match(/^0([A-Za-z])/);
+        const base = (prefix && BaseSystem.getSystemForPrefix(prefix[1])) || inputBase;
+        literal = { base, bracket: false };
+      }
+      if (literal && c === "[") literal.bracket = true;
+      if (literal && c === "]") literal.bracket = false;
+      // After a degree sign an apostrophe marks minutes: 12°34'56"
+      if (literal && c === "°") literal.angle = true;
+
+      const separates = c === separator && !(c === "'" && literal && literal.angle);
+      if (literal && separates && isDigit(text[text.length - 1]) && isDigit(expression[i + 1])) {
+        i++;
+      } else if (c === '"' && !/[0-9\]]/.test(expression[i - 1] || "")) {
+        // Copy the string literal through its closing quote; a quote after a digit marks
+        // seconds (12°34'56") instead
+        let end = i + 1;
+        while (end < expression.length && expression[end] !== '"') end += expression[end] === "\\" ? 2 : 1;
+        for (let k = i; k < Math.min(end + 1, expression.length); k++) emit(expression[k], k);
+        i = end + 1;
+      } else if (UNICODE_OPERATORS[c]) {
+        emit(UNICODE_OPERATORS[c], i++);
+      } else if (VULGAR_FRACTIONS[c]) {
+        emit((/[0-9]/.test(text[text.length - 1] || "") ? ".." : "") + VULGAR_FRACTIONS[c], i++);
+      } else if (SUPERSCRIPT_DIGITS.includes(c) || (c === "⁻" && SUPERSCRIPT_DIGITS.includes(expression[i + 1] || "-"))) {
+        emit("^", i);
+        if (c === "⁻") emit("-", i++);
+        while (i < expression.length && SUPERSCRIPT_DIGITS.includes(expression[i])) {
+          emit(String(SUPERSCRIPT_DIGITS.indexOf(expression[i])), i++);
+        }
+      } else if (c === "±" && /[0-9]\s*$/.test(text) && /^\s*[0-9.#]/.test(expression.substring(i + 1))) {
+        // 1.23 ± 0.01 is 1.23[+-0.01] and 100 ± 2% is 100[+-2%]
+        const trimmed = text.trimEnd().length;
+        offsets.length = trimmed;
+        text = text.substring(0, trimmed);
+        emit("[+-", i);
+        let j = i + 1;
+        while (/\s/.test(expression[j])) j++;
+        while (j < expression.length && /[0-9.#]/.test(expression[j])) emit(expression[j], j++);
+        const unit = expression.substring(j).match(/^(?:%|‰|ppm|ppb)(?![A-Za-z0-9_])/);
+        for (const ch of unit ? unit[0] : "") emit(ch, j++);
+        emit("]", j - 1);
+        i = j;
+      } else {
+        emit(c, i++);
+      }
+    }
+    offsets.push(expression.length);
+    return { text, offsets };
+  }
+
+  /**
+   * Tokenizes ASCII text; see tokenize
+   * @private
+   */
+  static #tokenize(expression, options) {
+    const inputBase = options.inputBase || BaseSystem.DECIMAL;
+    const tokens = [];
+    let spaceBefore = false;
+    let i = 0;
+
+    while (i < expression.length) {
+      const c = expression[i];
+
+      if (/\s/.test(c)) {
+        spaceBefore = true;
+        if (tokens.length > 0) {
+          tokens[tokens.length - 1].spaceAfter = true;
+        }
+        i++;
+        continue;
+      }
+
+      const previous = tokens.length > 0 ? tokens[tokens.length - 1] : null;
+      let token;
+
+      if (c === '"') {
+        token = Tokenizer.#readString(expression, i);
+      } else if (Tokenizer.#inExponent(tokens) && Tokenizer.#isExponentDigit(c, inputBase)) {
+        // The exponent of E or _^ is a bare integer: "2E3/4" is 2E3 divided by 4
+        let end = i;
+        while (end < expression.length && Tokenizer.#isExponentDigit(expression[end], inputBase)) end++;
+        token = Tokenizer.#makeToken(
+          TokenType.NUMBER,
+          expression.substring(i, end),
+          expression,
+          i,
+          end,
+        );
+      } else if (
+        Tokenizer.#startsNumber(expression, i, inputBase) &&
+        (!OPERATORS.some((op) => op[0] === c) || Tokenizer.#expectsOperand(previous))
+      ) {
+        // Digits that double as operators (balanced ternary "-0+") start a literal only where a value may begin
+        token = Tokenizer.#readNumber(
+          expression,
+          i,
+          inputBase,
+          options.generalizedContinuedFractions === true,
+          options.siSuffixes === true,
+          options.hms === true,
+        );
+      } else if (BRACKETS.includes(c)) {
+        token = Tokenizer.#makeToken(TokenType.BRACKET, c, expression, i, i + 1);
+      } else if (c === "E" && Tokenizer.#isExponentMarker(expression, i, previous)) {
+        token = Tokenizer.#makeToken(TokenType.OPERATOR, "E", expression, i, i + 1);
+      } else {
+        const operator = OPERATORS.find((op) => expression.startsWith(op, i));
+        if (operator) {
+          token = Tokenizer.#makeToken(
+            TokenType.OPERATOR,
+            operator,
+            expression,
+            i,
+            i + operator.length,
+          );
+        } else if (/[A-Za-z_]/.test(c) || (c === "@" && /[A-Za-z_]/.test(expression[i + 1] || ""))) {
+          // "@Func" is kept whole: an explicit reference to a function
+          const name = expression.substring(i).match(/^@?[A-Za-z_][A-Za-z0-9_]*/)[0];
+          token = Tokenizer.#makeToken(TokenType.IDENTIFIER, name, expression, i, i + name.length);
+        } else {
+          throw new ParseError(`Unexpected character '${c}' at position ${i}`, {
+            code: ErrorCode.UNEXPECTED_CHARACTER,
+            offset: i,
+            input: expression,
+          });
+        }
+      }
+
+      token.spaceBefore = spaceBefore;
+      tokens.push(token);
+      spaceBefore = false;
+      i = token.end;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Whether a token is one of the literal kinds (number, uncertainty, continued fraction, repeating decimal)
+   *
+   * @param {Object} token - A token from tokenize
+   * @returns {boolean}
+   */
+  static isLiteral(token) {
+    return (
+      !!token &&
+      (token.type === TokenType.NUMBER ||
+        token.type === TokenType.UNCERTAINTY ||
+        token.type === TokenType.CONTINUED_FRACTION ||
+        token.type === TokenType.REPEATING_DECIMAL ||
+        token.type === TokenType.SEXAGESIMAL)
+    );
+  }
+
+  /**
+   * @private
+   */
+  static #makeToken(type, value, expression, start, end) {
+    return {
+      type,
+      value,
+      text: expression.substring(start, end),
+      start,
+      end,
+      spaceBefore: false,
+      spaceAfter: false,
+    };
+  }
+
+  /**
+   * "E" is scientific notation when it directly follows a value and is not the start of a longer name
+   * @private
+   */
+  static #isExponentMarker(expression, i, previous) {
+    if (!previous) return false;
+    const endsValue =
+      Tokenizer.isLiteral(previous) ||
+      (previous.type === TokenType.BRACKET && (previous.value === ")" || previous.value === "]"));
+    return endsValue && !/[A-Za-z_]/.test(expression[i + 1] || "");
+  }
+
+  /**
+   * Whether a value may begin after `previous`: at the start, after an opening bracket,
+   * or after an operator other than a postfix one
+   * @private
+   */
+  static #expectsOperand(previous) {
+    if (!previous) return true;
+    if (previous.type === TokenType.BRACKET) return previous.value === "(" || previous.value === "[";
+    return previous.type === TokenType.OPERATOR && !["!", "!!", "%", "‰"].includes(previous.value);
+  }
+
+  /**
+   * Whether the next token is the exponent of E or _^ (optionally after a minus sign)
+   * @private
+   */
+  static #inExponent(tokens) {
+    const isMarker = (t) => !!t && t.type === TokenType.OPERATOR && (t.value === "E" || t.value === "_^");
+    const last = tokens[tokens.length - 1];
+    if (isMarker(last)) return true;
+    return !!last && last.value === "-" && last.type === TokenType.OPERATOR && isMarker(tokens[tokens.length - 2]);
+  }
+
+  /**
+   * @private
+   */
+  static #isExponentDigit(ch, inputBase) {
+    if (/[0-9]/.test(ch)) return true;
+    return inputBase !== BaseSystem.DECIMAL && Tokenizer.#isBaseDigit(inputBase, ch);
+  }
+
+  /**
+   * Checks whether a character is a digit of the base, accepting the other letter case
+   * for bases whose letters are all one case (as #parseRational does)
+   * @private
+   */
+  static #isBaseDigit(baseSystem, ch) {
+    if (ch === undefined) return false;
+    if (baseSystem.charMap.has(ch)) return true;
+
+    const usesLowercase = baseSystem.characters.some((d) => d >= "a" && d <= "z");
+    const usesUppercase = baseSystem.characters.some((d) => d >= "A" && d <= "Z");
+    if (usesLowercase && !usesUppercase && ch >= "A" && ch <= "Z") {
+      return baseSystem.charMap.has(ch.toLowerCase());
+    }
+    if (usesUppercase && !usesLowercase && ch >= "a" && ch <= "z") {
+      return baseSystem.charMap.has(ch.toUpperCase());
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  static #startsNumber(expression, i, inputBase) {
+    const c = expression[i];
+    if (/[0-9]/.test(c)) return true;
+    if (c === "." && /[0-9]/.test(expression[i + 1] || "")) return true;
+    return inputBase !== BaseSystem.DECIMAL && Tokenizer.#digitLength(inputBase, expression, i) > 0;
+  }
+
+  /**
+   * Length of the digit of the base at `expression[i]` (digits of several characters are
+   * taken whole), or 0 when there is none; see #isBaseDigit for letter case
+   * @private
+   */
+  static #digitLength(baseSystem, expression, i) {
+    return digitLength(baseSystem, expression, i) || (Tokenizer.#isBaseDigit(baseSystem, expression[i]) ? 1 : 0);
+  }
+
+  /**
+   * Reads a string literal, decoding \" \\ and \uXXXX escapes
+   * @private
+   */
+  static #readString(expression, start) {
+    let i = start + 1;
+    let result = "";
+    while (i < expression.length) {
+      const char = expression[i];
+      if (char === '"') {
+        return Tokenizer.#makeToken(TokenType.STRING, result, expression, start, i + 1);
+      } else if (char === "\\") {
+        i++;
+        if (i >= expression.length) {
+          throw new ParseError("Unterminated string literal (trailing backslash)", {
+            code: ErrorCode.UNCLOSED_STRING,
+            offset: start,
+            length: i - start,
+            expected: ['"'],
+            input: expression,
+          });
+        }
+        const nextChar = expression[i];
+        if (nextChar === "u") {
+          const hex = expression.substring(i + 1, i + 5);
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+            throw new ParseError("Invalid unicode escape sequence", {
+              code: ErrorCode.BAD_ESCAPE,
+              offset: i - 1,
+              length: 2 + hex.length,
+              input: expression,
+            });
+          }
+          result += String.fromCharCode(parseInt(hex, 16));
+          i += 4;
+        } else {
+          // \" and \\ are the documented escapes; any other escaped character is taken literally
+          result += nextChar;
+        }
+      } else {
+        result += char;
+      }
+      i++;
+    }
+    throw new ParseError("Unterminated string literal", {
+      code: ErrorCode.UNCLOSED_STRING,
+      offset: start,
+      length: expression.length - start,
+      expected: ['"'],
+      input: expression,
+    });
+  }
+
+  /**
+   * Reads a number-like literal starting at `start`
+   * @private
+   */
+  static #readNumber(expression, start, inputBase, generalized, siSuffixes, hms) {
+    let i = start;
+    let baseSystem = inputBase;
+    let prefixed = false;
+
+    const prefixMatch = expression.substring(i).match(/^0([a-zA-Z])/);
+    if (prefixMatch) {
+      const prefix = prefixMatch[1];
+      const registeredBase = BaseSystem.getSystemForPrefix(prefix);
+      if (registeredBase) {
+        baseSystem = registeredBase;
+        prefixed = true;
+      } else if (prefix === "D") {
+        // "Default input base" prefix keeps the current base
+        prefixed = true;
+      } else if (prefix.toLowerCase() !== "e") {
+        // 'E' stays available for scientific notation
+        throw new ParseError(`Invalid or unregistered prefix '0${prefix}'`, {
+          code: ErrorCode.BAD_PREFIX,
+          offset: start,
+          length: 2,
+          input: expression,
+        });
+      }
+      if (prefixed) i += 2;
+    }
+
+    if (!prefixed && baseSystem === BaseSystem.DECIMAL) {
+      const end = Tokenizer.#scanSexagesimal(expression, i, hms);
+      if (end !== null) {
+        return Tokenizer.#makeToken(
+          TokenType.SEXAGESIMAL,
+          expression.substring(start, end).replace(/\s+/g, ""),
+          expression,
+          start,
+          end,
+        );
+      }
+    }
+
+    let type = TokenType.NUMBER;
+    if (prefixed || baseSystem !== BaseSystem.DECIMAL) {
+      const digitsStart = i;
+      const scanned = Tokenizer.#scanBaseNumber(expression, i, baseSystem, generalized);
+      i = scanned.end;
+      type = scanned.type;
+      if (prefixed && i === digitsStart) {
+        throw new ParseError(`Invalid number format for ${baseSystem.name}`, {
+          code: ErrorCode.BAD_NUMBER,
+          offset: start,
+          length: i - start + 1,
+          expected: [TokenType.NUMBER],
+          input: expression,
+        });
+      }
+    } else {
+      const scanned = Tokenizer.#scanDecimalNumber(expression, i, generalized);
+      i = scanned.end;
+      type = scanned.type;
+    }
+
+    if (siSuffixes && type !== TokenType.CONTINUED_FRACTION && Tokenizer.#isSiSuffix(expression, i, baseSystem)) {
+      i++;
+    }
+
+    if (type !== TokenType.CONTINUED_FRACTION) {
+      const lookahead = expression.substring(i).match(UNCERTAINTY_LOOKAHEAD);
+      if (lookahead) {
+        return Tokenizer.#readUncertainty(expression, start, i + lookahead[0].length - 1);
+      }
+    }
+
+    return Tokenizer.#makeToken(
+      type,
+      expression.substring(start, i),
+      expression,
+      start,
+      i,
+    );
+  }
+
+  /**
+   * Scans a degree or time literal: 12°34'56.7", 12d34m56.7s, 1h23m45.6s, or 1:23:45.6
+   * when `hms` is set. The last component may carry an uncertainty bracket. Returns
+   * the end of the literal, or null when there is none at `i`.
+   * @private
+   */
+  static #scanSexagesimal(expression, i, hms) {
+    const rest = expression.substring(i);
+    if (hms) {
+      const time = rest.match(/^\d+:\d+:\d+(?:\.\d+)?(?:\[[^\]]*\])?/);
+      if (time) return i + time[0].length;
+    }
+
+    const first = rest.match(/^\d+(?:\.\d+)?(?:\[[^\]]*\])?([°dh])/);
+    if (!first) {
+      return null;
+    }
+
+    // Minutes and seconds follow in the same style: ' and " (or ′ and ″) after °, m and s after d or h
+    const symbols = first[1] === "°";
+    const piece = symbols
+      ? /^\s*\d+(?:\.\d+)?(?:\[[^\]]*\])?['′"″]/
+      : /^\d+(?:\.\d+)?(?:\[[^\]]*\])?[ms]/;
+    let end = i + first[0].length;
+    for (let match; (match = expression.substring(end).match(piece)); ) {
+      end += match[0].length;
+    }
+
+    // Letter units must not run into a name or number: 3days is not 3 degrees
+    return !symbols && /[A-Za-z0-9_]/.test(expression[end] || "") ? null : end;
+  }
+
+  /**
+   * An SI prefix ends a literal when it is not a digit of its base and does not start a
+   * name (2km) or E notation (2E3, 2E-3)
+   * @private
+   */
+  static #isSiSuffix(expression, i, baseSystem) {
+    const ch = expression[i];
+    const next = expression[i + 1] || "";
+    if (!Object.hasOwn(SI_PREFIXES, ch) || Tokenizer.#isBaseDigit(baseSystem, ch)) {
+      return false;
+    }
+    return !/[A-Za-z0-9_]/.test(next) && !(ch === "E" && /[+-]/.test(next));
+  }
+
+  /**
+   * Scans a decimal literal: integer, fraction, mixed number, decimal,
+   * repeating decimal or continued fraction
+   * @private
+   */
+  static #scanDecimalNumber(expression, i, generalized) {
+    const digits = (from) => {
+      let j = from;
+      while (j < expression.length && /[0-9]/.test(expression[j])) j++;
+      return j;
+    };
+
+    const integerEnd = digits(i);
+
+    // Continued fraction: 3.~7~15~1
+    if (integerEnd > i && expression.startsWith(".~", integerEnd)) {
+      const end = Tokenizer.#scanContinuedFraction(expression, integerEnd + 2, (ch) => /[0-9]/.test(ch), generalized);
+      return { end, type: TokenType.CONTINUED_FRACTION };
+    }
+
+    // Mixed number: 1..2/3
+    if (integerEnd > i && expression.startsWith("..", integerEnd)) {
+      const numeratorEnd = digits(integerEnd + 2);
+      if (numeratorEnd === integerEnd + 2) {
+        throw new ParseError('Invalid mixed number format: missing numerator after ".."', {
+          code: ErrorCode.BAD_MIXED_NUMBER,
+          offset: i,
+          length: numeratorEnd - i,
+          input: expression,
+        });
+      }
+      if (expression[numeratorEnd] !== "/" || !/[0-9]/.test(expression[numeratorEnd + 1] || "")) {
+        throw new ParseError("Invalid mixed number format: missing denominator", {
+          code: ErrorCode.BAD_MIXED_NUMBER,
+          offset: i,
+          length: numeratorEnd - i,
+          input: expression,
+        });
+      }
+      const end = digits(numeratorEnd + 1);
+      if (expression[end] === "E") {
+        throw new ParseError("E notation not allowed directly after mixed number without parentheses", {
+          code: ErrorCode.BAD_SCIENTIFIC,
+          offset: end,
+          input: expression,
+        });
+      }
+      return { end, type: TokenType.NUMBER };
+    }
+
+    let end = integerEnd;
+    let hasDecimalPoint = false;
+    if (expression[end] === "." && /[0-9#[]/.test(expression[end + 1] || "")) {
+      hasDecimalPoint = true;
+      end = digits(end + 1);
+    }
+
+    // Repeating decimal: 0.1#6
+    if (expression[end] === "#") {
+      let repeatEnd = digits(end + 1);
+      if (repeatEnd === end + 1) {
+        // Keep a malformed period ("1.2#a5") in the literal so it is reported as such
+        while (repeatEnd < expression.length && /\w/.test(expression[repeatEnd])) repeatEnd++;
+      }
+      return { end: repeatEnd, type: TokenType.REPEATING_DECIMAL };
+    }
+
+    // Fraction: 3/4 (a space after the slash makes it a division instead)
+    if (!hasDecimalPoint && expression[end] === "/" && /[0-9]/.test(expression[end + 1] || "")) {
+      end = digits(end + 1);
+      if (expression[end] === "E") {
+        throw new ParseError("E notation not allowed directly after fraction without parentheses", {
+          code: ErrorCode.BAD_SCIENTIFIC,
+          offset: end,
+          input: expression,
+        });
+      }
+    }
+
+    return { end, type: TokenType.NUMBER };
+  }
+
+  /**
+   * Scans the terms of a continued fraction from just after ".~", including a period
+   * (1.~#2) or an interval tail: 3.~7~15~[1,2] or 3.~7~15~1..
+   * Generalized terms (-2, 3/2, {4/1}) are only part of the literal when enabled.
+   * @private
+   */
+  static #scanContinuedFraction(expression, j, isDigit, generalized = false) {
+    while (j < expression.length) {
+      const ch = expression[j];
+      const afterTilde = expression[j - 1] === "~";
+      if (ch === "~" || isDigit(ch) || (ch === "#" && afterTilde)) {
+        // A # after a tilde starts the repeating terms: 1.~#2
+        j++;
+      } else if (generalized && ch === "-" && afterTilde && isDigit(expression[j + 1] || "")) {
+        j++;
+      } else if (generalized && ch === "/" && isDigit(expression[j - 1]) && isDigit(expression[j + 1] || "")) {
+        j++;
+      } else if (generalized && ch === "{" && afterTilde) {
+        const close = expression.indexOf("}", j);
+        if (close === -1) {
+          throw new ParseError("Unterminated continued fraction term: missing '}'", {
+            code: ErrorCode.UNCLOSED_BRACKET,
+            offset: j,
+            length: expression.length - j,
+            expected: ["}"],
+            input: expression,
+          });
+        }
+        j = close + 1;
+      } else {
+        break;
+      }
+    }
+
+    const previous = expression[j - 1];
+    if (expression[j] === "[" && previous === "~") {
+      const close = expression.indexOf("]", j);
+      if (close === -1) {
+        throw new ParseError("Unterminated continued fraction tail: missing ']'", {
+          code: ErrorCode.UNCLOSED_BRACKET,
+          offset: j,
+          length: expression.length - j,
+          expected: ["]"],
+          input: expression,
+        });
+      }
+      return close + 1;
+    }
+    if (expression.startsWith("..", j) && isDigit(previous)) {
+      return j + 2;
+    }
+    return j;
+  }
+
+  /**
+   * Scans a literal in a non-decimal base, mirroring the input-base scan in #parseRational.
+   * Returns the end and token type like #scanDecimalNumber.
+   * @private
+   */
+  static #scanBaseNumber(expression, i, baseSystem, generalized) {
+    let validationBase = baseSystem;
+    let hasDecimalPoint = false;
+    let hasMixedNumber = false;
+    let hasFraction = false;
+
+    const start = i;
+    while (i < expression.length) {
+      const char = expression[i];
+
+      if (Tokenizer.#digitLength(validationBase, expression, i) > 0 || /[0-9]/.test(char)) {
+        // Digits outside the base are consumed so validation reports them instead of splitting the literal
+        i += Tokenizer.#digitLength(validationBase, expression, i) || 1;
+      } else if (char === "." && expression[i + 1] === "~" && i > start && !hasDecimalPoint && !hasMixedNumber && !hasFraction) {
+        // Continued fraction with terms in the same base: 0x3.~7~F
+        const end = Tokenizer.#scanContinuedFraction(
+          expression,
+          i + 2,
+          (ch) => Tokenizer.#isBaseDigit(validationBase, ch),
+          generalized,
+        );
+        return { end, type: TokenType.CONTINUED_FRACTION };
+      } else if (char === "." && expression[i + 1] === ".") {
+        if (hasMixedNumber || hasDecimalPoint || hasFraction) break;
+        hasMixedNumber = true;
+        i += 2;
+      } else if (char === "." && !hasDecimalPoint && !hasMixedNumber) {
+        hasDecimalPoint = true;
+        i++;
+      } else if (
+        char === "#" &&
+        !hasFraction &&
+        !hasMixedNumber &&
+        Tokenizer.#digitLength(validationBase, expression, i + 1) > 0
+      ) {
+        // Repeating expansion: 0x0.#5; nothing but digits may follow the period
+        i++;
+        while (i < expression.length && Tokenizer.#digitLength(validationBase, expression, i) > 0) {
+          i += Tokenizer.#digitLength(validationBase, expression, i);
+        }
+        return { end: i, type: TokenType.REPEATING_DECIMAL };
+      } else if (
+        char === "/" &&
+        !hasFraction &&
+        digitLength(validationBase, expression, i + 1) > 0
+      ) {
+        hasFraction = true;
+        i++;
+
+        // The denominator may carry its own prefix (0xA/0b10)
+        const subPrefixMatch = expression.substring(i).match(/^0([a-zA-Z])/);
+        if (subPrefixMatch) {
+          const subBase = BaseSystem.getSystemForPrefix(subPrefixMatch[1]);
+          if (subBase || subPrefixMatch[1] === "D") {
+            if (subBase) validationBase = subBase;
+            i += 2;
+          }
+        }
+      } else if (char === "_" && expression[i + 1] === "^") {
+        i += 2;
+        if (expression[i] === "+" || expression[i] === "-") i++;
+      } else if (char === "E" && validationBase.base === 10) {
+        i++;
+        if (expression[i] === "+" || expression[i] === "-") i++;
+      } else {
+        break;
+      }
+    }
+
+    return { end: i, type: TokenType.NUMBER };
+  }
+
+  /**
+   * Reads uncertainty notation such as 1.23[+-5] or 1.2[3,6]E2.
+   * `bracketIndex` is the position of the opening bracket.
+   * @private
+   */
+  static #readUncertainty(expression, start, bracketIndex) {
+    const closeIndex = expression.indexOf("]", bracketIndex);
+    if (closeIndex === -1) {
+      throw new ParseError("Unterminated uncertainty notation: missing ']'", {
+        code: ErrorCode.UNCLOSED_BRACKET,
+        offset: bracketIndex,
+        length: expression.length - bracketIndex,
+        expected: ["]"],
+        input: expression,
+      });
+    }
+
+    const content = expression.substring(bracketIndex + 1, closeIndex);
+    if (/^\s*[0-9]+\s*$/.test(content)) {
+      throw new ParseError(
+        "Bracket base notation (Value[Base]) is no longer supported. Use prefix notation (0xValue, 0bValue) or the BASE command.",
+        {
+          code: ErrorCode.BRACKET_BASE_NOTATION,
+          offset: start,
+          length: closeIndex + 1 - start,
+          input: expression,
+        },
+      );
+    }
+
+    let end = closeIndex + 1;
+    const trailer = expression.substring(end).match(UNCERTAINTY_TRAILER);
+    if (trailer) {
+      end += trailer[0].length;
+    }
+
+    return Tokenizer.#makeToken(
+      TokenType.UNCERTAINTY,
+      expression.substring(start, end).replace(/\s+/g, ""),
+      expression,
+      start,
+      end,
+    );
+  }
+}
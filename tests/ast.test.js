@@ -0,0 +1,136 @@
+import { describe, it, expect } from "bun:test";
+import { Parser, NodeType } from "../src/index.js";
+import { Integer, Rational, RationalInterval } from "@ratmath/core";
+
+describe("Parser.parseToAst", () => {
+  it("should build binary operations with precedence", () => {
+    const ast = Parser.parseToAst("1 + 2 * 3");
+    expect(ast.type).toBe(NodeType.BINARY_OP);
+    expect(ast.operator).toBe("+");
+    expect(ast.left.type).toBe(NodeType.LITERAL);
+    expect(ast.right.type).toBe(NodeType.BINARY_OP);
+    expect(ast.right.operator).toBe("*");
+  });
+
+  it("should keep the original notation of literals", () => {
+    const ast = Parser.parseToAst("0.1#6 + 1..2/3");
+    expect(ast.left.notation).toBe("0.1#6");
+    expect(ast.left.kind).toBe("repeatingDecimal");
+    expect(ast.right.notation).toBe("1..2/3");
+    expect(ast.right.raw).toBe("1..2/3");
+  });
+
+  it("should record source offsets", () => {
+    const ast = Parser.parseToAst("  1/2 *  3");
+    expect(ast.start).toBe(2);
+    expect(ast.end).toBe(10);
+    expect(ast.left.start).toBe(2);
+    expect(ast.left.end).toBe(5);
+    expect(ast.right.start).toBe(9);
+  });
+
+  it("should build interval nodes with endpoint literals", () => {
+    const ast = Parser.parseToAst("1/2:3/4");
+    expect(ast.type).toBe(NodeType.INTERVAL);
+    expect(ast.low.notation).toBe("1/2");
+    expect(ast.high.notation).toBe("3/4");
+  });
+
+  it("should bind tight E to the upper endpoint and spaced E to the interval", () => {
+    const tight = Parser.parseToAst("1.3:2.4E2");
+    expect(tight.type).toBe(NodeType.INTERVAL);
+    expect(tight.high.notation).toBe("2.4E2");
+
+    const spaced = Parser.parseToAst("1.3:2.4 E2");
+    expect(spaced.type).toBe(NodeType.BINARY_OP);
+    expect(spaced.operator).toBe("E");
+    expect(spaced.left.type).toBe(NodeType.INTERVAL);
+  });
+
+  it("should fold the sign into uncertainty and interval literals", () => {
+    expect(Parser.parseToAst("-1.5[+-1]").notation).toBe("-1.5[+-1]");
+    expect(Parser.parseToAst("-1:2").low.notation).toBe("-1");
+    const negation = Parser.parseToAst("-3");
+    expect(negation.type).toBe(NodeType.UNARY_OP);
+    expect(negation.operand.notation).toBe("3");
+  });
+
+  it("should build power and factorial nodes", () => {
+    const ast = Parser.parseToAst("2!^3");
+    expect(ast.type).toBe(NodeType.POWER);
+    expect(ast.operator).toBe("^");
+    expect(ast.base.type).toBe(NodeType.FACTORIAL);
+    expect(ast.exponent.notation).toBe("3");
+
+    expect(Parser.parseToAst("(2:3)**2").operator).toBe("**");
+    expect(Parser.parseToAst("5!!").operator).toBe("!!");
+  });
+
+  it("should build lists, strings, comparisons and logical nodes", () => {
+    const list = Parser.parseToAst('[1, "a", [2]]');
+    expect(list.type).toBe(NodeType.LIST);
+    expect(list.elements.map((e) => e.type)).toEqual([
+      NodeType.LITERAL,
+      NodeType.STRING_LITERAL,
+      NodeType.LIST,
+    ]);
+
+    const logic = Parser.parseToAst("1 < 2 && 2 != 3");
+    expect(logic.type).toBe(NodeType.LOGICAL);
+    expect(logic.left.type).toBe(NodeType.COMPARISON);
+    expect(logic.right.operator).toBe("!=");
+  });
+
+  it("should report syntax errors without evaluating", () => {
+    expect(() => Parser.parseToAst("(1 + 2")).toThrow("Missing closing parenthesis");
+    expect(() => Parser.parseToAst("[1, 2")).toThrow("Unterminated list literal");
+    expect(() => Parser.parseToAst("1 2")).toThrow("Unexpected token at end");
+  });
+});
+
+describe("Parser.evaluate", () => {
+  it("should match Parser.parse", () => {
+    const expressions = [
+      "1/2 + 1/3",
+      "(1/2:3/4 + 1/4:1/2)^2 / (2:3 - 1/2:1)",
+      "1.3:2.4 E2",
+      "-1.5[+-0.1] * 2",
+      "2E3/4",
+      "2!^3",
+      "0.#3:0.#6",
+    ];
+    for (const expr of expressions) {
+      const expected = Parser.parse(expr);
+      const actual = Parser.evaluate(Parser.parseToAst(expr));
+      expect(actual.toString()).toBe(expected.toString());
+      expect(actual.constructor).toBe(expected.constructor);
+    }
+  });
+
+  it("should evaluate a cached tree with different options", () => {
+    const ast = Parser.parseToAst("1/2 + 1/2");
+    expect(Parser.evaluate(ast)).toBeInstanceOf(Integer);
+    expect(Parser.evaluate(ast, { typeAware: false })).toBeInstanceOf(RationalInterval);
+  });
+
+  it("should not modify the tree", () => {
+    const ast = Parser.parseToAst("-1/2 * 3");
+    const before = JSON.stringify(ast);
+    Parser.evaluate(ast);
+    Parser.evaluate(ast);
+    expect(JSON.stringify(ast)).toBe(before);
+  });
+
+  it("should evaluate hand-built trees", () => {
+    const literal = (notation) => ({ type: NodeType.LITERAL, kind: "number", notation });
+    const ast = {
+      type: NodeType.BINARY_OP,
+      operator: "*",
+      left: literal("3/4"),
+      right: { type: NodeType.UNARY_OP, operator: "-", operand: literal("2") },
+    };
+    const result = Parser.evaluate(ast);
+    expect(result).toBeInstanceOf(Rational);
+    expect(result.equals(new Rational(-3, 2))).toBe(true);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from "bun:test";
+import { BaseParser, CustomBaseSystem, Parser, ErrorCode } from "../src/index.js";
+import { BaseSystem, Integer, Rational } from "@ratmath/core";
+import { catchError } from "./helpers.js";
+
+describe("Base definitions outside the Basic Multilingual Plane", () => {
+  it("should expand ranges by code point", () => {
+    expect(BaseParser.parseDefinition("𝟎-𝟗")).toEqual(["𝟎", "𝟏", "𝟐", "𝟑", "𝟒", "𝟓", "𝟔", "𝟕", "𝟖", "𝟗"]);
+    expect(BaseParser.parseDefinition("😀-😃")).toEqual(["😀", "😁", "😂", "😃"]);
+    expect(catchError(() => BaseParser.parseDefinition("𝟗-𝟎")).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+  });
+
+  it("should parse literals written with such digits", () => {
+    const bold = BaseParser.createSystem("𝟎-𝟗");
+    expect(bold).toBeInstanceOf(CustomBaseSystem);
+    expect(Parser.parse("𝟏𝟐.𝟓", { inputBase: bold }).equals(new Rational(25, 2))).toBe(true);
+    expect(Parser.parse("😁😀", { inputBase: BaseParser.createSystem("😀-😃"), typeAware: true })).toEqual(new Integer(4));
+  });
+});
+
+describe("Escapes and exclusions in base definitions", () => {
+  it("should read escaped hyphens and backslashes literally", () => {
+    expect(BaseParser.parseDefinition("0-9\\-")).toEqual(["0", "1", "2", "3", "4", "5", "6", "7", "8", "9", "-"]);
+    expect(BaseParser.parseDefinition("a\\-c")).toEqual(["a", "-", "c"]);
+    expect(BaseParser.parseDefinition("\\\\01")).toEqual(["\\", "0", "1"]);
+    expect(catchError(() => BaseParser.parseDefinition("01\\")).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+  });
+
+  it("should drop excluded characters and ranges", () => {
+    const crockford = BaseParser.parseDefinition("0-9A-Z!I!L!O!U");
+    expect(crockford.length).toBe(32);
+    expect(crockford.join("")).toBe("0123456789ABCDEFGHJKMNPQRSTVWXYZ");
+    expect(BaseParser.parseDefinition("a-z!l!o")).not.toContain("l");
+    expect(BaseParser.parseDefinition("a-z!a-x")).toEqual(["y", "z"]);
+  });
+
+  it("should reject exclusions of characters that are not digits", () => {
+    expect(catchError(() => BaseParser.parseDefinition("0-9!a")).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+    expect(catchError(() => BaseParser.parseDefinition("0-9!")).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+  });
+});
+
+describe("Writing base definitions", () => {
+  it("should write the shortest range notation", () => {
+    expect(BaseParser.toDefinition(BaseParser.parseDefinition("0123456789abcdef"))).toBe("0-9a-f");
+    expect(BaseParser.toDefinition(["a", "b", "x"])).toBe("abx");
+    expect(BaseParser.toDefinition(BaseParser.parseDefinition("0-9A-Z!I!L!O!U"))).toBe("0-9A-HJKMNP-TV-Z");
+    expect(BaseParser.toDefinition(BaseParser.parseDefinition("{00-59}"))).toBe("{00-59}");
+    expect(BaseParser.toDefinition(["ab", "cd", "x", "y", "z"])).toBe("{ab,cd}x-z");
+  });
+
+  it("should escape characters with a meaning in definitions", () => {
+    expect(BaseParser.toDefinition(["0", "1", "-"])).toBe("01\\-");
+    expect(BaseParser.toDefinition(["\\", "{", "!", "@"])).toBe("\\\\\\{\\!\\@");
+    expect(BaseParser.toDefinition([",", "-", "."])).toBe(",-.");
+  });
+
+  it("should keep the digit values of a base system", () => {
+    expect(BaseParser.toDefinition(BaseParser.createSystem("-0+@-1"))).toBe("\\-0+@±");
+    expect(BaseParser.toDefinition(BaseParser.createSystem("0-9@-3"))).toBe("0-9@-3");
+  });
+
+  it("should round-trip through parseDefinition", () => {
+    const printable = [];
+    for (let code = 32; code < 127; code++) printable.push(String.fromCharCode(code));
+    for (const characters of [printable, ["😀", "😁", "-", "\\"], BaseParser.parseDefinition("a-z!l!o")]) {
+      expect(BaseParser.parseDefinition(BaseParser.toDefinition(characters))).toEqual(characters);
+    }
+  });
+
+  it("should reject digits that cannot form a definition", () => {
+    expect(catchError(() => BaseParser.toDefinition(["a", "a"])).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+    expect(catchError(() => BaseParser.toDefinition(["1", "10"])).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+    expect(catchError(() => BaseParser.toDefinition(["a,b", "c"])).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+    expect(catchError(() => BaseParser.toDefinition([1, 2])).code).toBe(ErrorCode.INVALID_INPUT);
+  });
+
+  it("should describe a base", () => {
+    expect(BaseParser.describe("0-9a-f")).toEqual({
+      base: 16,
+      definition: "0-9a-f",
+      ranges: [
+        { first: "0", last: "9", size: 10 },
+        { first: "a", last: "f", size: 6 },
+      ],
+      caseSensitive: false,
+      multiCharacter: false,
+      minValue: 0,
+      maxValue: 15,
+    });
+    expect(BaseParser.describe("0-9A-Za-z").caseSensitive).toBe(true);
+    expect(BaseParser.describe([..."0123456789abcdefghijklmnopqrstuvwxyz+/"]).caseSensitive).toBe(true);
+    expect(BaseParser.describe("{00-59}").multiCharacter).toBe(true);
+
+    const ternary = BaseParser.describe(BaseParser.createSystem("T01@±"));
+    expect([ternary.minValue, ternary.maxValue]).toEqual([-1, 1]);
+  });
+
+  it("should report the case sensitivity of a base system", () => {
+    const hex = new BaseSystem(BaseParser.parseDefinition("0-9a-f"), "Strict hex").withCaseSensitivity(true);
+    expect(BaseParser.describe(hex).caseSensitive).toBe(true);
+    const mixed = new BaseSystem(BaseParser.parseDefinition("aAbBcC")).withCaseSensitivity(false);
+    expect(BaseParser.describe(mixed).caseSensitive).toBe(false);
+  });
+});
@@ -2,8 +2,8 @@
 // Tests for continued fraction functionality across Parser, Rational, and Fraction classes
 
 import { test, expect, describe } from "bun:test";
-import { Integer, Rational, Fraction } from "@ratmath/core";
-import { Parser, R, F } from "../src/index.js";
+import { Integer, Rational, RationalInterval, Fraction, BaseSystem } from "@ratmath/core";
+import { Parser, R, F, ErrorCode } from "../src/index.js";
 
 describe("Continued Fractions - Parser Extension", () => {
   test("should parse basic continued fraction notation", () => {
@@ -52,6 +52,145 @@ describe("Continued Fractions - Parser Extension", () => {
   });
 });
 
+describe("Continued Fractions - Bases and Interval Tails", () => {
+  const hex = BaseSystem.getSystemForPrefix("x");
+
+  test("should read terms in a prefixed base or the input base", () => {
+    expect(Parser.parseContinuedFraction("0x3.~7~F")).toEqual([3n, 7n, 15n]);
+    expect(Parser.parseContinuedFraction("3.~7~f", { inputBase: hex })).toEqual([3n, 7n, 15n]);
+    expect(Parser.parse("0x3.~7~F").equals(new Rational(333, 106))).toBe(true);
+    expect(Parser.parse("3.~7~F", { inputBase: hex }).equals(new Rational(333, 106))).toBe(true);
+    expect(Parser.parse("-0x3.~7").equals(new Rational(-22, 7))).toBe(true);
+  });
+
+  test("should give the interval between the bounding convergents for a tail", () => {
+    // [3; 7, 15, x] for 1 <= x <= 2
+    const bracket = Parser.parse("3.~7~15~[1,2]");
+    expect(bracket).toBeInstanceOf(RationalInterval);
+    expect(bracket.low.equals(new Rational(688, 219))).toBe(true);
+    expect(bracket.high.equals(new Rational(355, 113))).toBe(true);
+
+    // Every continuation of [3; 7, 15] lies between 333/106 and 355/113
+    const open = Parser.parse("3.~7~15~1..");
+    expect(open.low.equals(new Rational(333, 106))).toBe(true);
+    expect(open.high.equals(new Rational(355, 113))).toBe(true);
+
+    const first = Parser.parse("3.~1..");
+    expect(first.low.equals(new Rational(3))).toBe(true);
+    expect(first.high.equals(new Rational(4))).toBe(true);
+  });
+
+  test("should combine tails with bases and arithmetic", () => {
+    const hexTail = Parser.parse("0x3.~7~[1,F]");
+    expect(hexTail.low.equals(new Rational(25, 8))).toBe(true);
+    expect(hexTail.high.equals(new Rational(333, 106))).toBe(true);
+    expect(Parser.parse("2 * 3.~7~1..").high.equals(new Rational(44, 7))).toBe(true);
+  });
+
+  test("should reject bad tails", () => {
+    const code = (expr) => {
+      try {
+        Parser.parse(expr);
+      } catch (error) {
+        return error.code;
+      }
+    };
+    expect(code("3.~7~[2,1]")).toBe(ErrorCode.BAD_CF_TERM);
+    expect(code("3.~7~[0,1]")).toBe(ErrorCode.BAD_CF_TERM);
+    expect(code("3.~7~[1,2")).toBe(ErrorCode.UNCLOSED_BRACKET);
+    expect(() => Parser.parseContinuedFraction("3.~7~[1,2]")).toThrow("has no coefficient array");
+  });
+});
+
+describe("Continued Fractions - Periodic Expansions", () => {
+  const width = (interval) => interval.high.subtract(interval.low);
+
+  test("should enclose a periodic continued fraction", () => {
+    const sqrt2 = Parser.parse("1.~#2");
+    expect(sqrt2).toBeInstanceOf(RationalInterval);
+    // Consecutive convergents of √2
+    expect(sqrt2.low.equals(new Rational(1393, 985))).toBe(true);
+    expect(sqrt2.high.equals(new Rational(3363, 2378))).toBe(true);
+    expect(sqrt2.low.multiply(sqrt2.low).compareTo(new Rational(2))).toBeLessThan(0);
+    expect(sqrt2.high.multiply(sqrt2.high).compareTo(new Rational(2))).toBeGreaterThan(0);
+  });
+
+  test("should narrow the enclosure to options.precision", () => {
+    const coarse = Parser.parse("2.~#1~1~1~4");
+    expect(width(coarse).compareTo(new Rational(1, 1000000))).toBeLessThanOrEqual(0);
+    const fine = Parser.parse("2.~#1~1~1~4", { precision: -20 });
+    expect(width(fine).compareTo(new Rational(1n, 10n ** 20n))).toBeLessThanOrEqual(0);
+    expect(fine.low.multiply(fine.low).compareTo(new Rational(7))).toBeLessThan(0);
+    expect(fine.high.multiply(fine.high).compareTo(new Rational(7))).toBeGreaterThan(0);
+  });
+
+  test("should give the exact quadratic form", () => {
+    expect(Parser.quadraticSurd("1.~#2")).toEqual({ p: 0n, q: 1n, d: 2n });
+    expect(Parser.quadraticSurd("2.~#1~1~1~4")).toEqual({ p: 0n, q: 1n, d: 7n });
+    expect(Parser.quadraticSurd("1.~#1")).toEqual({ p: 1n, q: 2n, d: 5n });
+    expect(Parser.quadraticSurd("1.~1~#2")).toEqual({ p: 2n, q: 2n, d: 2n });
+    expect(Parser.quadraticSurd("3.~7~15")).toEqual({ p: 333n, q: 106n, d: 0n });
+  });
+
+  test("should reject malformed periods", () => {
+    expect(() => Parser.parse("1.~#")).toThrow("Invalid continued fraction term");
+    expect(() => Parser.parse("1.~#2~[1,2]")).toThrow("cannot have an interval tail");
+    expect(() => Parser.parseContinuedFraction("1.~#2")).toThrow("no finite coefficient array");
+  });
+});
+
+describe("Continued Fractions - Generalized Terms", () => {
+  const generalized = { generalizedContinuedFractions: true };
+
+  test("should evaluate numerator/denominator pairs exactly", () => {
+    // Start of Brouncker's 4/(1 + 1^2/(3 + 2^2/(5 + 3^2/7))) for pi
+    const pi = Parser.parse("0.~{4/1}~{1/3}~{4/5}~{9/7}", generalized);
+    expect(pi.equals(new Rational(160, 51))).toBe(true);
+    expect(Parser.parse("0x1.~{A/-1}", generalized).equals(new Rational(-9))).toBe(true);
+  });
+
+  test("should allow negative and rational partial quotients", () => {
+    expect(Parser.parse("3.~-2", generalized).equals(new Rational(5, 2))).toBe(true);
+    expect(Parser.parse("3.~7/2", generalized).equals(new Rational(23, 7))).toBe(true);
+    expect(Parser.parse("1 + 3.~-2~4 * 2", generalized).equals(new Rational(41, 7))).toBe(true);
+    const value = Parser.parseContinuedFraction("3.~-2~4", generalized);
+    expect(value.equals(new Rational(17, 7))).toBe(true);
+  });
+
+  test("should keep the regular reading by default", () => {
+    expect(() => Parser.parseContinuedFraction("3.~-2~4")).toThrow("must be positive integers");
+    expect(() => Parser.parse("3.~-2")).toThrow();
+    expect(Parser.parse("3.~7/2").equals(new Rational(11, 7))).toBe(true);
+    expect(Parser.parseContinuedFraction("3.~7~15", generalized).equals(new Rational(333, 106))).toBe(true);
+  });
+
+  test("should reject division by zero and generalized periods", () => {
+    expect(() => Parser.parseContinuedFraction("0.~0~0", generalized)).toThrow("divides by zero");
+    let error;
+    try {
+      Parser.parse("1.~#2~3/2", generalized);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).toBe(ErrorCode.BAD_CF_TERM);
+    expect(error.offset).toBe(6);
+  });
+
+  test("should report whether an expansion is canonical", () => {
+    expect(Parser.validateContinuedFraction("3.~7~15~1~292")).toEqual({ canonical: true, reason: null });
+    expect(Parser.validateContinuedFraction("1.~#2").canonical).toBe(true);
+    expect(Parser.validateContinuedFraction("3.~7~1")).toEqual({
+      canonical: false,
+      reason: "A finite expansion cannot end with the term 1",
+    });
+    expect(Parser.validateContinuedFraction("3.~1").canonical).toBe(false);
+    expect(Parser.validateContinuedFraction("3.~-2~4").reason).toBe("Term -2 is negative");
+    expect(Parser.validateContinuedFraction("3.~0~2").reason).toBe("Term 0 is zero");
+    expect(Parser.validateContinuedFraction("3.~7/2").reason).toBe("Term 7/2 is not an integer");
+    expect(Parser.validateContinuedFraction("0.~{4/1}~{1/3}").reason).toBe("Term {4/1} has a partial numerator other than 1");
+  });
+});
+
 describe("Continued Fractions - Rational Class Integration", () => {
   test("should create Rational from continued fraction array", () => {
     // Test fromContinuedFraction static method
@@ -0,0 +1,52 @@
+import { describe, it, expect } from "bun:test";
+import { Parser, ErrorCode } from "../src/index.js";
+import { Rational, BaseSystem } from "@ratmath/core";
+
+const bounds = (value) => [value.low.toString(), value.high.toString()];
+
+describe("Digit separators", () => {
+  it("should group digits with underscores", () => {
+    expect(Parser.parse("1_000_000 + 1").value).toBe(1000001n);
+    expect(Parser.parse("0b1101_0110_1001").value).toBe(3433n);
+    expect(Parser.parse("0xFF_FF").value).toBe(65535n);
+    expect(Parser.parse("FF_FF", { inputBase: BaseSystem.getSystemForPrefix("x") }).value).toBe(65535n);
+  });
+
+  it("should work in every literal family", () => {
+    expect(Parser.parse("1_234.5_6").equals(new Rational(123456, 100))).toBe(true);
+    expect(Parser.parse("0.#1_2").equals(new Rational(4, 33))).toBe(true);
+    expect(bounds(Parser.parse("1.2[3_4,3_6]"))).toEqual(bounds(Parser.parse("1.2[34,36]")));
+    expect(bounds(Parser.parse("1.2_3[+-0_1]"))).toEqual(bounds(Parser.parse("1.23[+-01]")));
+    expect(Parser.parse("3.~7~1_5").equals(new Rational(333, 106))).toBe(true);
+    expect(Parser.parse("1_000..1/2").equals(new Rational(2001, 2))).toBe(true);
+  });
+
+  it("should leave _^, variables and misplaced separators alone", () => {
+    expect(Parser.parse("1_^3").value).toBe(1000n);
+    expect(Parser.parse("1_0_^2").value).toBe(1000n);
+    expect(Parser.parse("_a1 + 1", { variables: { _a1: Parser.parse("2") } }).value).toBe(3n);
+    expect(() => Parser.parse("1__0")).toThrow();
+    expect(() => Parser.parse("1_")).toThrow();
+  });
+
+  it("should accept an apostrophe or thin space instead", () => {
+    expect(Parser.parse("1'000'000", { digitSeparator: "'" }).value).toBe(1000000n);
+    expect(Parser.parse("1\u2009000", { digitSeparator: "\u2009" }).value).toBe(1000n);
+    expect(() => Parser.parse("1_000", { digitSeparator: false })).toThrow();
+    let error;
+    try {
+      Parser.parse("1,000", { digitSeparator: "," });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).toBe(ErrorCode.INVALID_INPUT);
+  });
+
+  it("should keep the written text and offsets of tokens", () => {
+    const [number, plus] = Parser.tokenize("1_000 + 2");
+    expect(number.value).toBe("1000");
+    expect(number.text).toBe("1_000");
+    expect(number.end).toBe(5);
+    expect(plus.start).toBe(6);
+  });
+});
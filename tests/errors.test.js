@@ -0,0 +1,79 @@
+import { describe, it, expect } from "bun:test";
+import { Parser, ParseError, ErrorCode } from "../src/index.js";
+import { catchError } from "./helpers.js";
+
+describe("ParseError", () => {
+  it("should be an Error with a name and code", () => {
+    const error = catchError(() => Parser.parse("1 + "));
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toBeInstanceOf(ParseError);
+    expect(error.name).toBe("ParseError");
+    expect(error.code).toBe(ErrorCode.UNEXPECTED_END);
+    expect(error.offset).toBe(4);
+  });
+
+  it("should point at the opening parenthesis when it is not closed", () => {
+    const error = catchError(() => Parser.parse("2 * (1 + 2"));
+    expect(error.code).toBe(ErrorCode.UNCLOSED_PAREN);
+    expect(error.offset).toBe(4);
+    expect(error.expected).toEqual([")"]);
+  });
+
+  it("should compute line and column from the offset", () => {
+    const error = catchError(() => Parser.parse("1 +\n2 $ 3"));
+    expect(error.code).toBe(ErrorCode.UNEXPECTED_CHARACTER);
+    expect(error.offset).toBe(6);
+    expect(error.line).toBe(2);
+    expect(error.column).toBe(3);
+  });
+
+  it("should format the offending line with a caret underline", () => {
+    const error = catchError(() => Parser.parse("1 + 2 3/4"));
+    expect(error.code).toBe(ErrorCode.TRAILING_INPUT);
+    expect(error.format()).toBe(
+      "Unexpected token at end: 3/4 (line 1, column 7)\n" +
+        "  1 + 2 3/4\n" +
+        "        ^^^\n" +
+        "  expected: operator, end of input",
+    );
+  });
+
+  it("should locate evaluation errors in the expression", () => {
+    const error = catchError(() => Parser.parse("1 + 0^0"));
+    expect(error.code).toBe(ErrorCode.ZERO_POW_ZERO);
+    expect(error.offset).toBe(4);
+    expect(error.length).toBe(3);
+    expect(error.input).toBe("1 + 0^0");
+  });
+
+  it("should locate the bad term of a continued fraction", () => {
+    const error = catchError(() => Parser.parse("2 * 3.~7~0~15"));
+    expect(error.code).toBe(ErrorCode.BAD_CF_TERM);
+    expect(error.offset).toBe(9);
+    expect(error.column).toBe(10);
+
+    const standalone = catchError(() => Parser.parseContinuedFraction("3.~7~0"));
+    expect(standalone.offset).toBe(5);
+  });
+
+  it("should wrap errors from the number classes", () => {
+    const error = catchError(() => Parser.parse("1 + 1/(2 - 2)"));
+    expect(error).toBeInstanceOf(ParseError);
+    expect(error.message).toContain("Division by zero");
+    expect(error.cause).toBeInstanceOf(Error);
+    expect(error.offset).toBe(4);
+  });
+
+  it("should keep the existing messages", () => {
+    expect(() => Parser.parse("")).toThrow("Expression cannot be empty");
+    expect(() => Parser.parse("1/0")).toThrow("Denominator cannot be zero");
+    expect(() => Parser.parse("[1, 2")).toThrow("Unterminated list literal");
+    expect(() => Parser.parse("1.2#a5")).toThrow("Invalid repeating decimal");
+  });
+
+  it("should format without a position when it is unknown", () => {
+    const error = new ParseError("Something failed", { code: ErrorCode.INVALID_INPUT });
+    expect(error.line).toBe(null);
+    expect(error.format()).toBe("Something failed");
+  });
+});
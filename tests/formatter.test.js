@@ -0,0 +1,125 @@
+import { describe, it, expect } from "bun:test";
+import { Parser, Formatter, Notation, ErrorCode } from "../src/index.js";
+import { Integer, Rational, RationalInterval } from "@ratmath/core";
+
+const same = (a, b) =>
+  a.constructor === b.constructor &&
+  (a instanceof RationalInterval ? a.low.equals(b.low) && a.high.equals(b.high) : a.equals(b));
+
+const roundTrips = (expr, notation) => {
+  const value = Parser.parse(expr);
+  return same(Parser.parse(Parser.format(value, { notation })), value);
+};
+
+describe("Parser.format", () => {
+  it("should write numbers in each exact notation", () => {
+    const value = Parser.parse("-22/7");
+    expect(Parser.format(value)).toBe("-22/7");
+    expect(Parser.format(value, { notation: "decimal" })).toBe("-3.#142857");
+    expect(Parser.format(value, { notation: "mixed" })).toBe("-3..1/7");
+    expect(Parser.format(value, { notation: "continuedFraction" })).toBe("-3.~7");
+    expect(Parser.format(Parser.parse("7/12"), { notation: "decimal" })).toBe("0.58#3");
+    expect(Parser.format(Parser.parse("255/16"), { notation: "base" })).toBe("0xff/10");
+    expect(Parser.format(new Integer(10), { notation: "base", prefix: "b" })).toBe("0b1010");
+  });
+
+  it("should round-trip values and types in every endpoint notation", () => {
+    const values = ["5", "-7", "0", "5/1", "-3/1", "1/3", "-22/7", "-1/6", "255/16", "1:2", "-1/2:3/4", "-22/7:-3", "-5:-1/3"];
+    for (const notation of [Notation.FRACTION, Notation.DECIMAL, Notation.MIXED, Notation.CONTINUED_FRACTION, Notation.BASE]) {
+      for (const expr of values) {
+        expect(roundTrips(expr, notation)).toBe(true);
+      }
+    }
+  });
+
+  it("should keep whole rationals distinct from integers", () => {
+    const value = Parser.parse("5/1");
+    expect(value).toBeInstanceOf(Rational);
+    expect(Parser.format(value, { notation: "decimal" })).toBe("5/1");
+    expect(Parser.format(value, { notation: "mixed" })).toBe("5..0/1");
+    expect(Parser.format(new Integer(5), { notation: "continuedFraction" })).toBe("5.~0");
+  });
+
+  it("should floor continued fraction endpoints", () => {
+    expect(Parser.format(Parser.parse("-22/7:-3"), { notation: "continuedFraction" })).toBe("-4.~1~6:-3.~0");
+  });
+
+  it("should write uncertainty notations", () => {
+    expect(Parser.format(Parser.parse("1.23:1.26"), { notation: "range" })).toBe("1.2[3,6]");
+    expect(Parser.format(Parser.parse("1.224:1.235"), { notation: "relative" })).toBe("1.23[+5,-6]");
+    expect(Parser.format(Parser.parse("1.22:1.24"), { notation: "symmetric" })).toBe("1.23[+-10]");
+    expect(Parser.format(Parser.parse("4.5:5.5"), { notation: "symmetric" })).toBe("5[+-0.5]");
+    for (const expr of ["1.23:1.26", "-1.26:-1.23", "12:18", "0.05:0.15", "1.2:1.25"]) {
+      for (const notation of [Notation.RANGE, Notation.RELATIVE, Notation.SYMMETRIC]) {
+        expect(roundTrips(expr, notation)).toBe(true);
+      }
+    }
+    expect(roundTrips("77.7:93.3", Notation.RELATIVE)).toBe(true);
+  });
+
+  it("should write lists and strings", () => {
+    const value = Parser.parse('[1/2, "a\\"b", [1:2]]');
+    expect(Parser.format(value, { notation: "decimal" })).toBe('[0.5, "a\\"b", [1:2]]');
+  });
+
+  it("should refuse values a notation cannot express exactly", () => {
+    const code = (value, options) => {
+      try {
+        Parser.format(value, options);
+      } catch (error) {
+        return error.code;
+      }
+    };
+    expect(code(Parser.parse("1/3:1/2"), { notation: "range" })).toBe(ErrorCode.UNSUPPORTED);
+    expect(code(Parser.parse("1/2"), { notation: "symmetric" })).toBe(ErrorCode.UNSUPPORTED);
+    expect(code(Parser.parse("-0.5:0.5"), { notation: "range" })).toBe(ErrorCode.UNSUPPORTED);
+    expect(code(Parser.parse("INTERSECT(1:2, 3:4)"))).toBe(ErrorCode.UNSUPPORTED);
+    expect(code(new Integer(1), { notation: "roman" })).toBe(ErrorCode.INVALID_INPUT);
+  });
+});
+
+describe("Shortest notation", () => {
+  const shortest = (expr) => Parser.format(Parser.parse(expr), { notation: "shortest" });
+
+  it("should pick the most compact uncertainty form", () => {
+    expect(shortest("3.14156:3.14162")).toBe("3.141[56,62]");
+    expect(shortest("0.05:0.15")).toBe("0.1[+-5]");
+    expect(shortest("-0.15:-0.05")).toBe("-0.1[+-5]");
+    expect(shortest("1.3[+-0.1#6]")).toBe("1.3[+-0.1#6]");
+  });
+
+  it("should keep low:high when it is shortest or on a tie", () => {
+    expect(shortest("12:18")).toBe("12:18");
+    expect(shortest("1/3:1/2")).toBe("1/3:1/2");
+    expect(shortest("2:2")).toBe("2:2");
+  });
+
+  it("should write repeating offsets", () => {
+    const value = Parser.parse("1.3[+-#3]");
+    expect(Parser.format(value, { notation: "symmetric" })).toBe("1.3[+-#3]");
+    expect(Parser.format(Parser.parse("1.3[+#3,-#6]"), { notation: "relative" })).toBe("1.3[+#3,-#6]");
+  });
+
+  it("should drop a candidate that does not parse back", () => {
+    const candidates = Formatter.candidates;
+    Formatter.candidates = (interval) => ["1[+-x]", ...candidates(interval)];
+    try {
+      expect(shortest("0.05:0.15")).toBe("0.1[+-5]");
+    } finally {
+      Formatter.candidates = candidates;
+    }
+  });
+
+  it("should round-trip every choice", () => {
+    for (const expr of ["3.14156:3.14162", "1.224:1.235", "-1.26:-1.23", "1.3[+-#3]", "1/3:2/3", "99:101"]) {
+      const value = Parser.parse(expr);
+      expect(same(Parser.parse(Parser.format(value, { notation: "shortest" })), value)).toBe(true);
+    }
+  });
+
+  it("should format numbers and lists", () => {
+    expect(shortest("1/100")).toBe("0.01");
+    expect(shortest("1/3")).toBe("1/3");
+    expect(shortest("[1/3, 0.25, 1.22:1.24]")).toBe("[1/3, 1/4, 1.2[2,4]]");
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect } from "bun:test";
+import { Parser, NodeType, ErrorCode } from "../src/index.js";
+import { Integer, Rational, RationalInterval } from "@ratmath/core";
+
+describe("Function calls", () => {
+  it("should call built-in functions", () => {
+    const result = Parser.parse("ABS(-3/4) + 1");
+    expect(result.equals(new Rational(7, 4))).toBe(true);
+  });
+
+  it("should call JavaScript functions from options.functions", () => {
+    const functions = { Half: (x) => x.divide(new Integer(2)) };
+    const result = Parser.parse("Half(3) * 2", { functions });
+    expect(result).toBeInstanceOf(Integer);
+    expect(result.value).toBe(3n);
+  });
+
+  it("should pass mixed argument types", () => {
+    const seen = [];
+    const functions = {
+      Show: (...args) => {
+        seen.push(...args);
+        return new Integer(args.length);
+      },
+    };
+    const result = Parser.parse('Show(2, 1/3, 1:2, "name", [1, 2])', { functions });
+    expect(result.value).toBe(5n);
+    expect(seen[0]).toBeInstanceOf(Integer);
+    expect(seen[1]).toBeInstanceOf(Rational);
+    expect(seen[2]).toBeInstanceOf(RationalInterval);
+    expect(seen[3]).toBe("name");
+    expect(seen[4].type).toBe("sequence");
+    expect(seen[4].values.length).toBe(2);
+  });
+
+  it("should evaluate only the chosen branch of IF", () => {
+    expect(Parser.parse("IF(1 < 2, 10, 1/0)").value).toBe(10n);
+    expect(Parser.parse("IF(0, 1/0, 20)").value).toBe(20n);
+  });
+
+  it("should report unknown functions and wrong argument counts", () => {
+    expect(() => Parser.parse("Nope(1)")).toThrow("Undefined function: Nope");
+    expect(() => Parser.parse("ABS(1, 2)")).toThrow("ABS expects 1 argument, got 2");
+    expect(() => Parser.parse("ABS")).toThrow("Expected ( after function name ABS");
+  });
+});
+
+describe("Function definitions", () => {
+  it("should store definitions in options.functions", () => {
+    const functions = {};
+    const definition = Parser.parse("Sq(x) -> x * x", { functions });
+    expect(definition.type).toBe("function");
+    expect(functions.Sq.params).toEqual(["x"]);
+    expect(Parser.parse("Sq(3/2)", { functions }).equals(new Rational(9, 4))).toBe(true);
+  });
+
+  it("should support several parameters and caller variables", () => {
+    const functions = {};
+    const variables = { _k: new Integer(10) };
+    Parser.parse("Lerp(a, b, t) -> a + (b - a) * t", { functions, variables });
+    const result = Parser.parse("Lerp(0, _k, 1/4)", { functions, variables });
+    expect(result.equals(new Rational(5, 2))).toBe(true);
+  });
+
+  it("should allow recursion", () => {
+    const functions = {};
+    Parser.parse("Fact(n) -> IF(n <= 1, 1, n * Fact(n-1))", { functions });
+    expect(Parser.parse("Fact(10)", { functions }).value).toBe(3628800n);
+
+    Parser.parse("Fib(n) -> IF(n < 2, n, Fib(n - 1) + Fib(n - 2))", { functions });
+    expect(Parser.parse("Fib(15)", { functions }).value).toBe(610n);
+  });
+
+  it("should stop recursion that nests too deep", () => {
+    const functions = {};
+    Parser.parse("Loop(n) -> Loop(n)", { functions });
+    expect(() => Parser.parse("Loop(1)", { functions })).toThrow("Loop nests more than 256 calls deep");
+
+    Parser.parse("Fact(n) -> IF(n, n * Fact(n - 1), 1)", { functions });
+    let error;
+    try {
+      Parser.parse("Fact(10000)", { functions });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).toBe(ErrorCode.TOO_DEEP);
+    expect(Parser.parse("Fact(20)", { functions, maxDepth: 21 }).value).toBe(2432902008176640000n);
+    expect(() => Parser.parse("Fact(20)", { functions, maxDepth: 20 })).toThrow("Fact nests more than 20 calls deep");
+  });
+
+  it("should not leak parameters into the caller's variables", () => {
+    const functions = {};
+    const variables = { x: new Integer(5) };
+    Parser.parse("Id(x) -> x", { functions, variables });
+    expect(Parser.parse("Id(2) + x", { functions, variables }).value).toBe(7n);
+    expect(variables.x.value).toBe(5n);
+  });
+
+  it("should reject invalid parameter lists", () => {
+    expect(() => Parser.parse("F(2) -> 1")).toThrow("Invalid parameter name: 2");
+    expect(() => Parser.parse("F(x, x) -> 1")).toThrow("Duplicate parameter name: x");
+  });
+
+  it("should locate errors inside a definition at the call", () => {
+    const functions = {};
+    Parser.parse("Inv(x) -> 1 / x", { functions });
+    let error;
+    try {
+      Parser.parse("2 + Inv(0)", { functions });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.offset).toBe(4);
+    expect(error.length).toBe(6);
+  });
+});
+
+describe("Function references", () => {
+  it("should evaluate @Func to the function", () => {
+    const functions = {};
+    Parser.parse("Sq(x) -> x * x", { functions });
+    expect(Parser.parse("@Sq", { functions })).toBe(functions.Sq);
+    expect(Parser.parse("@Sq(4)", { functions }).value).toBe(16n);
+    expect(Parser.parseToAst("@ABS").type).toBe(NodeType.FUNCTION_REF);
+  });
+
+  it("should report unknown references", () => {
+    let error;
+    try {
+      Parser.parse("@Missing");
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).toBe(ErrorCode.UNDEFINED_FUNCTION);
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * Shared test helpers
+ */
+
+/**
+ * Runs `fn` and returns the error it throws; fails when it does not throw
+ *
+ * @param {Function} fn - The code expected to throw
+ * @returns {Error} The thrown error
+ */
+export const catchError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected an error");
+};
@@ -0,0 +1,74 @@
+import { describe, it, expect } from "bun:test";
+import { Parser } from "../src/index.js";
+import { Integer, Rational, RationalInterval } from "@ratmath/core";
+
+const strings = (sequence) => sequence.values.map((v) => v.toString());
+
+describe("Higher-order functions", () => {
+  const functions = {};
+  Parser.parse("Sq(x) -> x * x", { functions });
+  Parser.parse("Add(a, b) -> a + b", { functions });
+  Parser.parse("Small(x) -> x < 1", { functions });
+
+  it("should map a function given by name", () => {
+    const result = Parser.parse('MAP("Sq", [1, 1/2, 3])', { functions });
+    expect(result.type).toBe("sequence");
+    expect(strings(result)).toEqual(["1", "1/4", "9"]);
+    expect(result.values[0]).toBeInstanceOf(Integer);
+    expect(result.values[1]).toBeInstanceOf(Rational);
+  });
+
+  it("should accept @Func references and built-ins", () => {
+    expect(strings(Parser.parse("MAP(@Sq, [2, 3])", { functions }))).toEqual(["4", "9"]);
+    expect(strings(Parser.parse('MAP("ABS", [-1/2, 2])'))).toEqual(["1/2", "2"]);
+  });
+
+  it("should keep intervals element by element", () => {
+    const result = Parser.parse("MAP(@Sq, [1:2, 3])", { functions });
+    expect(result.values[0]).toBeInstanceOf(RationalInterval);
+    expect(result.values[1]).toBeInstanceOf(Integer);
+  });
+
+  it("should call JavaScript functions", () => {
+    const js = { Twice: (x) => x.multiply(new Integer(2)) };
+    expect(strings(Parser.parse('MAP("Twice", [1/3])', { functions: js }))).toEqual(["2/3"]);
+  });
+
+  it("should filter with a predicate", () => {
+    const result = Parser.parse('FILTER("Small", [1/2, 2, 0, 1])', { functions });
+    expect(strings(result)).toEqual(["1/2", "0"]);
+  });
+
+  it("should reduce with and without an initial value", () => {
+    expect(Parser.parse('REDUCE("Add", [1/2, 1/3, 1/6])', { functions }).value).toBe(1n);
+    expect(Parser.parse('REDUCE("Add", [], 5)', { functions }).value).toBe(5n);
+    expect(() => Parser.parse('REDUCE("Add", [])', { functions })).toThrow(
+      "REDUCE of an empty list needs an initial value",
+    );
+  });
+
+  it("should zip lists to the shortest length", () => {
+    const result = Parser.parse("ZIP([1, 2, 3], [4, 5])");
+    expect(result.values.length).toBe(2);
+    expect(strings(result.values[1])).toEqual(["2", "5"]);
+  });
+
+  it("should build ranges and measure lengths", () => {
+    expect(strings(Parser.parse("RANGE(1, 2, 1/3)"))).toEqual(["1", "4/3", "5/3", "2"]);
+    expect(strings(Parser.parse("RANGE(3, 1, -1)"))).toEqual(["3", "2", "1"]);
+    expect(Parser.parse("LEN(RANGE(1, 10))").value).toBe(10n);
+    expect(Parser.parse('LEN("abc")').value).toBe(3n);
+  });
+
+  it("should compose", () => {
+    const result = Parser.parse('REDUCE("Add", MAP(@Sq, RANGE(1, 4)))', { functions });
+    expect(result.value).toBe(30n);
+  });
+
+  it("should report bad arguments", () => {
+    expect(() => Parser.parse("MAP(1, [1])")).toThrow("MAP expects a function name or @Func reference");
+    expect(() => Parser.parse('MAP("ABS", 1)')).toThrow("MAP expects a list as argument 2");
+    expect(() => Parser.parse('MAP("Nope", [1])')).toThrow("Undefined function: Nope");
+    expect(() => Parser.parse("RANGE(1)")).toThrow("RANGE expects 2 or 3 arguments, got 1");
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from "bun:test";
+import { Parser, ErrorCode } from "../src/index.js";
+import { Rational, RationalInterval } from "@ratmath/core";
+
+const isIndeterminate = (value) =>
+  value instanceof RationalInterval && value.low.equals(new Rational(0)) && value.high.equals(new Rational(1));
+
+describe("Interval comparisons", () => {
+  it("should be 1 when every point satisfies the comparison", () => {
+    expect(Parser.parse("1:2 < 3:4").value).toBe(1n);
+    expect(Parser.parse("1:2 <= 2:3").value).toBe(1n);
+    expect(Parser.parse("5 > 1:4").value).toBe(1n);
+    expect(Parser.parse("2:3 >= 1:2").value).toBe(1n);
+  });
+
+  it("should be 0 when no point satisfies the comparison", () => {
+    expect(Parser.parse("3:4 < 1:2").value).toBe(0n);
+    expect(Parser.parse("2:3 < 1:2").value).toBe(0n);
+    expect(Parser.parse("1:2 > 2:3").value).toBe(0n);
+  });
+
+  it("should be indeterminate for overlapping intervals", () => {
+    expect(isIndeterminate(Parser.parse("1:3 < 2:4"))).toBe(true);
+    expect(isIndeterminate(Parser.parse("2 <= 1:3"))).toBe(true);
+    expect(isIndeterminate(Parser.parse("1.5[+-0.1] > 1.5"))).toBe(true);
+  });
+
+  it("should throw for indeterminate comparisons when configured", () => {
+    let error;
+    try {
+      Parser.parse("1:3 < 2:4", { indeterminate: "error" });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).toBe(ErrorCode.INDETERMINATE);
+    expect(Parser.parse("1:2 < 3:4", { indeterminate: "error" }).value).toBe(1n);
+  });
+
+  it("should keep exact comparisons of numbers unchanged", () => {
+    expect(Parser.parse("1/3 < 1/2").value).toBe(1n);
+    expect(Parser.parse("5 <= 5").value).toBe(1n);
+    expect(Parser.parse("1:2 == 1:2").value).toBe(1n);
+    expect(Parser.parse("1:2 != 1:3").value).toBe(1n);
+  });
+
+  it("should combine indeterminate results with three-valued logic", () => {
+    expect(Parser.parse("1:3 < 2:4 && 0").value).toBe(0n);
+    expect(Parser.parse("1:3 < 2:4 || 1").value).toBe(1n);
+    expect(isIndeterminate(Parser.parse("1:3 < 2:4 && 1"))).toBe(true);
+  });
+
+  it("should provide POSSIBLY and CERTAINLY", () => {
+    expect(Parser.parse("POSSIBLY(1:3 < 2:4)").value).toBe(1n);
+    expect(Parser.parse("CERTAINLY(1:3 < 2:4)").value).toBe(0n);
+    expect(Parser.parse("CERTAINLY(1:2 < 3:4)").value).toBe(1n);
+    expect(Parser.parse("POSSIBLY(3:4 < 1:2)").value).toBe(0n);
+    expect(Parser.parse("POSSIBLY(1:3 < 2:4)", { indeterminate: "error" }).value).toBe(1n);
+  });
+
+  it("should refuse to branch on an indeterminate condition", () => {
+    expect(() => Parser.parse("IF(1:3 < 2:4, 1, 2)")).toThrow("Condition is indeterminate");
+    expect(Parser.parse("IF(POSSIBLY(1:3 < 2:4), 1, 2)").value).toBe(1n);
+  });
+});
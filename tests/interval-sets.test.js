@@ -0,0 +1,73 @@
+import { describe, it, expect } from "bun:test";
+import { Parser, NodeType, ErrorCode } from "../src/index.js";
+import { Integer, Rational, RationalInterval } from "@ratmath/core";
+
+const interval = (value) => [value.low.toString(), value.high.toString()];
+
+describe("Interval set operations", () => {
+  it("should intersect intervals", () => {
+    expect(interval(Parser.parse("INTERSECT(1:3, 2:4)"))).toEqual(["2", "3"]);
+    expect(interval(Parser.parse("INTERSECT(0:10, 1:9, 2:5)"))).toEqual(["2", "5"]);
+  });
+
+  it("should give an explicit empty result for disjoint intervals", () => {
+    const empty = Parser.parse("INTERSECT(1:2, 3:4)");
+    expect(empty.type).toBe("empty");
+    expect(Parser.parse("ISEMPTY(INTERSECT(1:2, 3:4))").value).toBe(1n);
+    expect(Parser.parse("ISEMPTY(INTERSECT(1:2, 2:4))").value).toBe(0n);
+    expect(() => Parser.parse("INTERSECT(1:2, 3:4) + 1")).toThrow("Cannot apply + to an empty interval");
+  });
+
+  it("should promote a single-point intersection", () => {
+    const point = Parser.parse("INTERSECT(1:2, 2:3)");
+    expect(point).toBeInstanceOf(Integer);
+    expect(point.value).toBe(2n);
+  });
+
+  it("should build the hull of intervals and numbers", () => {
+    expect(interval(Parser.parse("HULL(1:2, 5:6)"))).toEqual(["1", "6"]);
+    expect(interval(Parser.parse("HULL(3, 1/2, 2)"))).toEqual(["1/2", "3"]);
+    expect(interval(Parser.parse("HULL(INTERSECT(1:2, 3:4), 5:6)"))).toEqual(["5", "6"]);
+  });
+
+  it("should test membership with IN", () => {
+    expect(Parser.parse("2 IN 1:3").value).toBe(1n);
+    expect(Parser.parse("4 IN 1:3").value).toBe(0n);
+    expect(Parser.parse("3/2:2 IN 1:3").value).toBe(1n);
+    const partial = Parser.parse("2:4 IN 1:3");
+    expect(partial).toBeInstanceOf(RationalInterval);
+    expect(Parser.parse("POSSIBLY(2:4 IN 1:3)").value).toBe(1n);
+    expect(Parser.parseToAst("x IN 1:3").operator).toBe("IN");
+    expect(Parser.parseToAst("x IN 1:3").type).toBe(NodeType.COMPARISON);
+  });
+
+  it("should test subsets", () => {
+    expect(Parser.parse("SUBSET(2:3, 1:4)").value).toBe(1n);
+    expect(Parser.parse("SUBSET(2:5, 1:4)").value).toBe(0n);
+    expect(Parser.parse("SUBSET(INTERSECT(1:2, 3:4), 1:4)").value).toBe(1n);
+  });
+
+  it("should measure width, midpoint and radius", () => {
+    expect(Parser.parse("WIDTH(1:5/2)").equals(new Rational(3, 2))).toBe(true);
+    expect(Parser.parse("MID(1:2)").equals(new Rational(3, 2))).toBe(true);
+    expect(Parser.parse("RADIUS(1:2)").equals(new Rational(1, 2))).toBe(true);
+    expect(Parser.parse("WIDTH(7)").value).toBe(0n);
+  });
+
+  it("should work on every interval notation", () => {
+    expect(Parser.parse("MID(1.5[+-0.1])").equals(new Rational(3, 2))).toBe(true);
+    expect(interval(Parser.parse("INTERSECT(0.#3:0.5#0, 0.4:1)"))).toEqual(["2/5", "1/2"]);
+    expect(Parser.parse("1/2 IN (1/2:1)**2").value).toBe(1n);
+  });
+
+  it("should reject non-numeric arguments", () => {
+    let error;
+    try {
+      Parser.parse('WIDTH("a")');
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).toBe(ErrorCode.BAD_ARGUMENTS);
+    expect(() => Parser.parse("INTERSECT()")).toThrow("INTERSECT expects at least 1 argument, got 0");
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from "bun:test";
+import { Parser, NodeType, ErrorCode } from "../src/index.js";
+import { Integer, Rational, RationalInterval } from "@ratmath/core";
+import { catchError } from "./helpers.js";
+
+describe("SUM, PROD and SEQ", () => {
+  it("should sum exactly", () => {
+    expect(Parser.parse("SUM[i](i, 1, 100)").value).toBe(5050n);
+    const harmonic = Parser.parse("SUM[k](1/k, 1, 10)");
+    expect(harmonic).toBeInstanceOf(Rational);
+    expect(harmonic.equals(new Rational(7381, 2520))).toBe(true);
+  });
+
+  it("should compute partial sums of series", () => {
+    const result = Parser.parse("SUM[n](1/2^n, 1, 20)");
+    expect(result.equals(new Rational(1048575, 1048576))).toBe(true);
+  });
+
+  it("should multiply exactly", () => {
+    expect(Parser.parse("PROD[i](i, 1, 10)").value).toBe(3628800n);
+    expect(Parser.parse("PROD[i](1 - 1/i^2, 2, 5)").equals(new Rational(3, 5))).toBe(true);
+  });
+
+  it("should generate sequences with rational steps", () => {
+    const result = Parser.parse("SEQ[x](x^2, 0, 1, 1/4)");
+    expect(result.type).toBe("sequence");
+    expect(result.values.map((v) => v.toString())).toEqual(["0", "1/16", "1/4", "9/16", "1"]);
+    expect(result.values[0]).toBeInstanceOf(Integer);
+  });
+
+  it("should count down with a negative step", () => {
+    const result = Parser.parse("SEQ[i](i, 3, 1, -1)");
+    expect(result.values.map((v) => v.value)).toEqual([3n, 2n, 1n]);
+  });
+
+  it("should give the identity for empty ranges", () => {
+    expect(Parser.parse("SUM[i](i, 5, 1)").value).toBe(0n);
+    expect(Parser.parse("PROD[i](i, 5, 1)").value).toBe(1n);
+    expect(Parser.parse("SEQ[i](i, 5, 1, 1)").values).toEqual([]);
+  });
+
+  it("should accumulate interval-valued bodies", () => {
+    const result = Parser.parse("SUM[i](i * (1:2), 1, 3)");
+    expect(result).toBeInstanceOf(RationalInterval);
+    expect(result.low.equals(new Rational(6))).toBe(true);
+    expect(result.high.equals(new Rational(12))).toBe(true);
+  });
+
+  it("should accumulate sequence-valued bodies element by element", () => {
+    const sums = Parser.parse("SUM[i]([i, i^2], 1, 3)");
+    expect(sums.values.map((v) => v.value)).toEqual([6n, 14n]);
+    const products = Parser.parse("PROD[i]([i, 2], 1, 4)");
+    expect(products.values.map((v) => v.value)).toEqual([24n, 16n]);
+  });
+
+  it("should cap the number of iterations", () => {
+    expect(catchError(() => Parser.parse("SUM[i](i, 1, 10^9)")).code).toBe(ErrorCode.TOO_MANY_ITERATIONS);
+    expect(catchError(() => Parser.parse("RANGE(1, 10^9)")).code).toBe(ErrorCode.TOO_MANY_ITERATIONS);
+    expect(Parser.parse("SEQ[i](i, 1, 5)", { maxIterations: 5 }).values.length).toBe(5);
+    expect(() => Parser.parse("SEQ[i](i, 1, 6)", { maxIterations: 5 })).toThrow("SEQ would run more than 5 iterations");
+  });
+
+  it("should see the caller's variables and functions", () => {
+    const functions = {};
+    const variables = { _c: new Integer(2) };
+    Parser.parse("Sq(x) -> x * x", { functions });
+    expect(Parser.parse("SUM[i](_c * Sq(i), 1, 3)", { functions, variables }).value).toBe(28n);
+    expect(Object.hasOwn(variables, "i")).toBe(false);
+  });
+
+  it("should nest", () => {
+    expect(Parser.parse("SUM[i](SUM[j](i * j, 1, i), 1, 3)").value).toBe(25n);
+  });
+
+  it("should build iteration nodes", () => {
+    const ast = Parser.parseToAst("SEQ[i](i, 1, 2, 1/2)");
+    expect(ast.type).toBe(NodeType.ITERATION);
+    expect(ast.name).toBe("SEQ");
+    expect(ast.index).toBe("i");
+    expect(ast.step.notation).toBe("1/2");
+    expect(Parser.parseToAst("SUM[i](i, 1, 2)").step).toBe(null);
+  });
+
+  it("should reject bad bounds and forms", () => {
+    expect(() => Parser.parse("SUM[i](i, 1, 3, 0)")).toThrow("SUM step cannot be zero");
+    expect(() => Parser.parse("SUM[i](i, 1:2, 3)")).toThrow("SUM bounds and step must be exact numbers");
+    expect(() => Parser.parse("SUM[i](i, 1)")).toThrow("SUM expects (expr, lo, hi) or (expr, lo, hi, step)");
+    expect(() => Parser.parse("SUM[2](1, 1, 2)")).toThrow("Invalid index variable: 2");
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect, afterAll } from "bun:test";
+import { BaseParser, CustomBaseSystem, Parser, ErrorCode, parseRepeatingDecimal } from "../src/index.js";
+import { BaseSystem, Integer, Rational } from "@ratmath/core";
+import { catchError } from "./helpers.js";
+
+describe("Definitions with digits of several characters", () => {
+  it("should expand zero-padded numeric ranges", () => {
+    const sexagesimal = BaseParser.createSystem("{00-59}", "Babylonian");
+    expect(sexagesimal).toBeInstanceOf(CustomBaseSystem);
+    expect(sexagesimal.base).toBe(60);
+    expect(sexagesimal.characters.slice(0, 3)).toEqual(["00", "01", "02"]);
+    expect(sexagesimal.characters[59]).toBe("59");
+  });
+
+  it("should read comma-separated lists next to single characters", () => {
+    expect(BaseParser.parseDefinition("{ab,cd}0-2")).toEqual(["ab", "cd", "0", "1", "2"]);
+    expect(BaseParser.parseDefinition("{𒁹,𒈫,𒐈}")).toEqual(["𒁹", "𒈫", "𒐈"]);
+  });
+
+  it("should convert integers both ways", () => {
+    const sexagesimal = BaseParser.createSystem("{00-59}");
+    expect(sexagesimal.toDecimal("013000")).toBe(5400n);
+    expect(sexagesimal.fromDecimal(5400n)).toBe("013000");
+    expect(sexagesimal.fromDecimal(-61n)).toBe("-0101");
+    expect(sexagesimal.isValidString("0160")).toBe(false);
+  });
+
+  it("should reject definitions that cannot be split unambiguously", () => {
+    expect(catchError(() => BaseParser.parseDefinition("{0-59}")).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+    expect(catchError(() => BaseParser.parseDefinition("{59-00}")).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+    expect(catchError(() => BaseParser.parseDefinition("{00-59")).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+    expect(catchError(() => BaseParser.parseDefinition("{I,II}")).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+    expect(catchError(() => BaseParser.parseDefinition("0-9{10-15}")).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+    expect(catchError(() => BaseParser.parseDefinition("{1.0,2.0}")).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+  });
+});
+
+describe("Parsing with digits of several characters", () => {
+  const sexagesimal = BaseParser.createSystem("{00-59}", "Babylonian");
+  const options = { inputBase: sexagesimal, typeAware: true };
+
+  afterAll(() => {
+    BaseSystem.unregisterPrefix("s");
+  });
+
+  it("should parse integers, radix points and fractions", () => {
+    expect(Parser.parse("0130", options)).toEqual(new Integer(90));
+    expect(Parser.parse("01_30_00", options)).toEqual(new Integer(5400));
+    expect(Parser.parse("01.30", options).equals(new Rational(3, 2))).toBe(true);
+    expect(Parser.parse("01/02", options).equals(new Rational(1, 2))).toBe(true);
+    expect(Parser.parse("01..01/02", options).equals(new Rational(3, 2))).toBe(true);
+    expect(Parser.parse("0130 + 00.30", options).equals(new Rational(181, 2))).toBe(true);
+  });
+
+  it("should parse repeating digits and exponents", () => {
+    expect(Parser.parse("00.#20", options).equals(new Rational(20, 59))).toBe(true);
+    expect(parseRepeatingDecimal("00.#20", sexagesimal).equals(new Rational(20, 59))).toBe(true);
+    expect(Parser.parse("0130_^01", options)).toEqual(new Integer(5400));
+  });
+
+  it("should reject digits outside the system", () => {
+    expect(catchError(() => Parser.parse("0160", options)).code).toBe(ErrorCode.BAD_NUMBER);
+    expect(catchError(() => parseRepeatingDecimal("00.1", sexagesimal)).code).toBe(ErrorCode.BAD_DIGIT);
+    expect(catchError(() => parseRepeatingDecimal("0.01", sexagesimal)).code).toBe(ErrorCode.BAD_DIGIT);
+  });
+
+  it("should reject malformed repeating expansions", () => {
+    expect(() => Parser.parse("1.2.3#4")).toThrow();
+    expect(() => Parser.parse("#3")).toThrow();
+    expect(() => Parser.parse("01.02.03#04", options)).toThrow();
+    expect(() => Parser.parse("#03", options)).toThrow();
+  });
+
+  it("should parse prefixed literals", () => {
+    BaseSystem.registerPrefix("s", sexagesimal);
+    expect(Parser.parse("0s0130")).toEqual(new Integer(90));
+    expect(Parser.parse("0s00.30 + 1").equals(new Rational(3, 2))).toBe(true);
+  });
+});
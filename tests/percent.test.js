@@ -0,0 +1,49 @@
+import { describe, it, expect } from "bun:test";
+import { Parser, NodeType, ErrorCode } from "../src/index.js";
+import { Rational, RationalInterval } from "@ratmath/core";
+
+const interval = (value) => [value.low.toString(), value.high.toString()];
+
+describe("Relative units", () => {
+  it("should scale exactly by %, ‰, ppm and ppb", () => {
+    expect(Parser.parse("5%").equals(new Rational(1, 20))).toBe(true);
+    expect(Parser.parse("5‰").equals(new Rational(1, 200))).toBe(true);
+    expect(Parser.parse("250ppm").equals(new Rational(1, 4000))).toBe(true);
+    expect(Parser.parse("3 ppb").equals(new Rational(3, 1000000000))).toBe(true);
+    expect(Parser.parse("1.5%").equals(new Rational(3, 200))).toBe(true);
+  });
+
+  it("should bind like a postfix operator", () => {
+    expect(Parser.parse("200 * 15%").value).toBe(30n);
+    expect(Parser.parse("5%^2").equals(new Rational(1, 400))).toBe(true);
+    expect(interval(Parser.parse("(1:2)%"))).toEqual(["1/100", "1/50"]);
+    const ast = Parser.parseToAst("x%");
+    expect(ast.type).toBe(NodeType.PERCENT);
+    expect(ast.operator).toBe("%");
+    expect(ast.end).toBe(2);
+  });
+
+  it("should build relative uncertainty intervals", () => {
+    const value = Parser.parse("100[+-2%]");
+    expect(value).toBeInstanceOf(RationalInterval);
+    expect(interval(value)).toEqual(["98", "102"]);
+    expect(interval(Parser.parse("-100[+-2%]"))).toEqual(["-102", "-98"]);
+    expect(interval(Parser.parse("1.5[+-10%]"))).toEqual(["27/20", "33/20"]);
+    expect(interval(Parser.parse("100[+-2%]E3"))).toEqual(["98000", "102000"]);
+    expect(interval(Parser.parse("2[+-500ppm]"))).toEqual(["1999/1000", "2001/1000"]);
+  });
+
+  it("should read ± with a relative unit", () => {
+    expect(interval(Parser.parse("100 ± 2%"))).toEqual(["98", "102"]);
+  });
+
+  it("should reject a unit without an amount", () => {
+    let error;
+    try {
+      Parser.parse("100[+-%]");
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).toBe(ErrorCode.BAD_UNCERTAINTY);
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, expect, it, test } from "bun:test";
-import { parseRepeatingDecimal } from "../src/index.js";
-import { Rational, RationalInterval } from "@ratmath/core";
+import { Parser, BaseParser, parseRepeatingDecimal } from "../src/index.js";
+import { Rational, RationalInterval, BaseSystem } from "@ratmath/core";
 
 describe("parseRepeatingDecimal", () => {
   describe("basic repeating decimals", () => {
@@ -465,4 +465,65 @@ describe("parseRepeatingDecimal", () => {
       });
     });
   });
+
+  describe("other bases", () => {
+    const binary = BaseSystem.getSystemForPrefix("b");
+    const hex = BaseSystem.getSystemForPrefix("x");
+
+    it("parses expansions in a given base", () => {
+      expect(parseRepeatingDecimal("0.#5", hex).equals(new Rational(1, 3))).toBe(true);
+      expect(parseRepeatingDecimal("0.0#011", binary).equals(new Rational(3, 14))).toBe(true);
+      expect(parseRepeatingDecimal("-1.#A", hex).equals(new Rational(-5, 3))).toBe(true);
+      expect(parseRepeatingDecimal("0.#a", hex).equals(new Rational(2, 3))).toBe(true);
+    });
+
+    it("honours registered prefixes", () => {
+      expect(parseRepeatingDecimal("0x0.#5").equals(new Rational(1, 3))).toBe(true);
+      expect(Parser.parse("0x0.#5").equals(new Rational(1, 3))).toBe(true);
+      expect(Parser.parse("-0b0.0#011").equals(new Rational(-3, 14))).toBe(true);
+      expect(Parser.parse("0x0.#5 + 1").equals(new Rational(4, 3))).toBe(true);
+    });
+
+    it("honours the input base", () => {
+      expect(Parser.parse("0.0#011", { inputBase: binary }).equals(new Rational(3, 14))).toBe(true);
+      expect(Parser.parse("1.#3", { inputBase: hex }).equals(new Rational(6, 5))).toBe(true);
+    });
+
+    it("parses repeating intervals", () => {
+      const result = Parser.parse("0.#A:0.B", { inputBase: hex });
+      expect(result).toBeInstanceOf(RationalInterval);
+      expect(result.low.equals(new Rational(2, 3))).toBe(true);
+      expect(result.high.equals(new Rational(11, 16))).toBe(true);
+      const prefixed = Parser.parse("0x0.#5:0x0.8");
+      expect(prefixed.high.equals(new Rational(1, 2))).toBe(true);
+    });
+
+    it("scales # offsets by the base of the value", () => {
+      // 0x1.2 is 9/8; #5 is 0x0.#5 = 1/3 of the last hex place
+      const result = Parser.parse("0x1.2[+-#5]");
+      expect(result.low.equals(new Rational(53, 48))).toBe(true);
+      expect(result.high.equals(new Rational(55, 48))).toBe(true);
+      const binaryResult = Parser.parse("1.1[+-#1]", { inputBase: binary });
+      expect(binaryResult.low.equals(new Rational(1))).toBe(true);
+    });
+
+    it("treats any base with the digits 0-9 as decimal", () => {
+      const decimal = BaseParser.createSystem("0-9");
+      const result = parseRepeatingDecimal("1.5", decimal);
+      expect(result).toBeInstanceOf(RationalInterval);
+      expect(result.low.equals(new Rational(29, 20))).toBe(true);
+      expect(result.high.equals(new Rational(31, 20))).toBe(true);
+    });
+
+    it("reads a leading - as a digit when the base defines it", () => {
+      const symbols = BaseParser.createSystem("-0+@-1");
+      // -+ is -3 + 1 in balanced ternary
+      expect(parseRepeatingDecimal("-+.#0", symbols).equals(new Rational(-2))).toBe(true);
+      expect(parseRepeatingDecimal("-+", symbols).equals(new Rational(-2))).toBe(true);
+    });
+
+    it("rejects digits outside the base", () => {
+      expect(() => parseRepeatingDecimal("0.#2", binary)).toThrow("Repeating part must contain only digits of");
+    });
+  });
 });
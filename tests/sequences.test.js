@@ -0,0 +1,91 @@
+import { describe, it, expect } from "bun:test";
+import { Parser, NodeType, ErrorCode } from "../src/index.js";
+import { Integer, Rational, RationalInterval } from "@ratmath/core";
+
+const strings = (sequence) => sequence.values.map((v) => v.toString());
+
+describe("Sequence arithmetic", () => {
+  it("should pair elements of two lists", () => {
+    expect(strings(Parser.parse("[1, 2, 3] + [1/2, 1/3, 1/4]"))).toEqual(["3/2", "7/3", "13/4"]);
+    expect(strings(Parser.parse("[1, 2] * [3, 4]"))).toEqual(["3", "8"]);
+  });
+
+  it("should broadcast scalars over lists", () => {
+    expect(strings(Parser.parse("2 * [1, 1/2]"))).toEqual(["2", "1"]);
+    expect(strings(Parser.parse("[1, 2] / 4"))).toEqual(["1/4", "1/2"]);
+    expect(strings(Parser.parse("1 - [1, 2]"))).toEqual(["0", "-1"]);
+    expect(strings(Parser.parse("-[1, -1/2]"))).toEqual(["-1", "1/2"]);
+  });
+
+  it("should broadcast intervals", () => {
+    const result = Parser.parse("[1, 2] * (1:2)");
+    expect(result.values[0]).toBeInstanceOf(RationalInterval);
+    expect(result.values[1].high.equals(new Rational(4))).toBe(true);
+  });
+
+  it("should keep exact element types", () => {
+    const result = Parser.parse("[1/2, 1/2] + [1/2, 1/4]");
+    expect(result.values[0]).toBeInstanceOf(Integer);
+    expect(result.values[1]).toBeInstanceOf(Rational);
+  });
+
+  it("should broadcast over nested lists", () => {
+    const result = Parser.parse("[[1, 2], [3]] * 2");
+    expect(strings(result.values[0])).toEqual(["2", "4"]);
+    expect(strings(result.values[1])).toEqual(["6"]);
+  });
+
+  it("should reject lists of different lengths", () => {
+    expect(() => Parser.parse("[1, 2] + [1]")).toThrow("Cannot apply + to lists of lengths 2 and 1");
+  });
+});
+
+describe("Indexing and slicing", () => {
+  const variables = { l: Parser.parse("[10, 20, 30, 40]") };
+
+  it("should index from 1 and from the end", () => {
+    expect(Parser.parse("l[2]", { variables }).value).toBe(20n);
+    expect(Parser.parse("l[-1]", { variables }).value).toBe(40n);
+    expect(Parser.parse("[1/2, 1/3][1 + 1]").equals(new Rational(1, 3))).toBe(true);
+  });
+
+  it("should slice inclusively", () => {
+    expect(strings(Parser.parse("l[1:3]", { variables }))).toEqual(["10", "20", "30"]);
+    expect(strings(Parser.parse("l[3:]", { variables }))).toEqual(["30", "40"]);
+    expect(strings(Parser.parse("l[:2]", { variables }))).toEqual(["10", "20"]);
+  });
+
+  it("should accept expressions as slice bounds", () => {
+    const scope = { ...variables, n: new Integer(2) };
+    expect(strings(Parser.parse("l[n:n+1]", { variables: scope }))).toEqual(["20", "30"]);
+    expect(strings(Parser.parse("l[-2:-1]", { variables: scope }))).toEqual(["30", "40"]);
+  });
+
+  it("should index results of calls and chain", () => {
+    expect(Parser.parse("RANGE(1, 10)[4]").value).toBe(4n);
+    expect(Parser.parse("[[1, 2], [3, 4]][2][1]").value).toBe(3n);
+    expect(Parser.parse("l[2]^2 + 1", { variables }).value).toBe(401n);
+  });
+
+  it("should keep uncertainty notation after numbers", () => {
+    const ast = Parser.parseToAst("1.2[3,6]");
+    expect(ast.type).toBe(NodeType.LITERAL);
+    expect(ast.kind).toBe("uncertainty");
+    expect(Parser.parseToAst("l[1:2]").type).toBe(NodeType.SLICE);
+    expect(Parser.parseToAst("l[1]").type).toBe(NodeType.INDEX);
+  });
+
+  it("should report bad indexes", () => {
+    const code = (expr) => {
+      try {
+        Parser.parse(expr, { variables });
+      } catch (error) {
+        return error.code;
+      }
+    };
+    expect(() => Parser.parse("l[5]", { variables })).toThrow("Index 5 is out of range for a list of length 4");
+    expect(() => Parser.parse("l[0]", { variables })).toThrow("Index 0 is out of range");
+    expect(() => Parser.parse("l[1/2]", { variables })).toThrow("Index must be an integer");
+    expect(code("(1 + 2)[1]")).toBe(ErrorCode.BAD_INDEX);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from "bun:test";
+import { Parser, TokenType, ErrorCode } from "../src/index.js";
+import { Integer, Rational, RationalInterval } from "@ratmath/core";
+import { catchError } from "./helpers.js";
+
+const interval = (value) => [value.low.toString(), value.high.toString()];
+
+describe("Degree and time literals", () => {
+  it("should read degrees, minutes and seconds exactly", () => {
+    const angle = new Rational(150989, 12000);
+    expect(Parser.parse(`12°34'56.7"`).equals(angle)).toBe(true);
+    expect(Parser.parse("12° 34′ 56.7″").equals(angle)).toBe(true);
+    expect(Parser.parse("12d34m56.7s").equals(angle)).toBe(true);
+    expect(Parser.parse("12°30'").equals(new Rational(25, 2))).toBe(true);
+    expect(Parser.parse("90°")).toBeInstanceOf(Integer);
+  });
+
+  it("should read hours, minutes and seconds as seconds", () => {
+    expect(Parser.parse("1h23m45.6s").equals(new Rational(25128, 5))).toBe(true);
+    expect(Parser.parse("2h").value).toBe(7200n);
+    expect(Parser.parse("1:23:45.6", { hms: true }).equals(new Rational(25128, 5))).toBe(true);
+  });
+
+  it("should keep intervals unless hms mode is on", () => {
+    expect(interval(Parser.parse("1:23", { hms: true }))).toEqual(["1", "23"]);
+    expect(() => Parser.parse("1:23:45.6")).toThrow();
+    expect(interval(Parser.parse("1:00:00:2:00:00", { hms: true }))).toEqual(["3600", "7200"]);
+    expect(interval(Parser.parse("12°:13°30'"))).toEqual(["12", "27/2"]);
+  });
+
+  it("should take uncertainty on the last component", () => {
+    const value = Parser.parse(`12°34'56.7[+-0.2]"`);
+    expect(value).toBeInstanceOf(RationalInterval);
+    const seconds = Parser.parse("56.7[+-0.2]");
+    const offset = new Rational(12).add(new Rational(34, 60));
+    expect(value.low.equals(seconds.low.divide(new Rational(3600)).add(offset))).toBe(true);
+    expect(value.high.equals(seconds.high.divide(new Rational(3600)).add(offset))).toBe(true);
+    expect(Parser.parse("1:23:45.6[+-0.2]", { hms: true })).toBeInstanceOf(RationalInterval);
+  });
+
+  it("should combine with other input", () => {
+    expect(Parser.parse(`12°34'56" × 2`).equals(new Rational(5662, 225))).toBe(true);
+    expect(Parser.parse(`12°34'56"`, { digitSeparator: "'" }).equals(new Rational(2831, 225))).toBe(true);
+    expect(Parser.parse("-12°30'").equals(new Rational(-25, 2))).toBe(true);
+    expect(Parser.tokenize("12d34m + 1")[0].type).toBe(TokenType.SEXAGESIMAL);
+  });
+
+  it("should not read minutes as an SI prefix", () => {
+    const si = { siSuffixes: true };
+    expect(Parser.parse("1h30m", si)).toEqual(new Integer(5400));
+    expect(Parser.parse("12d34m", si).equals(new Rational(377, 30))).toBe(true);
+    expect(Parser.parse("1h30m:2h", si)).toBeInstanceOf(RationalInterval);
+  });
+
+  it("should reject malformed components", () => {
+    expect(catchError(() => Parser.parse("12d75m")).code).toBe(ErrorCode.BAD_SEXAGESIMAL);
+    expect(catchError(() => Parser.parse("12.5d30m")).code).toBe(ErrorCode.BAD_SEXAGESIMAL);
+    expect(catchError(() => Parser.parse(`12°5"3'`)).code).toBe(ErrorCode.BAD_SEXAGESIMAL);
+    expect(() => Parser.parse("3days")).toThrow();
+  });
+});
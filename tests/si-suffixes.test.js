@@ -0,0 +1,49 @@
+import { describe, it, expect } from "bun:test";
+import { Parser, TokenType } from "../src/index.js";
+import { Integer, Rational, RationalInterval, BaseSystem } from "@ratmath/core";
+
+const si = { siSuffixes: true };
+const interval = (value) => [value.low.toString(), value.high.toString()];
+
+describe("SI suffixes", () => {
+  it("should scale by exact powers of ten", () => {
+    expect(Parser.parse("4.7k", si).value).toBe(4700n);
+    expect(Parser.parse("3.3M", si).value).toBe(3300000n);
+    expect(Parser.parse("220n", si).equals(new Rational(220, 1000000000))).toBe(true);
+    for (const micro of ["10u", "10µ", "10μ"]) {
+      expect(Parser.parse(micro, si).equals(new Rational(1, 100000))).toBe(true);
+    }
+    expect(Parser.parse("5Y", si).value).toBe(5n * 10n ** 24n);
+    expect(Parser.parse("-4.7k", si)).toBeInstanceOf(Integer);
+  });
+
+  it("should only apply when enabled", () => {
+    expect(() => Parser.parse("4.7k")).toThrow();
+    expect(Parser.tokenize("4.7k", si)).toHaveLength(1);
+  });
+
+  it("should keep E notation and names apart", () => {
+    expect(Parser.parse("2E3", si).value).toBe(2000n);
+    expect(Parser.parse("2E-3", si).equals(new Rational(1, 500))).toBe(true);
+    expect(Parser.parse("2E", si).value).toBe(2n * 10n ** 18n);
+    expect(() => Parser.parse("2km", si)).toThrow();
+    expect(Parser.parse("1m + 1", si).equals(new Rational(1001, 1000))).toBe(true);
+  });
+
+  it("should combine with uncertainty and intervals", () => {
+    const tolerance = Parser.parse("4.7k[+-5%]", si);
+    expect(tolerance).toBeInstanceOf(RationalInterval);
+    expect(interval(tolerance)).toEqual(["4465", "4935"]);
+    expect(Parser.tokenize("4.7k[+-5%]", si)[0].type).toBe(TokenType.UNCERTAINTY);
+    expect(interval(Parser.parse("4.7k[+-1]", si))).toEqual(["4690", "4710"]);
+    expect(interval(Parser.parse("1k:2k", si))).toEqual(["1000", "2000"]);
+    expect(interval(Parser.parse("1k:1500", si))).toEqual(["1000", "1500"]);
+  });
+
+  it("should not take digits of the base as suffixes", () => {
+    const hex = { ...si, inputBase: BaseSystem.getSystemForPrefix("x") };
+    expect(Parser.parse("1a", hex).value).toBe(26n);
+    expect(Parser.parse("1fk", hex).value).toBe(31000n);
+    expect(Parser.parse("0x1Ak", si).value).toBe(26000n);
+  });
+});
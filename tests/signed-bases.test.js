@@ -0,0 +1,70 @@
+import { describe, it, expect } from "bun:test";
+import { BaseParser, SignedBaseSystem, Parser, ErrorCode, parseRepeatingDecimal } from "../src/index.js";
+import { BaseSystem, Integer, Rational } from "@ratmath/core";
+import { catchError } from "./helpers.js";
+
+describe("Signed-digit base definitions", () => {
+  it("should give digits the values set by the suffix", () => {
+    const ternary = BaseParser.createSystem("T01@±", "Balanced ternary");
+    expect(ternary).toBeInstanceOf(SignedBaseSystem);
+    expect(ternary.name).toBe("Balanced ternary");
+    expect(ternary.base).toBe(3);
+    expect([...ternary.charMap]).toEqual([["T", -1], ["0", 0], ["1", 1]]);
+
+    const symbols = BaseParser.createSystem("-0+@-1");
+    expect([...symbols.charMap]).toEqual([["-", -1], ["0", 0], ["+", 1]]);
+    expect(BaseParser.createSystem("0-9@-4").charMap.get("0")).toBe(-4);
+  });
+
+  it("should build an ordinary BaseSystem without a shift", () => {
+    const octal = BaseParser.createSystem("0-7");
+    expect(octal).toBeInstanceOf(BaseSystem);
+    expect(octal.toDecimal("17")).toBe(15n);
+    expect(BaseParser.parseDefinition("01@0")).toEqual(["0", "1"]);
+  });
+
+  it("should convert integers both ways", () => {
+    const ternary = BaseParser.createSystem("T01@±");
+    expect(ternary.toDecimal("10T")).toBe(8n);
+    expect(ternary.toDecimal("T01")).toBe(-8n);
+    expect(ternary.fromDecimal(8n)).toBe("10T");
+    expect(ternary.fromDecimal(-8n)).toBe("T01");
+    expect(ternary.fromDecimal(0n)).toBe("0");
+    expect(BaseParser.createSystem("-0+@-1").fromDecimal(6n)).toBe("+-0");
+  });
+
+  it("should reject shifts that leave out zero or one sign", () => {
+    expect(catchError(() => BaseParser.createSystem("01@±")).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+    expect(catchError(() => BaseParser.createSystem("01@-1")).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+    expect(catchError(() => BaseParser.createSystem("012@1")).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+    expect(catchError(() => BaseParser.parseDefinition("T01@±")).code).toBe(ErrorCode.BAD_BASE_DEFINITION);
+  });
+});
+
+describe("Parsing in signed-digit bases", () => {
+  const ternary = { inputBase: BaseParser.createSystem("T01@±"), typeAware: true };
+  const symbols = { inputBase: BaseParser.createSystem("-0+@-1"), typeAware: true };
+
+  it("should parse integers exactly", () => {
+    expect(Parser.parse("1T", ternary)).toEqual(new Integer(2));
+    expect(Parser.parse("T1", ternary)).toEqual(new Integer(-2));
+    expect(Parser.parse("-1T", ternary)).toEqual(new Integer(-2));
+    expect(Parser.parse("1T * T + 1", ternary)).toEqual(new Integer(-1));
+  });
+
+  it("should parse radix points, fractions and mixed numbers", () => {
+    expect(Parser.parse("1T.1", ternary).equals(new Rational(7, 3))).toBe(true);
+    expect(Parser.parse("T.1", ternary).equals(new Rational(-2, 3))).toBe(true);
+    expect(Parser.parse("1/1T", ternary).equals(new Rational(1, 2))).toBe(true);
+    expect(Parser.parse("T..1/1T", ternary).equals(new Rational(-1, 2))).toBe(true);
+    expect(parseRepeatingDecimal("1T.1", ternary.inputBase).equals(new Rational(7, 3))).toBe(true);
+  });
+
+  it("should read sign characters as digits where a value begins", () => {
+    expect(Parser.parse("+-0", symbols)).toEqual(new Integer(6));
+    expect(Parser.parse("-+", symbols)).toEqual(new Integer(-2));
+    expect(Parser.parse("+- * +0", symbols)).toEqual(new Integer(6));
+    expect(Parser.parse("(+-)+(+)", symbols)).toEqual(new Integer(3));
+    expect(Parser.parse("-.-", symbols).equals(new Rational(-4, 3))).toBe(true);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect } from "bun:test";
+import { Parser, TokenType } from "../src/index.js";
+import { BaseSystem } from "@ratmath/core";
+
+const summary = (tokens) => tokens.map((t) => [t.type, t.value]);
+
+describe("Tokenizer", () => {
+  it("should tokenize simple arithmetic with offsets", () => {
+    const tokens = Parser.tokenize("1/2 + 3");
+    expect(summary(tokens)).toEqual([
+      [TokenType.NUMBER, "1/2"],
+      [TokenType.OPERATOR, "+"],
+      [TokenType.NUMBER, "3"],
+    ]);
+    expect(tokens[0].start).toBe(0);
+    expect(tokens[0].end).toBe(3);
+    expect(tokens[1].start).toBe(4);
+    expect(tokens[2].start).toBe(6);
+    expect(tokens[2].end).toBe(7);
+  });
+
+  it("should keep the original text of each token", () => {
+    const input = "  (1.5:2)  ** 3";
+    for (const token of Parser.tokenize(input)) {
+      expect(input.substring(token.start, token.end)).toBe(token.text);
+    }
+  });
+
+  it("should treat a slash followed by a space as division", () => {
+    const tokens = Parser.tokenize("1/ 2");
+    expect(summary(tokens)).toEqual([
+      [TokenType.NUMBER, "1"],
+      [TokenType.OPERATOR, "/"],
+      [TokenType.NUMBER, "2"],
+    ]);
+    expect(tokens[1].spaceAfter).toBe(true);
+  });
+
+  it("should record whitespace before E", () => {
+    const tight = Parser.tokenize("1.3:2.4E2");
+    expect(tight[3].value).toBe("E");
+    expect(tight[3].spaceBefore).toBe(false);
+
+    const spaced = Parser.tokenize("1.3:2.4 E2");
+    expect(spaced[3].value).toBe("E");
+    expect(spaced[3].spaceBefore).toBe(true);
+    expect(spaced[2].spaceAfter).toBe(true);
+  });
+
+  it("should classify literal families", () => {
+    expect(summary(Parser.tokenize("0.1#6"))).toEqual([[TokenType.REPEATING_DECIMAL, "0.1#6"]]);
+    expect(summary(Parser.tokenize("3.~7~15"))).toEqual([[TokenType.CONTINUED_FRACTION, "3.~7~15"]]);
+    expect(summary(Parser.tokenize("1.23[+-5]"))).toEqual([[TokenType.UNCERTAINTY, "1.23[+-5]"]]);
+    expect(summary(Parser.tokenize("1.2[3,6]E2"))).toEqual([[TokenType.UNCERTAINTY, "1.2[3,6]E2"]]);
+    expect(summary(Parser.tokenize("1..2/3"))).toEqual([[TokenType.NUMBER, "1..2/3"]]);
+  });
+
+  it("should remove whitespace inside uncertainty brackets from the value", () => {
+    const [token] = Parser.tokenize("1.5[+- 0.1]");
+    expect(token.value).toBe("1.5[+-0.1]");
+    expect(token.text).toBe("1.5[+- 0.1]");
+  });
+
+  it("should prefer the longest operator", () => {
+    const ops = Parser.tokenize("2**3 <= 4!! && 1 != 0")
+      .filter((t) => t.type === TokenType.OPERATOR)
+      .map((t) => t.value);
+    expect(ops).toEqual(["**", "<=", "!!", "&&", "!="]);
+  });
+
+  it("should tokenize strings and lists", () => {
+    const tokens = Parser.tokenize('["a\\"b", 2]');
+    expect(summary(tokens)).toEqual([
+      [TokenType.BRACKET, "["],
+      [TokenType.STRING, 'a"b'],
+      [TokenType.OPERATOR, ","],
+      [TokenType.NUMBER, "2"],
+      [TokenType.BRACKET, "]"],
+    ]);
+  });
+
+  it("should keep prefixed literals whole", () => {
+    expect(summary(Parser.tokenize("0xFF + 0b101"))).toEqual([
+      [TokenType.NUMBER, "0xFF"],
+      [TokenType.OPERATOR, "+"],
+      [TokenType.NUMBER, "0b101"],
+    ]);
+  });
+
+  it("should read digits of a non-decimal input base", () => {
+    const hex = BaseSystem.fromBase(16);
+    expect(summary(Parser.tokenize("ff/a", { inputBase: hex }))).toEqual([[TokenType.NUMBER, "ff/a"]]);
+  });
+
+  it("should split E into an identifier when it starts a name", () => {
+    expect(summary(Parser.tokenize("2 + Exp"))).toEqual([
+      [TokenType.NUMBER, "2"],
+      [TokenType.OPERATOR, "+"],
+      [TokenType.IDENTIFIER, "Exp"],
+    ]);
+  });
+
+  it("should reject bracket base notation", () => {
+    expect(() => Parser.tokenize("101[2]")).toThrow("Bracket base notation");
+  });
+
+  it("should reject unterminated strings", () => {
+    expect(() => Parser.tokenize('"abc')).toThrow("Unterminated string literal");
+  });
+});
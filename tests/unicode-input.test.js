@@ -0,0 +1,76 @@
+import { describe, it, expect } from "bun:test";
+import { Parser, ErrorCode, TokenType } from "../src/index.js";
+import { Integer, Rational, RationalInterval } from "@ratmath/core";
+
+const same = (expr, ascii) => {
+  const a = Parser.parse(expr);
+  const b = Parser.parse(ascii);
+  return a instanceof RationalInterval
+    ? a.low.equals(b.low) && a.high.equals(b.high)
+    : a.constructor === b.constructor && a.equals(b);
+};
+
+describe("Unicode input", () => {
+  it("should read multiplication, division and minus signs", () => {
+    expect(same("2×3", "2*3")).toBe(true);
+    expect(same("2·3 ⋅ 4", "2*3*4")).toBe(true);
+    expect(same("5 − 2", "5-2")).toBe(true);
+    expect(same("7÷2", "7 / 2")).toBe(true);
+    // ÷ is always a division, never a fraction literal
+    expect(Parser.parse("4÷2")).toBeInstanceOf(Integer);
+  });
+
+  it("should read vulgar fractions and mixed numbers", () => {
+    expect(Parser.parse("½").equals(new Rational(1, 2))).toBe(true);
+    expect(Parser.parse("2½").equals(new Rational(5, 2))).toBe(true);
+    expect(Parser.parse("−2½ + ¾").equals(new Rational(-7, 4))).toBe(true);
+    expect(Parser.parse("⅓ + ⅔").equals(new Rational(1))).toBe(true);
+  });
+
+  it("should read superscripts as exponents", () => {
+    expect(Parser.parse("2³").value).toBe(8n);
+    expect(Parser.parse("2⁻¹").equals(new Rational(1, 2))).toBe(true);
+    expect(Parser.parse("(1+1)¹⁰").value).toBe(1024n);
+    expect(Parser.parse("x² + 1", { variables: { x: new Integer(3) } }).value).toBe(10n);
+  });
+
+  it("should read ± as symmetric uncertainty", () => {
+    expect(same("1.23±0.01", "1.23[+-0.01]")).toBe(true);
+    expect(same("1.23 ± 0.01", "1.23[+-0.01]")).toBe(true);
+    expect(same("1.5±0.1E2", "1.5[+-0.1]E2")).toBe(true);
+  });
+
+  it("should take roots with √ and ∛", () => {
+    expect(same("√2", "2**(1/2)")).toBe(true);
+    expect(same("∛27", "27**(1/3)")).toBe(true);
+    expect(same("2×√(1/4)", "2*(1/4)**(1/2)")).toBe(true);
+    const ast = Parser.parseToAst("√2");
+    expect(ast.operator).toBe("**");
+    expect(ast.exponent.notation).toBe("1/2");
+  });
+
+  it("should keep offsets into the original text", () => {
+    const input = "1.23 ± 0.01 × 2³";
+    const tokens = Parser.tokenize(input);
+    expect(tokens.map((t) => t.value)).toEqual(["1.23[+-0.01]", "*", "2", "^", "3"]);
+    expect(tokens[0].type).toBe(TokenType.UNCERTAINTY);
+    for (const token of tokens) {
+      expect(input.substring(token.start, token.end)).toBe(token.text);
+    }
+    expect(tokens[4].text).toBe("³");
+
+    let error;
+    try {
+      Parser.parse("2÷3 × ±");
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).toBe(ErrorCode.UNEXPECTED_CHARACTER);
+    expect(error.offset).toBe(6);
+    expect(error.message).toBe("Unexpected character '±' at position 6");
+  });
+
+  it("should leave string literals alone", () => {
+    expect(Parser.parse('"2×3"')).toBe("2×3");
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from "bun:test";
+import { Parser, NodeType, ErrorCode } from "../src/index.js";
+import { Integer, Rational, RationalInterval } from "@ratmath/core";
+
+describe("Variables", () => {
+  it("should read single-letter variables from options.variables", () => {
+    const variables = { x: new Rational(3, 4), y: new Integer(2) };
+    const result = Parser.parse("x * y + 1", { variables });
+    expect(result.equals(new Rational(5, 2))).toBe(true);
+  });
+
+  it("should read underscore-prefixed environment variables", () => {
+    const variables = { _rate: new Rational(1, 20) };
+    const result = Parser.parse("100 * _rate", { variables });
+    expect(result).toBeInstanceOf(Integer);
+    expect(result.value).toBe(5n);
+  });
+
+  it("should apply operators to interval variables", () => {
+    const variables = { r: new RationalInterval(new Rational(1), new Rational(2)) };
+    const result = Parser.parse("-r^2", { variables });
+    expect(result.low.equals(new Rational(-4))).toBe(true);
+    expect(result.high.equals(new Rational(-1))).toBe(true);
+  });
+
+  it("should report undefined variables with their position", () => {
+    let error;
+    try {
+      Parser.parse("1 + z", { variables: { x: new Integer(1) } });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).toBe(ErrorCode.UNDEFINED_VARIABLE);
+    expect(error.message).toBe("Undefined variable: z");
+    expect(error.offset).toBe(4);
+  });
+
+  it("should not treat multi-letter lowercase names as variables", () => {
+    expect(() => Parser.parse("ab", { variables: { ab: new Integer(1) } })).toThrow("Unexpected token: ab");
+  });
+});
+
+describe("Assignment", () => {
+  it("should store the value in the caller's environment and return it", () => {
+    const variables = {};
+    const result = Parser.parse("x = 3/4", { variables });
+    expect(result.equals(new Rational(3, 4))).toBe(true);
+    expect(variables.x.equals(new Rational(3, 4))).toBe(true);
+  });
+
+  it("should reuse assigned values across expressions", () => {
+    const variables = {};
+    Parser.parse("a = 1/2", { variables });
+    Parser.parse("b = a + 1/3", { variables });
+    const result = Parser.parse("a * b", { variables });
+    expect(result.equals(new Rational(5, 12))).toBe(true);
+  });
+
+  it("should be right-associative", () => {
+    const variables = {};
+    Parser.parse("x = y = 2", { variables });
+    expect(variables.x.value).toBe(2n);
+    expect(variables.y.value).toBe(2n);
+  });
+
+  it("should distinguish assignment from equality", () => {
+    const variables = { x: new Integer(3) };
+    expect(Parser.parse("x == 3", { variables }).value).toBe(1n);
+    expect(Parser.parseToAst("x = 3").type).toBe(NodeType.ASSIGNMENT);
+    expect(Parser.parseToAst("x == 3").type).toBe(NodeType.COMPARISON);
+  });
+
+  it("should reject assignment to anything but a variable", () => {
+    expect(() => Parser.parse("3 = 4")).toThrow("Can only assign to a variable");
+    expect(() => Parser.parse("(x = 4)")).toThrow("Assignment is only allowed at the top level");
+  });
+});